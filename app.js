@@ -0,0 +1,144 @@
+const express = require("express");
+const cors = require("cors");
+const { createTokenService } = require("./auth/tokens");
+const createAuthService = require("./services/auth");
+const createAuditService = require("./services/audit");
+const createResultsService = require("./services/results");
+const createQuestionImageService = require("./services/questionImages");
+const createExamImageService = require("./services/examImages");
+const createWinnersService = require("./services/winners");
+const createAnalyticsService = require("./services/analytics");
+const createExportService = require("./services/exports");
+const createQuestionImportService = require("./services/questionImport");
+const createQuestionPaperService = require("./services/questionPaper");
+const createExamBundleService = require("./services/examBundles");
+const createScheduleService = require("./services/schedule");
+const createExamWindowService = require("./services/examWindow");
+const createJobScheduler = require("./services/jobs");
+const createNotificationService = require("./services/notifications");
+const createMessagingService = require("./services/messaging");
+const createAuthMiddleware = require("./middleware/auth");
+const createAuditMiddleware = require("./middleware/audit");
+const createExamWindowMiddleware = require("./middleware/examWindow");
+const { handleUploadErrors } = require("./middleware/uploads");
+const { validate } = require("./validation/validate");
+const { buildApiDocs } = require("./validation/docs");
+const schemas = require("./validation/schemas");
+const createAdminRouter = require("./routes/admin");
+const createAuditRouter = require("./routes/audit");
+const createExamsRouter = require("./routes/exams");
+const createCandidatesRouter = require("./routes/candidates");
+const createResultsRouter = require("./routes/results");
+const createExamWindowRouter = require("./routes/examWindow");
+const createJobsRouter = require("./routes/jobs");
+const createMessagesRouter = require("./routes/messages");
+const createAnalyticsRouter = require("./routes/analytics");
+const createConcernsRouter = require("./routes/concerns");
+const createNotificationsRouter = require("./routes/notifications");
+const createSyllabusRouter = require("./routes/syllabus");
+const createWinnersRouter = require("./routes/winners");
+const createCategoriesRouter = require("./routes/categories");
+const createPracticeTestsRouter = require("./routes/practiceTests");
+const createPdfSyllabiRouter = require("./routes/pdfSyllabi");
+const createFilesRouter = require("./routes/files");
+
+/**
+ * Build the Express app without touching the network or Firebase.
+ *
+ * repositories     - data access objects (see repositories/index.js)
+ * storage          - file storage backend for question images and PDF syllabi (see storage/index.js)
+ * messageProviders - email and SMS providers, or null for a channel (see messaging/index.js)
+ * config           - runtime settings (see config.js)
+ */
+const createApp = ({ repositories, storage, messageProviders, config }) => {
+  const app = express();
+
+  const tokens = createTokenService(config.auth);
+  const questionImages = createQuestionImageService(storage);
+  const examImages = createExamImageService(repositories, questionImages);
+  const questionImport = createQuestionImportService(questionImages);
+  const schedule = createScheduleService(repositories, config.scheduling);
+  const results = createResultsService(repositories);
+  const notifications = createNotificationService(repositories);
+  // Its outbox delivery loop is started by index.js, like the job scheduler
+  const messaging = createMessagingService(repositories, messageProviders, config.messaging);
+  const services = {
+    auth: createAuthService(repositories, tokens, config.auth),
+    audit: createAuditService(repositories),
+    results,
+    schedule,
+    examWindow: createExamWindowService(repositories, schedule),
+    questionImages,
+    examImages,
+    questionImport,
+    questionPaper: createQuestionPaperService(storage, config.questionPaper),
+    examBundles: createExamBundleService(repositories, storage, { questionImport, examImages }),
+    winners: createWinnersService(repositories, { messaging }),
+    analytics: createAnalyticsService(repositories),
+    exports: createExportService(repositories),
+    notifications,
+    messaging,
+    // Not started here: index.js starts it once the server is up
+    jobs: createJobScheduler(repositories, { results, schedule, notifications, messaging }, config.scheduler)
+  };
+
+  const { authenticate, protectMutations, requirePermission } = createAuthMiddleware(services.auth);
+  const audit = createAuditMiddleware(services.audit);
+  const { requireExamWindow } = createExamWindowMiddleware(services.examWindow);
+
+  // Shared by every router factory
+  const context = {
+    repositories,
+    services,
+    authenticate,
+    requirePermission,
+    requireExamWindow,
+    audit,
+    storage
+  };
+
+  // Middleware
+  app.use(express.json());
+  app.use(cors());
+
+  // Every /api mutation requires an admin session (login and refresh excepted)
+  app.use("/api", protectMutations);
+
+  // Downloads for the local/in-memory storage backends
+  app.use(createFilesRouter(context));
+
+  app.get("/", (req, res) => {
+    res.send("Node.js backend is running successfully!");
+  });
+
+  // OpenAPI document generated from the request schemas
+  app.get("/api/docs", validate(schemas.apiDocs), (req, res) => {
+    res.status(200).json(buildApiDocs(schemas));
+  });
+
+  app.use("/api", createAdminRouter(context));
+  app.use("/api", createAuditRouter(context));
+  app.use("/api", createJobsRouter(context));
+  app.use("/api", createMessagesRouter(context));
+  app.use("/api", createExamsRouter(context));
+  app.use("/api", createCandidatesRouter(context));
+  app.use("/api", createResultsRouter(context));
+  app.use("/api", createExamWindowRouter(context));
+  app.use("/api", createAnalyticsRouter(context));
+  app.use("/api", createConcernsRouter(context));
+  app.use("/api", createNotificationsRouter(context));
+  app.use("/api", createSyllabusRouter(context));
+  app.use("/api", createWinnersRouter(context));
+  app.use("/api", createCategoriesRouter(context));
+  app.use("/api", createPracticeTestsRouter(context));
+  app.use("/api", createPdfSyllabiRouter(context));
+
+  app.use(handleUploadErrors);
+
+  // For index.js, which starts the job scheduler and outbox delivery
+  app.locals.services = services;
+
+  return app;
+};
+
+module.exports = createApp;
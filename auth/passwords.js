@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+
+// scrypt parameters used for every newly hashed password
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const scrypt = (password, salt, keyLength) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, keyLength, (error, derivedKey) => {
+    if (error) {
+      return reject(error);
+    }
+    resolve(derivedKey);
+  });
+});
+
+// Hash a password into "scrypt$<salt>$<hash>" (hex encoded)
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES).toString("hex");
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString("hex")}`;
+};
+
+// Check a password against a hash produced by hashPassword
+const verifyPassword = async (password, storedHash) => {
+  if (typeof storedHash !== "string") {
+    return false;
+  }
+
+  const [scheme, salt, hash] = storedHash.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derivedKey, expected);
+};
+
+// Constant-time comparison for legacy plaintext credentials
+const safeEqual = (a, b) => {
+  const bufferA = crypto.createHash("sha256").update(String(a)).digest();
+  const bufferB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  safeEqual
+};
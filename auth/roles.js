@@ -0,0 +1,41 @@
+// Named admin roles and the permissions they grant.
+// Permissions are "<group>:<action>" where action is "read" or "write";
+// "<group>:*" grants both and "*" grants everything.
+const ROLES = {
+  superadmin: {
+    description: "Full access, including admin user management",
+    permissions: ["*"]
+  },
+  editor: {
+    description: "Manages exams, practice tests, questions and syllabi",
+    permissions: ["exams:*", "practiceTests:*", "syllabus:*", "pdfSyllabi:*"]
+  },
+  support: {
+    description: "Reads candidate concerns and candidates",
+    permissions: ["concerns:read", "candidates:read"]
+  },
+  finance: {
+    description: "Reads purchasers and winners",
+    permissions: ["purchasers:read", "winners:read"]
+  }
+};
+
+const isValidRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+// Check whether a role grants a "<group>:<action>" permission
+const hasPermission = (role, permission) => {
+  if (!isValidRole(role)) {
+    return false;
+  }
+
+  const [group] = permission.split(":");
+  return ROLES[role].permissions.some((granted) =>
+    granted === "*" || granted === permission || granted === `${group}:*`
+  );
+};
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasPermission
+};
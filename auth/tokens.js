@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+// Signed, expiring access tokens plus opaque refresh tokens
+const createTokenService = ({ tokenSecret, accessTokenTtlSeconds }) => {
+  const sign = (data) => crypto.createHmac("sha256", tokenSecret).update(data).digest("base64url");
+
+  // Create a signed token ("<payload>.<signature>") that expires after ttlSeconds
+  const signToken = (claims, ttlSeconds = accessTokenTtlSeconds) => {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = base64url(JSON.stringify({
+      ...claims,
+      iat: issuedAt,
+      exp: issuedAt + ttlSeconds
+    }));
+
+    return `${payload}.${sign(payload)}`;
+  };
+
+  // Return the token claims, or null if the signature is wrong or the token has expired
+  const verifyToken = (token) => {
+    if (typeof token !== "string") {
+      return null;
+    }
+
+    const [payload, signature] = token.split(".");
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch (error) {
+      return null;
+    }
+
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return claims;
+  };
+
+  return {
+    accessTokenTtlSeconds,
+    signToken,
+    verifyToken
+  };
+};
+
+// Opaque refresh tokens are stored hashed so a database leak cannot be replayed
+const generateRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+const hashRefreshToken = (refreshToken) =>
+  crypto.createHash("sha256").update(refreshToken).digest("hex");
+
+module.exports = {
+  createTokenService,
+  generateRefreshToken,
+  hashRefreshToken
+};
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+
+// Read runtime settings from the environment (called once by index.js)
+const loadConfig = (env = process.env) => {
+  let tokenSecret = env.ADMIN_TOKEN_SECRET;
+  if (!tokenSecret) {
+    // Without a configured secret every restart invalidates the issued tokens
+    console.warn("ADMIN_TOKEN_SECRET is not set, using a random secret for this process");
+    tokenSecret = crypto.randomBytes(32).toString("hex");
+  }
+
+  const port = parseInt(env.PORT, 10) || 5555;
+
+  return {
+    port,
+    auth: {
+      tokenSecret,
+      // Access tokens are short lived; the session (and its refresh token) lasts longer
+      accessTokenTtlSeconds: parseInt(env.ADMIN_TOKEN_TTL_SECONDS, 10) || 60 * 60,
+      sessionTtlSeconds: parseInt(env.ADMIN_SESSION_TTL_SECONDS, 10) || 7 * 24 * 60 * 60
+    },
+    storage: {
+      // "firebase" (default), "local" or "memory"
+      driver: env.STORAGE_DRIVER || "firebase",
+      localRoot: env.STORAGE_LOCAL_ROOT || "uploads",
+      // Base URL under which the local/memory backends serve /files
+      publicBaseUrl: (env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/$/, "")
+    },
+    scheduling: {
+      // IANA zone for schedules saved without one, including every schedule saved before zones existed
+      timeZone: env.EXAM_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone
+    },
+    scheduler: {
+      // Background jobs (auto-grading, exam notifications); job claims are transactional,
+      // so running it on several instances is safe but not needed
+      enabled: env.SCHEDULER_ENABLED !== "false",
+      pollSeconds: parseInt(env.SCHEDULER_POLL_SECONDS, 10) || 60,
+      gradeDelayMinutes: parseInt(env.AUTO_GRADE_DELAY_MINUTES, 10) || 15,
+      notifyBeforeMinutes: parseInt(env.EXAM_REMINDER_MINUTES, 10) || 30,
+      notificationRetentionDays: parseInt(env.NOTIFICATION_RETENTION_DAYS, 10) || 30
+    },
+    messaging: {
+      // Email: "smtp", "console", "file" or "none"; SMS: "http", "console", "file" or "none".
+      // Nothing is queued for a channel left at "none". "console" and "file" only log
+      // messages (contact details included), so they are for development and must be set explicitly
+      emailDriver: env.EMAIL_DRIVER || "none",
+      smsDriver: env.SMS_DRIVER || "none",
+      smtp: {
+        host: env.SMTP_HOST || null,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        // true for implicit TLS (usually port 465); otherwise STARTTLS is used when offered
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null,
+        from: env.SMTP_FROM || null
+      },
+      smsGateway: {
+        url: env.SMS_GATEWAY_URL || null,
+        token: env.SMS_GATEWAY_TOKEN || null,
+        sender: env.SMS_SENDER_ID || null
+      },
+      // JSON-lines file the "file" driver appends to
+      sinkFile: env.MESSAGE_SINK_FILE || "messages.log",
+      // The outbox is delivered alongside the job scheduler (SCHEDULER_ENABLED)
+      pollSeconds: parseInt(env.MESSAGE_POLL_SECONDS, 10) || 30
+    },
+    questionPaper: {
+      // TTF/OTF font for printed papers; the built-in PDF fonts only cover Latin text
+      fontPath: env.QUESTION_PAPER_FONT || null
+    }
+  };
+};
+
+module.exports = {
+  loadConfig
+};
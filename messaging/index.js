@@ -0,0 +1,53 @@
+const createSmtpProvider = require("./smtpProvider");
+const createSmsGatewayProvider = require("./smsGatewayProvider");
+const createSinkProvider = require("./sinkProvider");
+
+/**
+ * Pick the email and SMS providers named by config.messaging.
+ *
+ * Every provider implements:
+ *   send({ to, subject, text }) -> { providerMessageId }   (subject is email only)
+ *
+ * A channel whose driver is "none" has no provider (null) and nothing is
+ * queued for it.
+ */
+const createMessageProviders = ({ emailDriver, smsDriver, smtp, smsGateway, sinkFile }) => {
+  const sink = (channel, driver) => createSinkProvider(channel, { file: driver === "file" ? sinkFile : null });
+
+  const email = (() => {
+    switch (emailDriver) {
+      case "smtp":
+        return createSmtpProvider(smtp);
+      case "console":
+      case "file":
+        return sink("email", emailDriver);
+      case "none":
+        return null;
+      default:
+        throw new Error(`Unknown email driver "${emailDriver}"`);
+    }
+  })();
+
+  const sms = (() => {
+    switch (smsDriver) {
+      case "http":
+        return createSmsGatewayProvider(smsGateway);
+      case "console":
+      case "file":
+        return sink("sms", smsDriver);
+      case "none":
+        return null;
+      default:
+        throw new Error(`Unknown SMS driver "${smsDriver}"`);
+    }
+  })();
+
+  return { email, sms };
+};
+
+module.exports = {
+  createMessageProviders,
+  createSmtpProvider,
+  createSmsGatewayProvider,
+  createSinkProvider
+};
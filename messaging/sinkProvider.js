@@ -0,0 +1,24 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Development sink: messages are printed, or appended to a JSON-lines file, instead of sent
+const createSinkProvider = (channel, { file } = {}) => {
+  const send = async (message) => {
+    const entry = { channel, sentAt: new Date().toISOString(), ...message };
+
+    if (file) {
+      await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`[${channel}] to ${message.to}${message.subject ? ` | ${message.subject}` : ""}\n${message.text}`);
+    }
+    return { providerMessageId: null };
+  };
+
+  return {
+    driver: file ? "file" : "console",
+    send
+  };
+};
+
+module.exports = createSinkProvider;
@@ -0,0 +1,43 @@
+/**
+ * SMS through a generic HTTP gateway: POST {url} with a JSON body
+ * { to, from, message } and, when a token is set, "Authorization: Bearer
+ * <token>". Any 2xx response counts as accepted; an `id` or `messageId` in a
+ * JSON response is kept as the provider's message ID.
+ */
+const createSmsGatewayProvider = ({ url, token, sender, timeoutMs = 10000 }) => {
+  if (!url) {
+    throw new Error("The http SMS driver needs SMS_GATEWAY_URL");
+  }
+
+  const send = async ({ to, text }) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        ...(token && { authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify({ to, from: sender || null, message: text }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const body = await response.text();
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      // Gateways that answer in plain text carry no message ID
+    }
+    return { providerMessageId: parsed?.id ?? parsed?.messageId ?? null };
+  };
+
+  return {
+    driver: "http",
+    send
+  };
+};
+
+module.exports = createSmsGatewayProvider;
@@ -0,0 +1,27 @@
+const nodemailer = require("nodemailer");
+
+// Email over SMTP
+const createSmtpProvider = ({ host, port, secure, user, pass, from }) => {
+  if (!host || !from) {
+    throw new Error("The smtp email driver needs SMTP_HOST and SMTP_FROM");
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  const send = async ({ to, subject, text }) => {
+    const info = await transport.sendMail({ from, to, subject, text });
+    return { providerMessageId: info.messageId || null };
+  };
+
+  return {
+    driver: "smtp",
+    send
+  };
+};
+
+module.exports = createSmtpProvider;
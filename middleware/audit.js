@@ -0,0 +1,65 @@
+const createAuditMiddleware = (auditService) => {
+  /**
+   * Record a mutation in the audit trail.
+   *
+   * options.entity   - name of the audited entity (e.g. "examQuestion")
+   * options.store    - "firestore" or "rtdb"
+   * options.path     - (req) => target path of the changed document/node
+   * options.create   - the route creates a record under `path`; no "before" snapshot
+   * options.snapshot - set to false to skip before/after snapshots (bulk routes)
+   *
+   * Handlers that create a new document/node set res.locals.auditPath to its
+   * path so the "after" snapshot is taken from the created record.
+   *
+   * Mount it after validate() (and any upload middleware), so `path` only
+   * sees validated input and rejected requests are not recorded.
+   */
+  const audit = ({ entity, store, path, create = false, snapshot = true }) => async (req, res, next) => {
+    let targetPath = null;
+    let before = null;
+
+    try {
+      targetPath = path(req);
+      if (snapshot && !create && targetPath) {
+        before = await auditService.readSnapshot(store, targetPath);
+      }
+    } catch (error) {
+      // Auditing must never block the mutation itself
+      console.error("Error reading audit snapshot:", error);
+    }
+
+    res.on("finish", async () => {
+      try {
+        const finalPath = res.locals.auditPath || targetPath;
+        const succeeded = res.statusCode < 400;
+        const after = snapshot && succeeded && finalPath
+          ? await auditService.readSnapshot(store, finalPath)
+          : null;
+
+        await auditService.record({
+          actor: req.admin ? req.admin.userid : null,
+          actorRole: req.admin ? req.admin.role : null,
+          timestamp: Date.now(),
+          method: req.method,
+          route: `${req.baseUrl}${req.route ? req.route.path : req.path}`,
+          url: req.originalUrl,
+          entity,
+          store,
+          target: finalPath,
+          statusCode: res.statusCode,
+          succeeded,
+          before,
+          after
+        });
+      } catch (error) {
+        console.error("Error writing audit log entry:", error);
+      }
+    });
+
+    next();
+  };
+
+  return audit;
+};
+
+module.exports = createAuditMiddleware;
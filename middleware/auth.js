@@ -0,0 +1,64 @@
+const { hasPermission } = require("../auth/roles");
+
+// Mutation routes that must stay reachable without a session
+const PUBLIC_MUTATION_ROUTES = [
+  "/admin/login",
+  "/admin/refresh"
+];
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const createAuthMiddleware = (authService) => {
+  // Require a valid "Authorization: Bearer <token>" header backed by a live session
+  const authenticate = async (req, res, next) => {
+    try {
+      const header = req.headers.authorization || "";
+      const [scheme, token] = header.split(" ");
+
+      const admin = scheme === "Bearer" ? await authService.authenticateToken(token) : null;
+      if (!admin) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (error) {
+      console.error("Error authenticating request:", error);
+      res.status(500).json({ error: "Failed to authenticate request" });
+    }
+  };
+
+  // Mounted on /api: every POST/PUT/PATCH/DELETE needs an authenticated admin
+  const protectMutations = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || PUBLIC_MUTATION_ROUTES.includes(req.path)) {
+      return next();
+    }
+
+    return authenticate(req, res, next);
+  };
+
+  // Require an admin whose role grants the given "<group>:<action>" permission
+  const requirePermission = (permission) => (req, res, next) => {
+    const check = () => {
+      if (!hasPermission(req.admin.role, permission)) {
+        return res.status(403).json({ error: "Insufficient permissions", permission });
+      }
+      next();
+    };
+
+    // protectMutations may already have authenticated the request
+    if (req.admin) {
+      return check();
+    }
+
+    return authenticate(req, res, check);
+  };
+
+  return {
+    authenticate,
+    protectMutations,
+    requirePermission
+  };
+};
+
+module.exports = createAuthMiddleware;
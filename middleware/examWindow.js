@@ -0,0 +1,47 @@
+// Why a candidate cannot read an exam right now: access status -> [HTTP status, message]
+const ACCESS_ERRORS = {
+  not_candidate: [403, "This registration number is not registered for the exam"],
+  not_found: [404, "Exam not found"],
+  unavailable: [403, "The exam is not published"]
+};
+
+// Messages for reads outside the exam window, by exam state
+const WINDOW_ERRORS = {
+  unscheduled: "The exam has not been scheduled",
+  upcoming: "The exam has not started yet",
+  closed: "The exam has ended"
+};
+
+const createExamWindowMiddleware = (examWindowService) => {
+  /**
+   * Only let a candidate (req.query.registrationNumber) of the exam
+   * (req.params.examTitle) through while the exam is live for them. Sets
+   * req.examWindow to the exam status, including the countdown. Runs after
+   * validate() so both values are present.
+   */
+  const requireExamWindow = async (req, res, next) => {
+    try {
+      const { status, exam } = await examWindowService.checkCandidateAccess(req.params.examTitle, req.query.registrationNumber);
+
+      if (ACCESS_ERRORS[status]) {
+        const [statusCode, error] = ACCESS_ERRORS[status];
+        return res.status(statusCode).json({ error, ...(exam && { exam }) });
+      }
+      if (status === "outside_window") {
+        return res.status(403).json({ error: WINDOW_ERRORS[exam.state], exam });
+      }
+
+      req.examWindow = exam;
+      next();
+    } catch (error) {
+      console.error("Error checking the exam window:", error);
+      res.status(500).json({ error: "Failed to check the exam window" });
+    }
+  };
+
+  return {
+    requireExamWindow
+  };
+};
+
+module.exports = createExamWindowMiddleware;
@@ -0,0 +1,66 @@
+const multer = require("multer");
+const { checkImage } = require("../services/questionImages");
+
+// Multer setup for image upload
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // Limit: 5 MB
+  fileFilter: (req, file, cb) => {
+    // Accept only JPEG, PNG, GIF and WebP images whose extension matches their type
+    const problem = checkImage(file);
+    if (problem) {
+      const error = new Error(`Image ${problem}`);
+      error.status = 400;
+      cb(error);
+    } else {
+      cb(null, true);
+    }
+  }
+});
+
+// Multer setup for PDF uploads
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // Limit: 10 MB
+  fileFilter: (req, file, cb) => {
+    // Accept only PDF files
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      const error = new Error('Only PDF files are allowed');
+      error.status = 400;
+      cb(error);
+    }
+  }
+});
+
+// Multer setup for bulk question imports: the question file plus an optional images ZIP
+const questionImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 2 }, // Limit: 50 MB per file
+}).fields([
+  { name: "file", maxCount: 1 },
+  { name: "images", maxCount: 1 }
+]);
+
+// Multer setup for exam bundle (.zip) imports
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }, // Limit: 100 MB
+});
+
+// Rejected uploads (wrong file type, too large, unexpected field) answer 400 with JSON
+const handleUploadErrors = (err, req, res, next) => {
+  if (err instanceof multer.MulterError || err.status === 400) {
+    return res.status(400).json({ error: err.message });
+  }
+  next(err);
+};
+
+module.exports = {
+  handleUploadErrors,
+  imageUpload,
+  pdfUpload,
+  questionImportUpload,
+  bundleUpload
+};
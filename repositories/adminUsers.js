@@ -0,0 +1,54 @@
+// Admin accounts (RTDB AdminUsers, keyed by userid) and the legacy Adminlogin record
+const createAdminUsersRepository = ({ realtimeDatabase }) => {
+  const usersRef = realtimeDatabase.ref("AdminUsers");
+  const legacyAdminRef = realtimeDatabase.ref("Adminlogin");
+
+  const get = async (userid) => {
+    const snapshot = await usersRef.child(userid).once("value");
+    return snapshot.val();
+  };
+
+  const list = async () => {
+    const snapshot = await usersRef.once("value");
+    const users = [];
+
+    snapshot.forEach((childSnapshot) => {
+      users.push(childSnapshot.val());
+    });
+
+    return users;
+  };
+
+  const create = async (user) => {
+    await usersRef.child(user.userid).set(user);
+  };
+
+  const update = async (userid, updates) => {
+    await usersRef.child(userid).update(updates);
+  };
+
+  const remove = async (userid) => {
+    await usersRef.child(userid).remove();
+  };
+
+  const getLegacyAdmin = async () => {
+    const snapshot = await legacyAdminRef.once("value");
+    return snapshot.val();
+  };
+
+  const removeLegacyAdmin = async () => {
+    await legacyAdminRef.remove();
+  };
+
+  return {
+    get,
+    list,
+    create,
+    update,
+    remove,
+    getLegacyAdmin,
+    removeLegacyAdmin
+  };
+};
+
+module.exports = createAdminUsersRepository;
@@ -0,0 +1,71 @@
+// Append-only audit trail (RTDB AuditLog); entries are only ever pushed
+const createAuditLogRepository = ({ firestore, realtimeDatabase }) => {
+  const auditLogRef = realtimeDatabase.ref("AuditLog");
+
+  const append = async (entry) => {
+    await auditLogRef.push(entry);
+  };
+
+  // Current value of a Firestore document or RTDB node, or null
+  const readTarget = async (store, path) => {
+    if (store === "firestore") {
+      const doc = await firestore.doc(path).get();
+      return doc.exists ? doc.data() : null;
+    }
+
+    const snapshot = await realtimeDatabase.ref(path).once("value");
+    return snapshot.val();
+  };
+
+  // Entries read per query when actor or entity filters some of them out
+  const FILTERED_PAGE_SIZE = 500;
+
+  /**
+   * The newest `limit` entries within an optional timestamp range that match
+   * `actor` and `entity`, newest first. Without filters this is a single
+   * limitToLast(limit) query; with them, older pages are read only until
+   * `limit` entries match. Needs ".indexOn": "timestamp" on AuditLog.
+   */
+  const listNewest = async ({ actor, entity, from, to, limit }) => {
+    const matches = (entry) => (!actor || entry.actor === actor) && (!entity || entry.entity === entity);
+    const pageSize = actor || entity ? Math.max(limit, FILTERED_PAGE_SIZE) : limit;
+    const entries = [];
+    // The oldest entry read so far; endAt includes it again, so it is skipped
+    let cursor = null;
+
+    for (;;) {
+      let query = auditLogRef.orderByChild("timestamp");
+      if (from !== undefined) query = query.startAt(from);
+      if (cursor) query = query.endAt(cursor.timestamp, cursor.id);
+      else if (to !== undefined) query = query.endAt(to);
+
+      const snapshot = await query.limitToLast(cursor ? pageSize + 1 : pageSize).once("value");
+      const page = [];
+      snapshot.forEach((childSnapshot) => {
+        if (!cursor || childSnapshot.key !== cursor.id) {
+          page.push({ id: childSnapshot.key, ...childSnapshot.val() });
+        }
+      });
+
+      for (const entry of [...page].reverse()) {
+        if (matches(entry)) {
+          entries.push(entry);
+          if (entries.length === limit) return entries;
+        }
+      }
+
+      if (page.length < pageSize) {
+        return entries;
+      }
+      cursor = page[0];
+    }
+  };
+
+  return {
+    append,
+    readTarget,
+    listNewest
+  };
+};
+
+module.exports = createAuditLogRepository;
@@ -0,0 +1,70 @@
+// Exam candidates (Firestore candidates/{registrationNumber} with an answers subcollection)
+const createCandidatesRepository = ({ firestore }) => {
+  const candidatesCollection = firestore.collection("candidates");
+
+  const list = async () => {
+    const snapshot = await candidatesCollection.get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  };
+
+  const get = async (registrationNumber) => {
+    const snapshot = await candidatesCollection.doc(registrationNumber).get();
+    return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+  };
+
+  const listByExam = async (examTitle) => {
+    const snapshot = await candidatesCollection.where("exam", "==", examTitle).get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  };
+
+  // Every candidate, read as a stream rather than one large snapshot
+  const iterateAll = async function* () {
+    for await (const doc of candidatesCollection.stream()) {
+      yield { id: doc.id, ...doc.data() };
+    }
+  };
+
+  const listAnswers = async (registrationNumber) => {
+    const snapshot = await candidatesCollection.doc(registrationNumber).collection("answers").get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  };
+
+  // Delete every document (and its sub-collections) of the "Candidates" collection
+  const deleteAll = async () => {
+    const snapshot = await firestore.collection("Candidates").get();
+
+    for (const candidateDoc of snapshot.docs) {
+      const candidateDocRef = candidateDoc.ref;
+
+      // Delete the "answers" document in the candidate's sub-collection, if it exists
+      const answersDocRef = candidateDocRef.collection("SubCollection").doc("answers");
+      const answersDoc = await answersDocRef.get();
+      if (answersDoc.exists) {
+        await answersDocRef.delete();
+      }
+
+      // Delete any sub-collections under the candidate document
+      const subCollections = await candidateDocRef.listCollections();
+      for (const subCollection of subCollections) {
+        const subCollectionDocs = await subCollection.get();
+        for (const doc of subCollectionDocs.docs) {
+          await doc.ref.delete();
+        }
+      }
+
+      // Delete the candidate document itself
+      await candidateDocRef.delete();
+    }
+  };
+
+  return {
+    list,
+    get,
+    listByExam,
+    iterateAll,
+    listAnswers,
+    deleteAll
+  };
+};
+
+module.exports = createCandidatesRepository;
@@ -0,0 +1,52 @@
+const { rtdbTimestamp } = require("./serverValues");
+
+// Named categories stored under a single RTDB node with push keys.
+// Used for practice test categories and PDF syllabus categories.
+const createCategoriesRepository = ({ realtimeDatabase }, node) => {
+  const categoriesRef = realtimeDatabase.ref(node);
+
+  // Create a category and return its generated key
+  const create = async (name) => {
+    const newCategoryRef = categoriesRef.push();
+    await newCategoryRef.set({
+      name,
+      createdAt: rtdbTimestamp()
+    });
+    return newCategoryRef.key;
+  };
+
+  const list = async () => {
+    const snapshot = await categoriesRef.once("value");
+    const categories = [];
+
+    snapshot.forEach((childSnapshot) => {
+      categories.push({
+        id: childSnapshot.key,
+        ...childSnapshot.val()
+      });
+    });
+
+    return categories;
+  };
+
+  const rename = async (categoryId, name) => {
+    await categoriesRef.child(categoryId).update({
+      name,
+      updatedAt: rtdbTimestamp()
+    });
+  };
+
+  const remove = async (categoryId) => {
+    await categoriesRef.child(categoryId).remove();
+  };
+
+  return {
+    node,
+    create,
+    list,
+    rename,
+    remove
+  };
+};
+
+module.exports = createCategoriesRepository;
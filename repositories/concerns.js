@@ -0,0 +1,20 @@
+// Candidate concerns (Firestore concerns)
+const createConcernsRepository = ({ firestore }) => {
+  const concernsCollection = firestore.collection("concerns");
+
+  const list = async () => {
+    const snapshot = await concernsCollection.get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  };
+
+  const remove = async (concernId) => {
+    await concernsCollection.doc(concernId).delete();
+  };
+
+  return {
+    list,
+    remove
+  };
+};
+
+module.exports = createConcernsRepository;
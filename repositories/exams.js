@@ -0,0 +1,295 @@
+const { FieldPath } = require("firebase-admin").firestore;
+const { rtdbTimestamp, firestoreTimestamp } = require("./serverValues");
+const createQuestionOrdering = require("./questionOrder");
+
+// Main exams: Firestore Exams/{title} with a Questions subcollection,
+// plus the RTDB ExamDateTime/{title} schedule node
+const createExamsRepository = ({ firestore, realtimeDatabase }) => {
+  const examsCollection = firestore.collection("Exams");
+  const examDateTimeRef = realtimeDatabase.ref("ExamDateTime");
+  const ordering = createQuestionOrdering(firestore);
+
+  // Firestore allows at most 500 writes per batch
+  const BATCH_SIZE = 400;
+
+  const questionsCollection = (examTitle) => examsCollection.doc(examTitle).collection("Questions");
+
+  const toQuestion = (doc) => ({ id: doc.id, ...doc.data() });
+
+  const countQuestions = async (examTitle) => {
+    const snapshot = await questionsCollection(examTitle).count().get();
+    return snapshot.data().count;
+  };
+
+  // Questions sorted by their `order` field
+  const listQuestions = async (examTitle) => {
+    const snapshot = await questionsCollection(examTitle).orderBy("order").get();
+    return snapshot.docs.map(toQuestion);
+  };
+
+  const getQuestion = async (examTitle, questionId) => {
+    const doc = await questionsCollection(examTitle).doc(questionId).get();
+    return doc.exists ? toQuestion(doc) : null;
+  };
+
+  // Appends the question with the next free order; returns { id, path, order }
+  const addQuestion = (examTitle, questionData) =>
+    ordering.add(examsCollection.doc(examTitle), questionsCollection(examTitle), questionData);
+
+  // Appends the questions in the given order (bulk import); returns [{ id, path, order }]
+  const addQuestions = (examTitle, questionDataList, options) =>
+    ordering.addMany(examsCollection.doc(examTitle), questionsCollection(examTitle), questionDataList, options);
+
+  const updateQuestion = async (examTitle, questionId, updateData) => {
+    await questionsCollection(examTitle).doc(questionId).update(updateData);
+  };
+
+  // Deletes the question and renumbers the ones after it; false when it does not exist
+  const deleteQuestion = (examTitle, questionId) =>
+    ordering.remove(examsCollection.doc(examTitle), questionsCollection(examTitle), questionId);
+
+  // Renumber questions to follow questionIds; returns { missing, unknown }
+  const reorderQuestions = (examTitle, questionIds) =>
+    ordering.reorder(examsCollection.doc(examTitle), questionsCollection(examTitle), questionIds);
+
+  // Apply `write(batch, doc)` to every document, one batch per BATCH_SIZE docs
+  const writeInBatches = async (docs, write) => {
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+      const batch = firestore.batch();
+      docs.slice(i, i + BATCH_SIZE).forEach((doc) => write(batch, doc));
+      await batch.commit();
+    }
+  };
+
+  const getExam = async (examTitle) => {
+    const doc = await examsCollection.doc(examTitle).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  };
+
+  // True when the exam has a document or (implicitly created) questions
+  const examExists = async (examTitle) => {
+    const [doc, questions] = await Promise.all([
+      examsCollection.doc(examTitle).get(),
+      questionsCollection(examTitle).limit(1).get()
+    ]);
+    return doc.exists || !questions.empty;
+  };
+
+  const createExam = async (examTitle, examData) => {
+    const examRef = examsCollection.doc(examTitle);
+    await examRef.set({
+      ...examData,
+      createdAt: firestoreTimestamp(),
+      updatedAt: firestoreTimestamp()
+    }, { merge: true });
+    return { id: examTitle, path: examRef.path };
+  };
+
+  const updateExam = async (examTitle, updateData) => {
+    await examsCollection.doc(examTitle).set({
+      ...updateData,
+      updatedAt: firestoreTimestamp()
+    }, { merge: true });
+  };
+
+  // RTDB nodes keyed by exam title that hold what happened in the exam
+  const EXAM_OUTCOME_NODES = ["Results", "ResultComputations", "Winners", "ExamExtraTime"];
+
+  // Exam document, every question copy and every question delete must fit one batch
+  const MAX_RENAMED_QUESTIONS = Math.floor((500 - 2) / 2);
+
+  // The outcome nodes that hold anything for the exam
+  const outcomeNodesOf = async (examTitle) => {
+    const snapshots = await Promise.all(EXAM_OUTCOME_NODES.map((node) =>
+      realtimeDatabase.ref(node).child(examTitle).orderByKey().limitToFirst(1).once("value")));
+    return EXAM_OUTCOME_NODES.filter((node, index) => snapshots[index].exists());
+  };
+
+  /**
+   * Move an exam to a new title: the exam document and its Questions
+   * subcollection in one Firestore batch, then the ExamDateTime node in one
+   * RTDB update. Returns { status } where status is:
+   *
+   *   "renamed"             with questionsMoved
+   *   "target_exists"       an exam or schedule already has the new title
+   *   "has_outcomes"        results, winners or extra time are stored under the
+   *                         old title (see EXAM_OUTCOME_NODES), with nodes
+   *   "too_many_questions"  more questions than one batch can move, with limit
+   */
+  const renameExam = async (examTitle, newTitle, updateData = {}) => {
+    const oldRef = examsCollection.doc(examTitle);
+    const newRef = examsCollection.doc(newTitle);
+
+    const [examDoc, questionsSnapshot, dateTimeSnapshot, targetExists, targetDateTime, outcomeNodes] = await Promise.all([
+      oldRef.get(),
+      questionsCollection(examTitle).get(),
+      examDateTimeRef.child(examTitle).once("value"),
+      examExists(newTitle),
+      examDateTimeRef.child(newTitle).once("value"),
+      outcomeNodesOf(examTitle)
+    ]);
+
+    if (targetExists || targetDateTime.exists()) {
+      return { status: "target_exists" };
+    }
+    if (outcomeNodes.length > 0) {
+      return { status: "has_outcomes", nodes: outcomeNodes };
+    }
+    if (questionsSnapshot.size > MAX_RENAMED_QUESTIONS) {
+      return { status: "too_many_questions", limit: MAX_RENAMED_QUESTIONS };
+    }
+
+    // create() fails the whole batch if the new title was taken meanwhile
+    const batch = firestore.batch();
+    batch.create(newRef, {
+      ...(examDoc.exists ? examDoc.data() : {}),
+      ...updateData,
+      title: newTitle,
+      updatedAt: firestoreTimestamp()
+    });
+    questionsSnapshot.docs.forEach((doc) => {
+      batch.set(newRef.collection("Questions").doc(doc.id), doc.data());
+      batch.delete(doc.ref);
+    });
+    batch.delete(oldRef);
+    await batch.commit();
+
+    if (dateTimeSnapshot.exists()) {
+      await examDateTimeRef.update({
+        [newTitle]: dateTimeSnapshot.val(),
+        [examTitle]: null
+      });
+    }
+
+    return { status: "renamed", questionsMoved: questionsSnapshot.size };
+  };
+
+  // Delete an exam with its Questions subcollection and ExamDateTime node; returns the deleted questions
+  const deleteExam = async (examTitle) => {
+    const questionsSnapshot = await questionsCollection(examTitle).get();
+
+    await writeInBatches(questionsSnapshot.docs, (batch, doc) => batch.delete(doc.ref));
+    await examDateTimeRef.child(examTitle).remove();
+    await examsCollection.doc(examTitle).delete();
+
+    return questionsSnapshot.docs.map(toQuestion);
+  };
+
+  // Exam documents with question counts only; includes exams that only exist through their questions
+  const listExamSummaries = async () => {
+    const examRefs = await examsCollection.listDocuments();
+    if (examRefs.length === 0) {
+      return [];
+    }
+
+    const examDocs = await firestore.getAll(...examRefs);
+    const counts = await Promise.all(
+      examRefs.map((ref) => ref.collection("Questions").count().get())
+    );
+
+    return examDocs.map((doc, index) => ({
+      id: doc.id,
+      ...(doc.exists ? doc.data() : {}),
+      questionCount: counts[index].data().count
+    }));
+  };
+
+  // Exam documents (without questions)
+  const listExams = async () => {
+    const snapshot = await examsCollection.get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  };
+
+  /**
+   * One page of exam documents ordered by title (document ID).
+   *
+   * `startAfter` is the last title of the previous page, `date` matches the
+   * mirrored schedule date and `filter(exam)` drops exams in memory (more
+   * documents are read until the page is full). Returns { exams, nextCursor }
+   * where nextCursor is null on the last page.
+   */
+  const listExamsPage = async ({ limit, startAfter, date, filter = () => true }) => {
+    let query = examsCollection.orderBy(FieldPath.documentId());
+    if (date) {
+      query = query.where("dateTime.date", "==", date);
+    }
+
+    const exams = [];
+    let cursor = startAfter;
+    let exhausted = false;
+
+    // Read one extra match to know whether another page exists
+    while (exams.length <= limit && !exhausted) {
+      const pageQuery = cursor ? query.startAfter(cursor) : query;
+      const snapshot = await pageQuery.limit(limit + 1).get();
+
+      for (const doc of snapshot.docs) {
+        cursor = doc.id;
+        const exam = { id: doc.id, ...doc.data() };
+        if (filter(exam)) {
+          exams.push(exam);
+          if (exams.length > limit) break;
+        }
+      }
+
+      exhausted = snapshot.size < limit + 1;
+    }
+
+    const page = exams.slice(0, limit);
+    return {
+      exams: page,
+      nextCursor: exams.length > limit ? page[page.length - 1].id : null
+    };
+  };
+
+  // Save the schedule to RTDB ExamDateTime and mirror it on the exam document
+  const saveDateTime = async (examTitle, dateTime) => {
+    await examDateTimeRef.child(examTitle).set({
+      ...dateTime,
+      updatedAt: rtdbTimestamp()
+    });
+
+    await examsCollection.doc(examTitle).set({
+      dateTime: {
+        ...dateTime,
+        updatedAt: firestoreTimestamp()
+      }
+    }, { merge: true });
+  };
+
+  const getDateTime = async (examTitle) => {
+    const snapshot = await examDateTimeRef.child(examTitle).once("value");
+    return snapshot.val();
+  };
+
+  // Every exam schedule as { examTitle: record }
+  const listDateTimes = async () => {
+    const snapshot = await examDateTimeRef.once("value");
+    return snapshot.val() || {};
+  };
+
+  return {
+    countQuestions,
+    listQuestions,
+    getQuestion,
+    addQuestion,
+    addQuestions,
+    updateQuestion,
+    deleteQuestion,
+    reorderQuestions,
+    getExam,
+    examExists,
+    createExam,
+    updateExam,
+    renameExam,
+    deleteExam,
+    listExamSummaries,
+    listExams,
+    listExamsPage,
+    saveDateTime,
+    getDateTime,
+    listDateTimes
+  };
+};
+
+module.exports = createExamsRepository;
@@ -0,0 +1,40 @@
+const { rtdbTimestamp } = require("./serverValues");
+
+// Per-candidate extra time on main exams (RTDB ExamExtraTime/{examTitle}/{registrationNumber})
+const createExtraTimeRepository = ({ realtimeDatabase }) => {
+  const extraTimeRef = realtimeDatabase.ref("ExamExtraTime");
+
+  // The candidate's grant ({ minutes, reason, grantedBy, updatedAt }) or null
+  const get = async (examTitle, registrationNumber) => {
+    const snapshot = await extraTimeRef.child(examTitle).child(registrationNumber).once("value");
+    return snapshot.val();
+  };
+
+  const listByExam = async (examTitle) => {
+    const snapshot = await extraTimeRef.child(examTitle).once("value");
+    return Object.entries(snapshot.val() || {}).map(([registrationNumber, grant]) => ({
+      registrationNumber,
+      ...grant
+    }));
+  };
+
+  const set = async (examTitle, registrationNumber, grant) => {
+    await extraTimeRef.child(examTitle).child(registrationNumber).set({
+      ...grant,
+      updatedAt: rtdbTimestamp()
+    });
+  };
+
+  const remove = async (examTitle, registrationNumber) => {
+    await extraTimeRef.child(examTitle).child(registrationNumber).remove();
+  };
+
+  return {
+    get,
+    listByExam,
+    set,
+    remove
+  };
+};
+
+module.exports = createExtraTimeRepository;
@@ -0,0 +1,41 @@
+const createAdminUsersRepository = require("./adminUsers");
+const createSessionsRepository = require("./sessions");
+const createAuditLogRepository = require("./auditLog");
+const createExamsRepository = require("./exams");
+const createCandidatesRepository = require("./candidates");
+const createResultsRepository = require("./results");
+const createWinnersRepository = require("./winners");
+const createConcernsRepository = require("./concerns");
+const createNotificationsRepository = require("./notifications");
+const createSyllabusRepository = require("./syllabus");
+const createCategoriesRepository = require("./categories");
+const createPracticeTestsRepository = require("./practiceTests");
+const createPdfSyllabiRepository = require("./pdfSyllabi");
+const createPurchasersRepository = require("./purchasers");
+const createExtraTimeRepository = require("./extraTime");
+const createScheduledJobsRepository = require("./scheduledJobs");
+const createMessageOutboxRepository = require("./messageOutbox");
+
+// Build every repository on top of a Firestore and a Realtime Database handle
+const createRepositories = (db) => ({
+  adminUsers: createAdminUsersRepository(db),
+  sessions: createSessionsRepository(db),
+  auditLog: createAuditLogRepository(db),
+  exams: createExamsRepository(db),
+  candidates: createCandidatesRepository(db),
+  results: createResultsRepository(db),
+  winners: createWinnersRepository(db),
+  concerns: createConcernsRepository(db),
+  notifications: createNotificationsRepository(db),
+  syllabus: createSyllabusRepository(db),
+  practiceCategories: createCategoriesRepository(db, "Practicecategories"),
+  pdfSyllabusCategories: createCategoriesRepository(db, "pdfsyllabuscategoryRef"),
+  practiceTests: createPracticeTestsRepository(db),
+  pdfSyllabi: createPdfSyllabiRepository(db),
+  purchasers: createPurchasersRepository(db),
+  extraTime: createExtraTimeRepository(db),
+  scheduledJobs: createScheduledJobsRepository(db),
+  messageOutbox: createMessageOutboxRepository(db)
+});
+
+module.exports = createRepositories;
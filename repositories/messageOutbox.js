@@ -0,0 +1,96 @@
+// Outbound emails and SMS awaiting or past delivery (RTDB MessageOutbox/{messageId})
+const createMessageOutboxRepository = ({ realtimeDatabase }) => {
+  const outboxRef = realtimeDatabase.ref("MessageOutbox");
+
+  const list = async () => {
+    const snapshot = await outboxRef.once("value");
+    return Object.entries(snapshot.val() || {}).map(([id, message]) => ({ id, ...message }));
+  };
+
+  const get = async (messageId) => {
+    const snapshot = await outboxRef.child(messageId).once("value");
+    return snapshot.exists() ? { id: messageId, ...snapshot.val() } : null;
+  };
+
+  const update = async (messageId, updates) => {
+    await outboxRef.child(messageId).update(updates);
+  };
+
+  const remove = async (messageId) => {
+    await outboxRef.child(messageId).remove();
+  };
+
+  /**
+   * Atomically store a message unless one with this ID exists, so queueing
+   * the same message twice sends it once. Returns true when it was stored.
+   */
+  const createIfAbsent = async (messageId, message) => {
+    const { committed } = await outboxRef.child(messageId).transaction((current) => (current ? undefined : message));
+    return committed;
+  };
+
+  /**
+   * Atomically take a message that is due: pending with nextAttemptAt <= now,
+   * or sending with an expired lock (its process died). Returns { claimed, message }.
+   */
+  const claim = async (messageId, { now, lockMs }) => {
+    const { committed, snapshot } = await outboxRef.child(messageId).transaction((current) => {
+      if (!current) {
+        return current;
+      }
+
+      const due = current.status === "pending" && current.nextAttemptAt <= now;
+      const abandoned = current.status === "sending" && current.lockedUntil < now;
+      if (!due && !abandoned) {
+        return undefined;
+      }
+
+      return {
+        ...current,
+        status: "sending",
+        attempts: (current.attempts || 0) + 1,
+        lockedUntil: now + lockMs
+      };
+    });
+
+    const message = snapshot.val();
+    return { claimed: committed && Boolean(message), message: message && { id: messageId, ...message } };
+  };
+
+  /**
+   * Atomically move a message from one of `from` to another status, merging
+   * `changes`. Returns { status, message } where status is "changed",
+   * "not_found" or "wrong_status".
+   */
+  const transition = async (messageId, { from, changes }) => {
+    let outcome = "not_found";
+
+    const { snapshot } = await outboxRef.child(messageId).transaction((current) => {
+      if (!current) {
+        outcome = "not_found";
+        return current;
+      }
+      if (!from.includes(current.status)) {
+        outcome = "wrong_status";
+        return undefined;
+      }
+
+      outcome = "changed";
+      return { ...current, ...changes };
+    });
+
+    return { status: outcome, message: snapshot.val() && { id: messageId, ...snapshot.val() } };
+  };
+
+  return {
+    list,
+    get,
+    update,
+    remove,
+    createIfAbsent,
+    claim,
+    transition
+  };
+};
+
+module.exports = createMessageOutboxRepository;
@@ -0,0 +1,47 @@
+const { rtdbTimestamp } = require("./serverValues");
+
+// Notifications (RTDB Notifications/{id})
+const createNotificationsRepository = ({ realtimeDatabase }) => {
+  const notificationsRef = realtimeDatabase.ref("Notifications");
+
+  const list = async () => {
+    const snapshot = await notificationsRef.once("value");
+    return Object.entries(snapshot.val() || {}).map(([id, notification]) => ({ id, ...notification }));
+  };
+
+  const get = async (notificationId) => {
+    const snapshot = await notificationsRef.child(notificationId).once("value");
+    return snapshot.exists() ? { id: notificationId, ...snapshot.val() } : null;
+  };
+
+  // Returns the new notification's ID (a push key, so IDs cannot collide)
+  const create = async (notification) => {
+    const notificationRef = notificationsRef.push();
+    await notificationRef.set({
+      ...notification,
+      updatedAt: rtdbTimestamp()
+    });
+    return notificationRef.key;
+  };
+
+  const update = async (notificationId, updates) => {
+    await notificationsRef.child(notificationId).update({
+      ...updates,
+      updatedAt: rtdbTimestamp()
+    });
+  };
+
+  const remove = async (notificationId) => {
+    await notificationsRef.child(notificationId).remove();
+  };
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove
+  };
+};
+
+module.exports = createNotificationsRepository;
@@ -0,0 +1,57 @@
+// PDF syllabi (RTDB pdfsyllabi/{category}/{title}, keys sanitized by the caller)
+const createPdfSyllabiRepository = ({ realtimeDatabase }) => {
+  const pdfSyllabusRef = realtimeDatabase.ref("pdfsyllabi");
+
+  const get = async (syllabusKey) => {
+    const snapshot = await pdfSyllabusRef.child(syllabusKey).once("value");
+    return snapshot.val();
+  };
+
+  const set = async (syllabusKey, syllabus) => {
+    await pdfSyllabusRef.child(syllabusKey).set(syllabus);
+  };
+
+  const update = async (syllabusKey, updates) => {
+    await pdfSyllabusRef.child(syllabusKey).update(updates);
+  };
+
+  const remove = async (syllabusKey) => {
+    await pdfSyllabusRef.child(syllabusKey).remove();
+  };
+
+  // Every syllabus as a flat array
+  const listAll = async () => {
+    const snapshot = await pdfSyllabusRef.once("value");
+    const syllabi = [];
+
+    snapshot.forEach((categorySnapshot) => {
+      categorySnapshot.forEach((syllabusSnapshot) => {
+        syllabi.push(syllabusSnapshot.val());
+      });
+    });
+
+    return syllabi;
+  };
+
+  const listCategory = async (category) => {
+    const snapshot = await pdfSyllabusRef.child(category).once("value");
+    const syllabi = [];
+
+    snapshot.forEach((syllabusSnapshot) => {
+      syllabi.push(syllabusSnapshot.val());
+    });
+
+    return syllabi;
+  };
+
+  return {
+    get,
+    set,
+    update,
+    remove,
+    listAll,
+    listCategory
+  };
+};
+
+module.exports = createPdfSyllabiRepository;
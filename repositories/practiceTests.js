@@ -0,0 +1,139 @@
+const { rtdbTimestamp, firestoreTimestamp } = require("./serverValues");
+const createQuestionOrdering = require("./questionOrder");
+
+// Practice tests: RTDB PracticeTests/{category}/{title} metadata,
+// Firestore PracticeTests/{category}/Exams/{examId}/Questions and
+// RTDB PracticeTestDateTime/{category}/{examId} schedules
+const createPracticeTestsRepository = ({ firestore, realtimeDatabase }) => {
+  const practiceTestsRef = realtimeDatabase.ref("PracticeTests");
+  const practiceTestDateTimeRef = realtimeDatabase.ref("PracticeTestDateTime");
+  const ordering = createQuestionOrdering(firestore);
+
+  const examDoc = (category, examId) =>
+    firestore.collection("PracticeTests").doc(category).collection("Exams").doc(examId);
+
+  const questionsCollection = (category, examId) => examDoc(category, examId).collection("Questions");
+
+  const createTest = async (category, title, test) => {
+    await practiceTestsRef.child(category).child(title).set({
+      ...test,
+      createdAt: rtdbTimestamp()
+    });
+  };
+
+  // All practice tests, keyed by category then title
+  const listTests = async () => {
+    const snapshot = await practiceTestsRef.once("value");
+    const practiceTests = {};
+
+    snapshot.forEach((categorySnapshot) => {
+      practiceTests[categorySnapshot.key] = {};
+
+      categorySnapshot.forEach((titleSnapshot) => {
+        practiceTests[categorySnapshot.key][titleSnapshot.key] = titleSnapshot.val();
+      });
+    });
+
+    return practiceTests;
+  };
+
+  const getCategoryTests = async (category) => {
+    const snapshot = await practiceTestsRef.child(category).once("value");
+    return snapshot.val();
+  };
+
+  const getTest = async (category, title) => {
+    const snapshot = await practiceTestsRef.child(category).child(title).once("value");
+    return snapshot.val();
+  };
+
+  const removeTest = async (category, title) => {
+    await practiceTestsRef.child(category).child(title).remove();
+  };
+
+  // Questions sorted by their `order` field
+  const listQuestions = async (category, examId) => {
+    const snapshot = await questionsCollection(category, examId).orderBy("order", "asc").get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  };
+
+  const getQuestion = async (category, examId, questionId) => {
+    const doc = await questionsCollection(category, examId).doc(questionId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  };
+
+  // Appends the question with the next free order; returns { id, path, order }
+  const addQuestion = (category, examId, questionData) =>
+    ordering.add(examDoc(category, examId), questionsCollection(category, examId), {
+      ...questionData,
+      timestamp: firestoreTimestamp()
+    });
+
+  // Appends the questions in the given order (bulk import); returns [{ id, path, order }]
+  const addQuestions = (category, examId, questionDataList, options) =>
+    ordering.addMany(examDoc(category, examId), questionsCollection(category, examId), questionDataList.map((questionData) => ({
+      ...questionData,
+      timestamp: firestoreTimestamp()
+    })), options);
+
+  const updateQuestion = async (category, examId, questionId, updateData) => {
+    await questionsCollection(category, examId).doc(questionId).update({
+      ...updateData,
+      updatedAt: firestoreTimestamp()
+    });
+  };
+
+  // Deletes the question and renumbers the ones after it; false when it does not exist
+  const deleteQuestion = (category, examId, questionId) =>
+    ordering.remove(examDoc(category, examId), questionsCollection(category, examId), questionId);
+
+  // Renumber questions to follow questionIds; returns { missing, unknown }
+  const reorderQuestions = (category, examId, questionIds) =>
+    ordering.reorder(examDoc(category, examId), questionsCollection(category, examId), questionIds);
+
+  // Save the schedule to RTDB PracticeTestDateTime and mirror it on the exam document
+  const saveDateTime = async (category, examId, dateTime) => {
+    await practiceTestDateTimeRef.child(category).child(examId).set({
+      ...dateTime,
+      updatedAt: rtdbTimestamp()
+    });
+
+    await examDoc(category, examId).set({
+      dateTime: {
+        ...dateTime,
+        updatedAt: firestoreTimestamp()
+      }
+    }, { merge: true });
+  };
+
+  const getDateTime = async (category, examId) => {
+    const snapshot = await practiceTestDateTimeRef.child(category).child(examId).once("value");
+    return snapshot.val();
+  };
+
+  // The schedules of a category's practice tests as { examId: record }
+  const listCategoryDateTimes = async (category) => {
+    const snapshot = await practiceTestDateTimeRef.child(category).once("value");
+    return snapshot.val() || {};
+  };
+
+  return {
+    createTest,
+    listTests,
+    getCategoryTests,
+    getTest,
+    removeTest,
+    listQuestions,
+    getQuestion,
+    addQuestion,
+    addQuestions,
+    updateQuestion,
+    deleteQuestion,
+    reorderQuestions,
+    saveDateTime,
+    getDateTime,
+    listCategoryDateTimes
+  };
+};
+
+module.exports = createPracticeTestsRepository;
@@ -0,0 +1,61 @@
+// Purchase records written by the student app (read-only here)
+const createPurchasersRepository = ({ realtimeDatabase }) => {
+  // Children read per query when iterating a purchasers node
+  const PAGE_SIZE = 500;
+
+  const read = async (node) => {
+    const snapshot = await realtimeDatabase.ref(node).once("value");
+    return snapshot.val();
+  };
+
+  // A node is a purchase record when it holds at least one plain value
+  const isRecord = (value) =>
+    Object.values(value).some((field) => field === null || typeof field !== "object");
+
+  // Purchases may be stored flat ({ id: record }) or grouped ({ student: { id: record } })
+  const flattenRecords = function* (id, value) {
+    if (!value || typeof value !== "object") {
+      return;
+    }
+    if (isRecord(value)) {
+      yield { id, ...value };
+      return;
+    }
+    for (const [childKey, child] of Object.entries(value)) {
+      yield* flattenRecords(`${id}/${childKey}`, child);
+    }
+  };
+
+  // Every purchase record under a node as { id, ...record }, PAGE_SIZE children at a time
+  const iterate = async function* (node) {
+    let lastKey = null;
+
+    for (;;) {
+      let query = realtimeDatabase.ref(node).orderByKey().limitToFirst(PAGE_SIZE);
+      if (lastKey !== null) {
+        query = query.startAfter(lastKey);
+      }
+
+      const snapshot = await query.once("value");
+      const page = Object.entries(snapshot.val() || {});
+
+      for (const [key, value] of page) {
+        yield* flattenRecords(key, value);
+      }
+
+      if (page.length < PAGE_SIZE) {
+        return;
+      }
+      lastKey = page[page.length - 1][0];
+    }
+  };
+
+  return {
+    listPracticeTestPurchasers: () => read("practicetestpurchasedstudents"),
+    listPdfSyllabusPurchasers: () => read("pdfsyllabuspurchasers"),
+    iteratePracticeTestPurchasers: () => iterate("practicetestpurchasedstudents"),
+    iteratePdfSyllabusPurchasers: () => iterate("pdfsyllabuspurchasers")
+  };
+};
+
+module.exports = createPurchasersRepository;
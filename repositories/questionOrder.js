@@ -0,0 +1,114 @@
+/**
+ * Gap-free `order` numbers (1..n) for a Questions subcollection.
+ *
+ * Every change runs in a Firestore transaction that reads the questions and
+ * writes `lastQuestionOrder` on the parent document, so concurrent adds,
+ * deletes and reorders on the same exam are serialized instead of colliding.
+ * Answers are matched to questions by `order`, so it must stay 1..n.
+ */
+const createQuestionOrdering = (firestore) => {
+  const readOrdered = async (transaction, questionsRef) => {
+    const snapshot = await transaction.get(questionsRef.orderBy("order"));
+    return snapshot.docs;
+  };
+
+  // Add a question after the current last one; returns { id, path, order }
+  const add = (parentRef, questionsRef, questionData) =>
+    firestore.runTransaction(async (transaction) => {
+      const docs = await readOrdered(transaction, questionsRef);
+      const order = docs.reduce((max, doc) => Math.max(max, doc.get("order") || 0), 0) + 1;
+      const questionRef = questionsRef.doc();
+
+      transaction.set(questionRef, { ...questionData, order });
+      transaction.set(parentRef, { lastQuestionOrder: order }, { merge: true });
+
+      return { id: questionRef.id, path: questionRef.path, order };
+    });
+
+  /**
+   * Add many questions after the current last one, keeping their given
+   * order. Each chunk of `chunkSize` is appended in its own transaction, so
+   * a failure part-way leaves the earlier chunks saved; `onChunk` is called
+   * with each saved chunk's [{ id, path, order }].
+   */
+  const addMany = async (parentRef, questionsRef, questionDataList, { chunkSize = 400, onChunk } = {}) => {
+    const added = [];
+
+    for (let start = 0; start < questionDataList.length; start += chunkSize) {
+      const chunk = questionDataList.slice(start, start + chunkSize);
+
+      const chunkAdded = await firestore.runTransaction(async (transaction) => {
+        const docs = await readOrdered(transaction, questionsRef);
+        const lastOrder = docs.reduce((max, doc) => Math.max(max, doc.get("order") || 0), 0);
+
+        const saved = chunk.map((questionData, index) => {
+          const questionRef = questionsRef.doc();
+          const order = lastOrder + index + 1;
+          transaction.set(questionRef, { ...questionData, order });
+          return { id: questionRef.id, path: questionRef.path, order };
+        });
+        transaction.set(parentRef, { lastQuestionOrder: lastOrder + chunk.length }, { merge: true });
+
+        return saved;
+      });
+
+      added.push(...chunkAdded);
+      if (onChunk) onChunk(chunkAdded);
+    }
+
+    return added;
+  };
+
+  // Give `orderedDocs` orders 1..n, writing only the ones that changed
+  const renumber = (transaction, parentRef, orderedDocs) => {
+    orderedDocs.forEach((doc, index) => {
+      if (doc.get("order") !== index + 1) {
+        transaction.update(doc.ref, { order: index + 1 });
+      }
+    });
+    transaction.set(parentRef, { lastQuestionOrder: orderedDocs.length }, { merge: true });
+  };
+
+  // Delete a question and close the gap it leaves; false when it does not exist
+  const remove = (parentRef, questionsRef, questionId) =>
+    firestore.runTransaction(async (transaction) => {
+      const docs = await readOrdered(transaction, questionsRef);
+      const target = docs.find((doc) => doc.id === questionId);
+      if (!target) {
+        return false;
+      }
+
+      transaction.delete(target.ref);
+      renumber(transaction, parentRef, docs.filter((doc) => doc !== target));
+      return true;
+    });
+
+  /**
+   * Renumber questions to follow `questionIds`, which must list every
+   * question exactly once. Returns { missing, unknown } ID lists; nothing is
+   * written unless both are empty.
+   */
+  const reorder = (parentRef, questionsRef, questionIds) =>
+    firestore.runTransaction(async (transaction) => {
+      const docs = await readOrdered(transaction, questionsRef);
+      const docsById = new Map(docs.map((doc) => [doc.id, doc]));
+
+      const missing = docs.map((doc) => doc.id).filter((id) => !questionIds.includes(id));
+      const unknown = questionIds.filter((id) => !docsById.has(id));
+
+      if (missing.length === 0 && unknown.length === 0) {
+        renumber(transaction, parentRef, questionIds.map((id) => docsById.get(id)));
+      }
+
+      return { missing, unknown };
+    });
+
+  return {
+    add,
+    addMany,
+    remove,
+    reorder
+  };
+};
+
+module.exports = createQuestionOrdering;
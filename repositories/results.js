@@ -0,0 +1,99 @@
+// Computed exam results (RTDB Results/{examTitle}/{registrationNumber}) and
+// the per-exam computation status (RTDB ResultComputations/{examTitle})
+const createResultsRepository = ({ realtimeDatabase }) => {
+  const resultsRef = realtimeDatabase.ref("Results");
+  const computationsRef = realtimeDatabase.ref("ResultComputations");
+
+  // Replace every stored result of an exam, keyed by registration number
+  const replaceExamResults = async (examTitle, resultsByRegistration) => {
+    await resultsRef.child(examTitle).set(resultsByRegistration);
+  };
+
+  const listByExam = async (examTitle) => {
+    const snapshot = await resultsRef.child(examTitle).once("value");
+    return Object.entries(snapshot.val() || {}).map(([registrationNumber, result]) => ({
+      registrationNumber,
+      ...result
+    }));
+  };
+
+  // All results, keyed by exam then registration number
+  const listAll = async () => {
+    const snapshot = await resultsRef.once("value");
+    return snapshot.val();
+  };
+
+  /**
+   * Every stored result as { examTitle, registrationNumber, ...result },
+   * reading one exam at a time so only a single exam is held in memory.
+   */
+  const iterateAll = async function* () {
+    let lastExamTitle = null;
+
+    for (;;) {
+      let query = resultsRef.orderByKey().limitToFirst(1);
+      if (lastExamTitle !== null) {
+        query = query.startAfter(lastExamTitle);
+      }
+
+      const snapshot = await query.once("value");
+      const page = snapshot.val();
+      if (!page) {
+        return;
+      }
+
+      const [examTitle, examResults] = Object.entries(page)[0];
+      lastExamTitle = examTitle;
+
+      for (const [registrationNumber, result] of Object.entries(examResults || {})) {
+        yield { examTitle, registrationNumber, ...result };
+      }
+    }
+  };
+
+  const getComputation = async (examTitle) => {
+    const snapshot = await computationsRef.child(examTitle).once("value");
+    return snapshot.val();
+  };
+
+  /**
+   * Atomically mark an exam's computation as running. Fails (acquired: false)
+   * while another run started less than staleAfterMs ago, and when results
+   * were already computed unless `force` is set. Returns { acquired, computation }.
+   */
+  const startComputation = async (examTitle, { startedBy, staleAfterMs, force }) => {
+    const now = Date.now();
+
+    const { committed, snapshot } = await computationsRef.child(examTitle).transaction((current) => {
+      if (current && current.status === "running" && now - current.startedAt < staleAfterMs) {
+        return undefined;
+      }
+      if (current && current.status === "completed" && !force) {
+        return undefined;
+      }
+
+      return { ...(current || {}), status: "running", startedAt: now, startedBy: startedBy || null };
+    });
+
+    return { acquired: committed, computation: snapshot.val() };
+  };
+
+  const finishComputation = async (examTitle, outcome) => {
+    await computationsRef.child(examTitle).update({
+      ...outcome,
+      finishedAt: Date.now()
+    });
+  };
+
+  return {
+    replaceExamResults,
+    listByExam,
+    listAll,
+    iterateAll,
+    getComputation,
+    startComputation,
+    finishComputation
+  };
+};
+
+module.exports = createResultsRepository;
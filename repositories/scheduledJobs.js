@@ -0,0 +1,91 @@
+// Background jobs run by the in-process scheduler (RTDB ScheduledJobs/{jobId})
+const createScheduledJobsRepository = ({ realtimeDatabase }) => {
+  const jobsRef = realtimeDatabase.ref("ScheduledJobs");
+
+  const list = async () => {
+    const snapshot = await jobsRef.once("value");
+    return Object.entries(snapshot.val() || {}).map(([id, job]) => ({ id, ...job }));
+  };
+
+  const get = async (jobId) => {
+    const snapshot = await jobsRef.child(jobId).once("value");
+    return snapshot.exists() ? { id: jobId, ...snapshot.val() } : null;
+  };
+
+  const save = async (jobId, job) => {
+    await jobsRef.child(jobId).set(job);
+  };
+
+  const update = async (jobId, updates) => {
+    await jobsRef.child(jobId).update(updates);
+  };
+
+  const remove = async (jobId) => {
+    await jobsRef.child(jobId).remove();
+  };
+
+  /**
+   * Atomically take a due job: pending with runAt <= now, or running with an
+   * expired lock (its process died). Returns { claimed, job }.
+   */
+  const claim = async (jobId, { now, lockMs }) => {
+    const { committed, snapshot } = await jobsRef.child(jobId).transaction((current) => {
+      if (!current) {
+        return current;
+      }
+
+      const due = current.status === "pending" && current.runAt <= now;
+      const abandoned = current.status === "running" && current.lockedUntil < now;
+      if (!due && !abandoned) {
+        return undefined;
+      }
+
+      return {
+        ...current,
+        status: "running",
+        attempts: (current.attempts || 0) + 1,
+        startedAt: now,
+        lockedUntil: now + lockMs
+      };
+    });
+
+    const job = snapshot.val();
+    return { claimed: committed && Boolean(job), job: job && { id: jobId, ...job } };
+  };
+
+  /**
+   * Atomically cancel a job that has not started. Returns { status, job }
+   * where status is "cancelled", "not_found" or "not_pending".
+   */
+  const cancel = async (jobId, { cancelledBy, now }) => {
+    let outcome = "not_found";
+
+    const { snapshot } = await jobsRef.child(jobId).transaction((current) => {
+      if (!current) {
+        outcome = "not_found";
+        return current;
+      }
+      if (current.status !== "pending") {
+        outcome = "not_pending";
+        return undefined;
+      }
+
+      outcome = "cancelled";
+      return { ...current, status: "cancelled", cancelledBy, finishedAt: now };
+    });
+
+    return { status: outcome, job: snapshot.val() && { id: jobId, ...snapshot.val() } };
+  };
+
+  return {
+    list,
+    get,
+    save,
+    update,
+    remove,
+    claim,
+    cancel
+  };
+};
+
+module.exports = createScheduledJobsRepository;
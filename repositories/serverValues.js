@@ -0,0 +1,12 @@
+const admin = require("firebase-admin");
+
+// Server-side timestamp sentinels (static helpers, no initialized app needed)
+const rtdbTimestamp = () => admin.database.ServerValue.TIMESTAMP;
+const firestoreTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+const firestoreDeleteField = () => admin.firestore.FieldValue.delete();
+
+module.exports = {
+  rtdbTimestamp,
+  firestoreTimestamp,
+  firestoreDeleteField
+};
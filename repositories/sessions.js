@@ -0,0 +1,30 @@
+// Admin sessions (RTDB AdminSessions, keyed by session ID)
+const createSessionsRepository = ({ realtimeDatabase }) => {
+  const sessionsRef = realtimeDatabase.ref("AdminSessions");
+
+  const get = async (sessionId) => {
+    const snapshot = await sessionsRef.child(sessionId).once("value");
+    return snapshot.val();
+  };
+
+  const create = async (sessionId, session) => {
+    await sessionsRef.child(sessionId).set(session);
+  };
+
+  const update = async (sessionId, updates) => {
+    await sessionsRef.child(sessionId).update(updates);
+  };
+
+  const remove = async (sessionId) => {
+    await sessionsRef.child(sessionId).remove();
+  };
+
+  return {
+    get,
+    create,
+    update,
+    remove
+  };
+};
+
+module.exports = createSessionsRepository;
@@ -0,0 +1,50 @@
+const { rtdbTimestamp } = require("./serverValues");
+
+// Syllabus links (RTDB Syllabus/{id}) and exam Q&A links (RTDB ExamQA/{id})
+const createSyllabusRepository = ({ realtimeDatabase }) => {
+  const syllabusRef = realtimeDatabase.ref("Syllabus");
+  const examQARef = realtimeDatabase.ref("ExamQA");
+
+  const create = async (syllabusId, syllabus) => {
+    await syllabusRef.child(syllabusId).set({
+      ...syllabus,
+      updatedAt: rtdbTimestamp()
+    });
+  };
+
+  const list = async () => {
+    const snapshot = await syllabusRef.once("value");
+    return snapshot.val();
+  };
+
+  const get = async (syllabusId) => {
+    const snapshot = await syllabusRef.child(syllabusId).once("value");
+    return snapshot.val();
+  };
+
+  const update = async (syllabusId, updates) => {
+    await syllabusRef.child(syllabusId).update({
+      ...updates,
+      updatedAt: rtdbTimestamp()
+    });
+  };
+
+  const remove = async (syllabusId) => {
+    await syllabusRef.child(syllabusId).remove();
+  };
+
+  const createExamQA = async (qaId, qa) => {
+    await examQARef.child(qaId).set(qa);
+  };
+
+  return {
+    create,
+    list,
+    get,
+    update,
+    remove,
+    createExamQA
+  };
+};
+
+module.exports = createSyllabusRepository;
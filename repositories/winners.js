@@ -0,0 +1,63 @@
+// Exam winners (RTDB Winners/{examTitle}/{registrationNumber}) and the
+// generated winner lists awaiting confirmation (RTDB WinnerPreviews/{previewId})
+const createWinnersRepository = ({ realtimeDatabase }) => {
+  const winnersRef = realtimeDatabase.ref("Winners");
+  const previewsRef = realtimeDatabase.ref("WinnerPreviews");
+
+  // All winners, keyed by exam then registration number
+  const listAll = async () => {
+    const snapshot = await winnersRef.once("value");
+    return snapshot.val();
+  };
+
+  // Returns the new preview's ID
+  const createPreview = async (preview) => {
+    const previewRef = previewsRef.push();
+    await previewRef.set(preview);
+    return previewRef.key;
+  };
+
+  const getPreview = async (previewId) => {
+    const snapshot = await previewsRef.child(previewId).once("value");
+    return snapshot.val();
+  };
+
+  const removePreview = async (previewId) => {
+    await previewsRef.child(previewId).remove();
+  };
+
+  // Client-generated key for a new entry under a winner's history
+  const newHistoryKey = (examTitle, registrationNumber) =>
+    winnersRef.child(examTitle).child(registrationNumber).child("history").push().key;
+
+  /**
+   * Read-modify-write a winner in an RTDB transaction. `apply(current)`
+   * returns the new value, or undefined to abort. Returns { committed, winner }.
+   */
+  const transact = async (examTitle, registrationNumber, apply) => {
+    const { committed, snapshot } = await winnersRef.child(examTitle).child(registrationNumber).transaction(apply);
+    return { committed, winner: snapshot.val() };
+  };
+
+  /**
+   * Read-modify-write all winners of an exam in an RTDB transaction.
+   * `apply(current)` returns the new value, or undefined to abort.
+   * Returns { committed, winners }.
+   */
+  const transactExam = async (examTitle, apply) => {
+    const { committed, snapshot } = await winnersRef.child(examTitle).transaction(apply);
+    return { committed, winners: snapshot.val() };
+  };
+
+  return {
+    listAll,
+    createPreview,
+    getPreview,
+    removePreview,
+    newHistoryKey,
+    transact,
+    transactExam
+  };
+};
+
+module.exports = createWinnersRepository;
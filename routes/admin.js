@@ -0,0 +1,171 @@
+const express = require("express");
+const { ROLES } = require("../auth/roles");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+const permissionsFor = (role) => (ROLES[role] ? ROLES[role].permissions : []);
+
+// Admin login/logout and admin user management
+const createAdminRouter = ({ services, authenticate, requirePermission, audit }) => {
+  const router = express.Router();
+  const authService = services.auth;
+
+  const auditAdminUser = (path) => audit({ entity: "adminUser", store: "rtdb", path });
+
+  // Admin login: checks the salted password hash and starts a session
+  router.post("/admin/login", validate(schemas.adminLogin), async (req, res) => {
+    const { userid, password } = req.body;
+
+    try {
+      const user = await authService.verifyCredentials(userid, password);
+
+      if (!user) {
+        return res.status(401).json({ error: "Invalid User ID or Password." });
+      }
+
+      const session = await authService.createSession(user.userid);
+
+      return res.status(200).json({
+        message: "Login successful!",
+        user: authService.toPublicUser(user),
+        permissions: permissionsFor(user.role),
+        ...session
+      });
+    } catch (error) {
+      console.error("Error during admin login:", error);
+      return res.status(500).json({ error: "Internal Server Error." });
+    }
+  });
+
+  // Exchange a refresh token for a new access token
+  router.post("/admin/refresh", validate(schemas.adminRefresh), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const session = await authService.refreshSession(refreshToken);
+
+      if (!session) {
+        return res.status(401).json({ error: "Invalid or expired refresh token." });
+      }
+
+      return res.status(200).json({
+        message: "Session refreshed",
+        ...session
+      });
+    } catch (error) {
+      console.error("Error refreshing admin session:", error);
+      return res.status(500).json({ error: "Internal Server Error." });
+    }
+  });
+
+  // End the current admin session
+  router.post("/admin/logout", validate(schemas.adminLogout), async (req, res) => {
+    try {
+      await authService.removeSession(req.admin.sessionId);
+      return res.status(200).json({ message: "Logged out successfully" });
+    } catch (error) {
+      console.error("Error logging out admin:", error);
+      return res.status(500).json({ error: "Internal Server Error." });
+    }
+  });
+
+  // Current admin session details
+  router.get("/admin/session", authenticate, validate(schemas.adminSession), (req, res) => {
+    res.status(200).json({
+      userid: req.admin.userid,
+      name: req.admin.name,
+      role: req.admin.role,
+      permissions: permissionsFor(req.admin.role)
+    });
+  });
+
+  // List the available roles
+  router.get("/admin/roles", requirePermission("adminUsers:read"), validate(schemas.listAdminRoles), (req, res) => {
+    res.status(200).json({ roles: ROLES });
+  });
+
+  // List admin accounts
+  router.get("/admin/users", requirePermission("adminUsers:read"), validate(schemas.listAdminUsers), async (req, res) => {
+    try {
+      const users = await authService.listUsers();
+      res.status(200).json({ users });
+    } catch (error) {
+      console.error("Error fetching admin users:", error);
+      res.status(500).json({ error: "Failed to fetch admin users" });
+    }
+  });
+
+  // Create an admin account
+  router.post("/admin/users", requirePermission("adminUsers:write"), validate(schemas.createAdminUser), auditAdminUser((req) => `AdminUsers/${req.body.userid}`), async (req, res) => {
+    const { userid, password, role, name } = req.body;
+
+    try {
+      if (await authService.getUser(userid)) {
+        return res.status(409).json({ error: "Admin user already exists" });
+      }
+
+      const user = await authService.createUser({ userid, password, role, name });
+
+      res.status(201).json({
+        message: "Admin user created successfully",
+        user
+      });
+    } catch (error) {
+      console.error("Error creating admin user:", error);
+      res.status(500).json({ error: "Failed to create admin user" });
+    }
+  });
+
+  // Update an admin account (role, name, password, disabled)
+  router.put("/admin/users/:userid", requirePermission("adminUsers:write"), validate(schemas.updateAdminUser), auditAdminUser((req) => `AdminUsers/${req.params.userid}`), async (req, res) => {
+    const { userid } = req.params;
+    const { password, role, name, disabled } = req.body;
+
+    try {
+      if (!(await authService.getUser(userid))) {
+        return res.status(404).json({ error: "Admin user not found" });
+      }
+
+      // Admins cannot lock themselves out
+      if (userid === req.admin.userid && ((role !== undefined && role !== req.admin.role) || disabled)) {
+        return res.status(400).json({ error: "You cannot change your own role or disable your own account" });
+      }
+
+      const user = await authService.updateUser(userid, { password, role, name, disabled });
+
+      res.status(200).json({
+        message: "Admin user updated successfully",
+        user
+      });
+    } catch (error) {
+      console.error("Error updating admin user:", error);
+      res.status(500).json({ error: "Failed to update admin user" });
+    }
+  });
+
+  // Delete an admin account
+  router.delete("/admin/users/:userid", requirePermission("adminUsers:write"), validate(schemas.deleteAdminUser), auditAdminUser((req) => `AdminUsers/${req.params.userid}`), async (req, res) => {
+    const { userid } = req.params;
+
+    try {
+      if (userid === req.admin.userid) {
+        return res.status(400).json({ error: "You cannot delete your own account" });
+      }
+
+      if (!(await authService.getUser(userid))) {
+        return res.status(404).json({ error: "Admin user not found" });
+      }
+
+      await authService.deleteUser(userid);
+
+      res.status(200).json({ message: "Admin user deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting admin user:", error);
+      res.status(500).json({ error: "Failed to delete admin user" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
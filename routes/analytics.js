@@ -0,0 +1,37 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// Question quality reports for content editors
+const createAnalyticsRouter = ({ repositories, services, requirePermission }) => {
+  const router = express.Router();
+
+  // API for per-question item analysis of an exam
+  router.get("/exams/:examTitle/analytics", requirePermission("exams:read"), validate(schemas.getExamAnalytics), async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      if (!(await repositories.exams.examExists(examTitle))) {
+        return res.status(404).json({ success: false, error: "Exam not found" });
+      }
+
+      const analytics = await services.analytics.analyzeExam(examTitle);
+
+      res.status(200).json({
+        success: true,
+        ...analytics
+      });
+    } catch (error) {
+      console.error("Error computing exam analytics:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to compute exam analytics",
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAnalyticsRouter;
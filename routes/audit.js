@@ -0,0 +1,52 @@
+const express = require("express");
+const moment = require("moment");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// ISO 8601 date or epoch milliseconds -> epoch ms (NaN when invalid)
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  const parsed = /^\d+$/.test(value) ? moment(Number(value)) : moment(value, moment.ISO_8601);
+  return parsed.isValid() ? parsed.valueOf() : NaN;
+};
+
+const createAuditRouter = ({ services, requirePermission }) => {
+  const router = express.Router();
+
+  // Query the audit trail: ?actor=&entity=&from=&to=&limit=
+  router.get("/audit", requirePermission("audit:read"), validate(schemas.queryAuditLog), async (req, res) => {
+    const { actor, entity, from, to, limit } = req.query;
+
+    try {
+      const fromTime = parseDate(from);
+      const toTime = parseDate(to);
+
+      if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        return res.status(400).json({ error: "Invalid date range. Use ISO 8601 dates or epoch milliseconds." });
+      }
+
+      const entries = await services.audit.query({
+        actor,
+        entity,
+        from: fromTime,
+        to: toTime,
+        limit
+      });
+
+      res.status(200).json({
+        count: entries.length,
+        entries
+      });
+    } catch (error) {
+      console.error("Error fetching audit log:", error);
+      res.status(500).json({
+        error: "Failed to fetch audit log",
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAuditRouter;
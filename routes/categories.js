@@ -0,0 +1,69 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+//Practice test category apis
+const createCategoriesRouter = ({ repositories, requirePermission, audit }) => {
+  const router = express.Router();
+  const categories = repositories.practiceCategories;
+
+  const auditCategory = audit({ entity: "practiceCategory", store: "rtdb", path: (req) => `Practicecategories/${req.params.id}` });
+
+  // Create category
+  router.post("/categories", requirePermission("practiceTests:write"), validate(schemas.createCategory), audit({ entity: "practiceCategory", store: "rtdb", path: () => "Practicecategories", create: true }), async (req, res) => {
+    try {
+      const { name } = req.body;
+
+      const id = await categories.create(name);
+      res.locals.auditPath = `Practicecategories/${id}`;
+
+      res.status(201).json({
+        id,
+        name
+      });
+    } catch (error) {
+      console.error("Error creating category:", error);
+      res.status(500).json({ error: "Failed to create category" });
+    }
+  });
+
+  // Get all categories
+  router.get("/categories", validate(schemas.listCategories), async (req, res) => {
+    try {
+      res.json(await categories.list());
+    } catch (error) {
+      console.error("Error fetching categories:", error);
+      res.status(500).json({ error: "Failed to fetch categories" });
+    }
+  });
+
+  // Update category
+  router.put("/categories/:id", requirePermission("practiceTests:write"), validate(schemas.updateCategory), auditCategory, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+
+      await categories.rename(id, name);
+
+      res.json({ id, name });
+    } catch (error) {
+      console.error("Error updating category:", error);
+      res.status(500).json({ error: "Failed to update category" });
+    }
+  });
+
+  // Delete category
+  router.delete("/categories/:id", requirePermission("practiceTests:write"), validate(schemas.deleteCategory), auditCategory, async (req, res) => {
+    try {
+      await categories.remove(req.params.id);
+      res.json({ message: "Category deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      res.status(500).json({ error: "Failed to delete category" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createCategoriesRouter;
@@ -0,0 +1,48 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// Candidate concerns
+const createConcernsRouter = ({ repositories, requirePermission, audit }) => {
+  const router = express.Router();
+
+  // API to get all concerns from Firestore
+  router.get("/concerns", requirePermission("concerns:read"), validate(schemas.listConcerns), async (req, res) => {
+    try {
+      const concerns = await repositories.concerns.list();
+
+      if (concerns.length === 0) {
+        return res.status(404).json({
+          message: "No concerns found",
+        });
+      }
+
+      // Return concerns to the client
+      res.status(200).json({
+        concerns,
+      });
+    } catch (error) {
+      console.error("Error fetching concerns:", error);
+      res.status(500).json({
+        error: "Failed to fetch concerns",
+        details: error.message,
+      });
+    }
+  });
+
+  // API to delete a concern
+  router.delete("/concerns/:id", requirePermission("concerns:write"), validate(schemas.deleteConcern), audit({ entity: "concern", store: "firestore", path: (req) => `concerns/${req.params.id}` }), async (req, res) => {
+    try {
+      await repositories.concerns.remove(req.params.id);
+
+      res.status(200).json({ message: "Concern deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting concern:", error);
+      res.status(500).json({ error: "Failed to delete concern", details: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createConcernsRouter;
@@ -0,0 +1,109 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// Questions as candidates see them: without the answers or storage details
+const candidateQuestion = ({ correctAnswer, tolerance, imagePath, timestamp, ...question }) => question;
+
+// Live exam status, candidate reads gated by the exam window, and extra-time grants
+const createExamWindowRouter = ({ repositories, services, requirePermission, requireExamWindow, audit }) => {
+  const router = express.Router();
+
+  const auditExtraTime = audit({ entity: "extraTime", store: "rtdb", path: (req) => `ExamExtraTime/${req.params.examTitle}/${req.params.registrationNumber}` });
+
+  // API for the exam state (upcoming, live or closed) with a countdown from the server clock
+  router.get("/exams/:examTitle/status", validate(schemas.getExamStatus), async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      const status = await services.examWindow.getExamStatus(examTitle, { registrationNumber: req.query.registrationNumber });
+
+      if (!status) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      res.status(200).json(status);
+    } catch (error) {
+      console.error("Error fetching exam status:", error);
+      res.status(500).json({ error: "Failed to fetch exam status", details: error.message });
+    }
+  });
+
+  // API for a candidate to read the exam's questions while it is live for them
+  router.get("/candidate/exams/:examTitle/questions", validate(schemas.listCandidateExamQuestions), requireExamWindow, async (req, res) => {
+    try {
+      const questions = await repositories.exams.listQuestions(req.params.examTitle);
+
+      res.status(200).json({
+        exam: req.examWindow,
+        questions: questions.map(candidateQuestion)
+      });
+    } catch (error) {
+      console.error("Error fetching candidate exam questions:", error);
+      res.status(500).json({ error: "Failed to fetch exam questions" });
+    }
+  });
+
+  // API for a candidate to read back their saved answers while the exam is live for them
+  router.get("/candidate/exams/:examTitle/answers", validate(schemas.listCandidateExamAnswers), requireExamWindow, async (req, res) => {
+    try {
+      const answers = await repositories.candidates.listAnswers(req.query.registrationNumber);
+
+      res.status(200).json({
+        exam: req.examWindow,
+        answers
+      });
+    } catch (error) {
+      console.error("Error fetching candidate answers:", error);
+      res.status(500).json({ error: "Failed to fetch answers" });
+    }
+  });
+
+  router.get("/exams/:examTitle/extra-time", requirePermission("exams:read"), validate(schemas.listExtraTime), async (req, res) => {
+    try {
+      const grants = await services.examWindow.listExtraTime(req.params.examTitle);
+
+      res.status(200).json({ examTitle: req.params.examTitle, grants });
+    } catch (error) {
+      console.error("Error fetching extra time grants:", error);
+      res.status(500).json({ error: "Failed to fetch extra time grants" });
+    }
+  });
+
+  // API to give one candidate extra minutes after the exam's end (accessibility arrangements)
+  router.put("/exams/:examTitle/extra-time/:registrationNumber", requirePermission("exams:write"), validate(schemas.grantExtraTime), auditExtraTime, async (req, res) => {
+    const { examTitle, registrationNumber } = req.params;
+
+    try {
+      const saved = await services.examWindow.grantExtraTime(examTitle, registrationNumber, req.body, req.admin.userid);
+
+      if (saved.status === "not_candidate") {
+        return res.status(404).json({ error: "No candidate with this registration number is registered for the exam" });
+      }
+
+      res.status(200).json({ message: "Extra time granted", examTitle, grant: saved.grant });
+    } catch (error) {
+      console.error("Error granting extra time:", error);
+      res.status(500).json({ error: "Failed to grant extra time" });
+    }
+  });
+
+  router.delete("/exams/:examTitle/extra-time/:registrationNumber", requirePermission("exams:write"), validate(schemas.revokeExtraTime), auditExtraTime, async (req, res) => {
+    const { examTitle, registrationNumber } = req.params;
+
+    try {
+      if (!(await services.examWindow.revokeExtraTime(examTitle, registrationNumber))) {
+        return res.status(404).json({ error: "This candidate has no extra time" });
+      }
+
+      res.status(200).json({ message: "Extra time revoked" });
+    } catch (error) {
+      console.error("Error revoking extra time:", error);
+      res.status(500).json({ error: "Failed to revoke extra time" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createExamWindowRouter;
@@ -0,0 +1,645 @@
+const express = require("express");
+const { imageUpload, questionImportUpload, bundleUpload } = require("../middleware/uploads");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+const { normalizeQuestionDefinition } = require("../services/questionTypes");
+const { firestoreDeleteField } = require("../repositories/serverValues");
+const { examStatus } = require("../services/examStatus");
+const { scoringSettingsOf } = require("../services/scoring");
+const { toImportResponse } = require("../services/questionImport");
+const sanitizeFilename = require("../utils/sanitizeFilename");
+
+// Firestore Timestamps to ISO strings for JSON responses
+const toIsoString = (value) =>
+  (value && typeof value.toDate === "function" ? value.toDate().toISOString() : value || null);
+
+// Main exams: questions, schedule and listing
+const createExamsRouter = ({ repositories, services, requirePermission, audit }) => {
+  const router = express.Router();
+  const exams = repositories.exams;
+  const { questionImages, examImages, questionImport, questionPaper, examBundles } = services;
+
+  const auditQuestion = audit({ entity: "examQuestion", store: "firestore", path: (req) => `Exams/${req.params.examTitle}/Questions/${req.params.questionId}` });
+  const auditNewQuestion = audit({ entity: "examQuestion", store: "firestore", path: (req) => `Exams/${req.params.examTitle}/Questions`, create: true });
+  const auditImport = audit({ entity: "examQuestion", store: "firestore", path: (req) => `Exams/${req.params.examTitle}/Questions`, snapshot: false });
+  const auditReorder = audit({ entity: "examQuestion", store: "firestore", path: (req) => `Exams/${req.params.examTitle}/Questions`, snapshot: false });
+  const auditExam = audit({ entity: "exam", store: "firestore", path: (req) => `Exams/${req.params.examTitle}` });
+  const auditNewExam = audit({ entity: "exam", store: "firestore", path: () => "Exams", create: true });
+  const auditImageMigration = audit({ entity: "examQuestion", store: "firestore", path: () => "Exams", snapshot: false });
+  const auditSchedule = audit({ entity: "examSchedule", store: "rtdb", path: (req) => `ExamDateTime/${req.params.examTitle}` });
+
+  // Delete an image uploaded for a question that failed to save; a leftover file is only logged
+  const removeUnsavedImage = async (storedImage) => {
+    if (!storedImage) {
+      return;
+    }
+    try {
+      await questionImages.remove(storedImage);
+    } catch (deleteError) {
+      console.warn("Error deleting unsaved image:", deleteError);
+    }
+  };
+
+  // API to create an exam with its metadata
+  router.post("/exams", requirePermission("exams:write"), validate(schemas.createExam), auditNewExam, async (req, res) => {
+    const { title, description, status } = req.body;
+
+    try {
+      if (await exams.examExists(title)) {
+        return res.status(409).json({ error: "An exam with this title already exists" });
+      }
+
+      const examDoc = await exams.createExam(title, { title, description, status });
+      res.locals.auditPath = examDoc.path;
+
+      res.status(201).json({
+        message: "Exam created successfully",
+        exam: { id: examDoc.id, title, description, status }
+      });
+    } catch (error) {
+      console.error("Error creating exam:", error);
+      res.status(500).json({ error: "Failed to create exam", details: error.message });
+    }
+  });
+
+  // API to list exams without their questions
+  router.get("/exams/summary", requirePermission("exams:read"), validate(schemas.listExamSummaries), async (req, res) => {
+    try {
+      const examList = await exams.listExamSummaries();
+
+      const data = examList.map((exam) => ({
+        id: exam.id,
+        title: exam.title || exam.id,
+        description: exam.description || "",
+        status: examStatus(exam),
+        dateTime: exam.dateTime || null,
+        questionCount: exam.questionCount,
+        createdAt: toIsoString(exam.createdAt),
+        updatedAt: toIsoString(exam.updatedAt)
+      }));
+
+      res.status(200).json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error("Error fetching exam summaries:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch exams",
+        details: error.message
+      });
+    }
+  });
+
+  // API to update an exam's metadata or status; a new title renames the exam
+  router.put("/exams/:examTitle", requirePermission("exams:write"), validate(schemas.updateExam), auditExam, async (req, res) => {
+    const { examTitle } = req.params;
+    const { title, description, status } = req.body;
+
+    const updateData = {};
+    if (description !== undefined) updateData.description = description;
+    if (status !== undefined) updateData.status = status;
+
+    const renaming = title !== undefined && title !== examTitle;
+    if (!renaming && Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: "Provide a new title, description or status" });
+    }
+
+    try {
+      if (!(await exams.examExists(examTitle))) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      if (!renaming) {
+        await exams.updateExam(examTitle, updateData);
+        return res.status(200).json({ message: "Exam updated successfully", examTitle });
+      }
+
+      // Moves the exam document, its questions and its ExamDateTime schedule
+      const renamed = await exams.renameExam(examTitle, title, updateData);
+      if (renamed.status === "target_exists") {
+        return res.status(409).json({ error: "An exam with this title already exists" });
+      }
+      if (renamed.status === "has_outcomes") {
+        return res.status(409).json({
+          error: "This exam already has results, winners or extra time stored under its title and cannot be renamed",
+          nodes: renamed.nodes
+        });
+      }
+      if (renamed.status === "too_many_questions") {
+        return res.status(409).json({ error: `Only exams with at most ${renamed.limit} questions can be renamed` });
+      }
+      res.locals.auditPath = `Exams/${title}`;
+
+      res.status(200).json({
+        message: "Exam renamed successfully",
+        examTitle: title,
+        previousTitle: examTitle,
+        questionsMoved: renamed.questionsMoved
+      });
+    } catch (error) {
+      console.error("Error updating exam:", error);
+      res.status(500).json({ error: "Failed to update exam", details: error.message });
+    }
+  });
+
+  // API to update an exam's scoring settings (negative marking, partial credit)
+  router.put("/exams/:examTitle/settings", requirePermission("exams:write"), validate(schemas.updateExamSettings), auditExam, async (req, res) => {
+    const { examTitle } = req.params;
+    const { negativeMarkingRatio, partialCredit } = req.body;
+
+    const settings = {};
+    if (negativeMarkingRatio !== undefined) settings.negativeMarkingRatio = negativeMarkingRatio;
+    if (partialCredit !== undefined) settings.partialCredit = partialCredit;
+
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({ error: "Provide negativeMarkingRatio or partialCredit" });
+    }
+
+    try {
+      if (!(await exams.examExists(examTitle))) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      await exams.updateExam(examTitle, { settings });
+
+      res.status(200).json({
+        message: "Exam settings updated successfully",
+        settings: scoringSettingsOf(await exams.getExam(examTitle))
+      });
+    } catch (error) {
+      console.error("Error updating exam settings:", error);
+      res.status(500).json({ error: "Failed to update exam settings", details: error.message });
+    }
+  });
+
+  // API to delete an exam with its questions, question images and schedule
+  router.delete("/exams/:examTitle", requirePermission("exams:write"), validate(schemas.deleteExam), auditExam, async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      if (!(await exams.examExists(examTitle))) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      const deletedQuestions = await exams.deleteExam(examTitle);
+
+      // Delete stored images; leftover files are not worth failing the request
+      await Promise.all(deletedQuestions
+        .filter((question) => question.imageUrl)
+        .map((question) => questionImages.remove(question).catch((deleteError) => {
+          console.warn("Error deleting image:", deleteError);
+        })));
+
+      res.status(200).json({
+        message: "Exam deleted successfully",
+        questionsDeleted: deletedQuestions.length
+      });
+    } catch (error) {
+      console.error("Error deleting exam:", error);
+      res.status(500).json({ error: "Failed to delete exam", details: error.message });
+    }
+  });
+
+  // API to move legacy base64 question images into storage
+  router.post("/exams/migrate-images", requirePermission("exams:write"), validate(schemas.migrateExamImages), auditImageMigration, async (req, res) => {
+    const { examTitle, dryRun, compressImage } = req.body;
+
+    try {
+      const summary = await examImages.migrateInlineImages({ examTitle, dryRun, compress: compressImage });
+
+      res.status(200).json({
+        message: dryRun ? "Dry run complete, nothing was changed" : "Image migration complete",
+        ...summary
+      });
+    } catch (error) {
+      console.error("Error migrating exam images:", error);
+      res.status(500).json({ error: "Failed to migrate exam images", details: error.message });
+    }
+  });
+
+  // API to create an exam from an exam bundle (.zip), e.g. one exported from a practice test
+  router.post("/exams/import-bundle", requirePermission("exams:write"), bundleUpload.single("bundle"), validate(schemas.importExamBundle), auditNewExam, async (req, res) => {
+    const { title, includeSchedule, compressImage } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: "A bundle .zip file is required" });
+    }
+
+    try {
+      const result = await examBundles.importBundle(req.file.buffer, { kind: "exam", examTitle: title }, { includeSchedule, compressImage });
+      if (result.status === "invalid_bundle") {
+        return res.status(400).json({ error: result.message });
+      }
+      if (result.status === "exists") {
+        return res.status(409).json({ error: "An exam with this title already exists" });
+      }
+
+      // Point the audit entry at the imported exam only once it exists
+      if (result.status === "imported") {
+        res.locals.auditPath = `Exams/${title}`;
+      }
+
+      const [statusCode, body] = toImportResponse(result);
+      res.status(statusCode).json({ ...body, examTitle: title });
+    } catch (error) {
+      console.error("Error importing exam bundle:", error);
+      res.status(500).json({ error: "Failed to import exam bundle", details: error.message });
+    }
+  });
+
+  // API to download an exam as a bundle (.zip) for another environment or a practice test
+  router.get("/exams/:examTitle/bundle", requirePermission("exams:read"), validate(schemas.exportExamBundle), async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      const bundle = await examBundles.exportExam(examTitle);
+      if (!bundle) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${sanitizeFilename(examTitle)}-bundle.zip"`);
+      res.status(200).send(bundle);
+    } catch (error) {
+      console.error("Error exporting exam bundle:", error);
+      res.status(500).json({ error: "Failed to export exam bundle", details: error.message });
+    }
+  });
+
+  // API to add a question to a specific exam
+  router.post("/exams/:examTitle/questions", requirePermission("exams:write"), imageUpload.single("image"), validate(schemas.createExamQuestion), auditNewQuestion, async (req, res) => {
+    const { examTitle } = req.params;
+    const { question, compressImage } = req.body;
+    const image = req.file;
+    let storedImage;
+
+    try {
+      // The order is allocated when the question is saved
+      const questionData = {
+        question,
+        ...normalizeQuestionDefinition(req.body),
+        marks: req.body.marks ?? null,
+        timestamp: new Date().getTime()
+      };
+
+      // Handle image upload to storage if present
+      let imageUrl;
+      if (image) {
+        try {
+          storedImage = await questionImages.upload(image, examImages.folderFor(examTitle), { compress: compressImage });
+          imageUrl = storedImage.imageUrl;
+          Object.assign(questionData, storedImage);
+        } catch (uploadError) {
+          console.error("Error uploading image:", uploadError);
+          return res.status(500).json({ error: "Failed to upload image" });
+        }
+      }
+
+      // Add question to Firestore
+      const questionDoc = await exams.addQuestion(examTitle, questionData);
+      res.locals.auditPath = questionDoc.path;
+
+      res.status(200).json({
+        message: "Question added successfully",
+        questionId: questionDoc.id,
+        order: questionDoc.order,
+        imageUrl
+      });
+    } catch (error) {
+      console.error("Error saving question:", error);
+      await removeUnsavedImage(storedImage);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // API to add many questions from an uploaded CSV/XLSX/JSON file (dryRun to preview)
+  router.post("/exams/:examTitle/questions/import", requirePermission("exams:write"), questionImportUpload, validate(schemas.importExamQuestions), auditImport, async (req, res) => {
+    const { examTitle } = req.params;
+    const { dryRun, compressImage } = req.body;
+    const [file] = (req.files && req.files.file) || [];
+    const [imagesZip] = (req.files && req.files.images) || [];
+
+    if (!file) {
+      return res.status(400).json({ error: "A question file (.csv, .xlsx or .json) is required" });
+    }
+
+    try {
+      const result = await questionImport.importQuestions({
+        folder: examImages.folderFor(examTitle),
+        addQuestions: (questionDataList, options) => exams.addQuestions(examTitle, questionDataList.map((questionData) => ({
+          ...questionData,
+          timestamp: new Date().getTime()
+        })), options)
+      }, { file, imagesZip, dryRun, compressImage });
+
+      const [statusCode, body] = toImportResponse(result);
+      res.status(statusCode).json(body);
+    } catch (error) {
+      console.error("Error importing questions:", error);
+      res.status(500).json({ error: "Failed to import questions", details: error.message });
+    }
+  });
+
+  // API to set the question order from a complete, ordered list of question IDs
+  router.put("/exams/:examTitle/questions/reorder", requirePermission("exams:write"), validate(schemas.reorderExamQuestions), auditReorder, async (req, res) => {
+    const { examTitle } = req.params;
+    const { questionIds } = req.body;
+
+    try {
+      const { missing, unknown } = await exams.reorderQuestions(examTitle, questionIds);
+      if (missing.length > 0 || unknown.length > 0) {
+        return res.status(400).json({
+          error: "questionIds must list every question of the exam exactly once",
+          missing,
+          unknown
+        });
+      }
+
+      res.status(200).json({
+        message: "Questions reordered successfully",
+        order: questionIds.map((id, index) => ({ id, order: index + 1 }))
+      });
+    } catch (error) {
+      console.error("Error reordering questions:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.put("/exams/:examTitle/questions/:questionId", requirePermission("exams:write"), imageUpload.single("image"), validate(schemas.updateExamQuestion), auditQuestion, async (req, res) => {
+    const { examTitle, questionId } = req.params;
+    const { question, compressImage } = req.body;
+    const image = req.file;
+    let storedImage;
+
+    try {
+      // Get the current question data
+      const currentData = await exams.getQuestion(examTitle, questionId);
+      if (!currentData) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      // Marks keep their stored value unless the request sets them
+      const updateData = {
+        question,
+        ...normalizeQuestionDefinition(req.body),
+        ...(req.body.marks !== undefined && { marks: req.body.marks })
+      };
+
+      let imageUrl;
+      if (image) {
+        try {
+          storedImage = await questionImages.upload(image, examImages.folderFor(examTitle), { compress: compressImage });
+          imageUrl = storedImage.imageUrl;
+          Object.assign(updateData, storedImage);
+        } catch (uploadError) {
+          console.error("Error uploading image:", uploadError);
+          return res.status(500).json({ error: "Failed to upload image" });
+        }
+
+        // The new image replaces any legacy inline one
+        if (currentData.image !== undefined) {
+          updateData.image = firestoreDeleteField();
+        }
+      }
+
+      await exams.updateQuestion(examTitle, questionId, updateData);
+
+      // Delete the old stored image only once the question points at the new one
+      if (image && currentData.imageUrl) {
+        try {
+          await questionImages.remove(currentData);
+        } catch (deleteError) {
+          console.warn("Error deleting old image, continuing:", deleteError);
+        }
+      }
+
+      res.status(200).json({ message: "Question updated successfully", imageUrl });
+    } catch (error) {
+      console.error("Error updating question:", error);
+      await removeUnsavedImage(storedImage);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  router.delete("/exams/:examTitle/questions/:questionId", requirePermission("exams:write"), validate(schemas.deleteExamQuestion), auditQuestion, async (req, res) => {
+    const { examTitle, questionId } = req.params;
+
+    try {
+      // Get the question data to check for image
+      const questionData = await exams.getQuestion(examTitle, questionId);
+      if (!questionData) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      // Delete the question document and close the gap in the order
+      if (!(await exams.deleteQuestion(examTitle, questionId))) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      // Delete its image from storage; a leftover file is not worth failing the request
+      if (questionData.imageUrl) {
+        try {
+          await questionImages.remove(questionData);
+        } catch (deleteError) {
+          console.warn("Error deleting image:", deleteError);
+        }
+      }
+
+      res.status(200).json({ message: "Question deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting question:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // API to save exam date and time
+  router.post("/exams/:examTitle/date-time", requirePermission("exams:write"), validate(schemas.saveExamDateTime), auditSchedule, async (req, res) => {
+    const { examTitle } = req.params;
+    const { allowOverlap, ...input } = req.body;
+
+    try {
+      // Save to Realtime Database and mirror on the Firestore exam document
+      const saved = await services.schedule.saveExamSchedule(examTitle, input, { allowOverlap });
+
+      if (saved.status === "invalid") {
+        return res.status(400).json({ error: "Validation failed", fields: saved.errors });
+      }
+      if (saved.status === "overlap") {
+        return res.status(409).json({
+          error: "The exam overlaps other scheduled exams",
+          conflicts: saved.conflicts
+        });
+      }
+
+      res.status(200).json({
+        message: "Exam details saved successfully",
+        data: {
+          examTitle,
+          ...saved.schedule
+        }
+      });
+    } catch (error) {
+      console.error("Error saving exam details:", error);
+      res.status(500).json({
+        error: "Failed to save exam details",
+        details: error.message
+      });
+    }
+  });
+
+  // API to get exam date and time
+  router.get("/exams/:examTitle/date-time", validate(schemas.getExamDateTime), async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      const dateTimeData = await exams.getDateTime(examTitle);
+
+      if (!dateTimeData) {
+        return res.status(404).json({
+          error: "Exam date and time not found"
+        });
+      }
+
+      res.status(200).json({
+        examTitle,
+        ...services.schedule.describe(dateTimeData)
+      });
+    } catch (error) {
+      console.error("Error fetching exam date and time:", error);
+      res.status(500).json({
+        error: "Failed to fetch exam date and time",
+        details: error.message
+      });
+    }
+  });
+
+  // Exam document plus derived status, count and (optionally) ordered questions
+  const expandExam = async (exam, includeQuestions) => {
+    const { id, ...examDetails } = exam;
+    const [questionCount, questions] = await Promise.all([
+      exams.countQuestions(id),
+      includeQuestions ? exams.listQuestions(id) : undefined
+    ]);
+
+    return {
+      id,
+      ...examDetails,
+      status: examStatus(examDetails),
+      examDetails,
+      questionCount,
+      ...(questions && { questions })
+    };
+  };
+
+  // API to list exams a page at a time; questions only with include=questions
+  router.get("/exams", requirePermission("exams:read"), validate(schemas.listExams), async (req, res) => {
+    const { limit, cursor, status, date, include } = req.query;
+
+    try {
+      const page = await exams.listExamsPage({
+        limit,
+        startAfter: cursor,
+        date,
+        filter: status ? (exam) => examStatus(exam) === status : undefined
+      });
+
+      // Subcollection reads for the page run in parallel
+      const data = await Promise.all(page.exams.map((exam) => expandExam(exam, include === "questions")));
+
+      res.status(200).json({
+        success: true,
+        data,
+        nextCursor: page.nextCursor,
+        hasMore: page.nextCursor !== null
+      });
+    } catch (error) {
+      console.error("Error fetching exams:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch exams",
+        details: error.message
+      });
+    }
+  });
+
+  // The exam's questions in `order` for the question paper PDFs; null when it has none
+  const loadPaper = async (examTitle) => {
+    const [exam, questions] = await Promise.all([exams.getExam(examTitle), exams.listQuestions(examTitle)]);
+    if (questions.length === 0) {
+      return null;
+    }
+
+    const dateTime = exam?.dateTime;
+    return {
+      key: `exam|${examTitle}`,
+      title: examTitle,
+      subtitle: dateTime ? [dateTime.date, dateTime.startTime && `${dateTime.startTime} - ${dateTime.endTime}`].filter(Boolean).join("  ") : null,
+      questions,
+      totalMarks: Number(dateTime?.marks) || 0
+    };
+  };
+
+  // API to download the question paper PDF (set=A|B|C shuffles the questions)
+  router.get("/exams/:examTitle/question-paper", requirePermission("exams:read"), validate(schemas.getExamQuestionPaper), async (req, res) => {
+    try {
+      const paper = await loadPaper(req.params.examTitle);
+      if (!paper) {
+        return res.status(404).json({ error: "Exam not found or has no questions" });
+      }
+
+      await questionPaper.sendQuestionPaper(res, paper, req.query);
+    } catch (error) {
+      console.error("Error generating question paper:", error);
+      res.status(500).json({ error: "Failed to generate question paper", details: error.message });
+    }
+  });
+
+  // API to download the answer key PDF for the requested sets
+  router.get("/exams/:examTitle/answer-key", requirePermission("exams:read"), validate(schemas.getExamAnswerKey), async (req, res) => {
+    const { sets, shuffleOptions } = req.query;
+
+    try {
+      const paper = await loadPaper(req.params.examTitle);
+      if (!paper) {
+        return res.status(404).json({ error: "Exam not found or has no questions" });
+      }
+
+      await questionPaper.sendAnswerKey(res, paper, { sets: sets ? [...new Set(sets.split(","))] : [], shuffleOptions });
+    } catch (error) {
+      console.error("Error generating answer key:", error);
+      res.status(500).json({ error: "Failed to generate answer key", details: error.message });
+    }
+  });
+
+  // API to get a single exam; questions only with include=questions
+  router.get("/exams/:examTitle", requirePermission("exams:read"), validate(schemas.getExam), async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      // Exams created implicitly by their questions have no document yet
+      const exam = (await exams.getExam(examTitle)) ??
+        ((await exams.examExists(examTitle)) ? { id: examTitle } : null);
+      if (!exam) {
+        return res.status(404).json({ success: false, error: "Exam not found" });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: await expandExam(exam, req.query.include === "questions")
+      });
+    } catch (error) {
+      console.error("Error fetching exam:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch exam",
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createExamsRouter;
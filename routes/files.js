@@ -0,0 +1,50 @@
+const express = require("express");
+const path = require("path");
+const { IMAGE_TYPES } = require("../services/questionImages");
+
+// The only types served inline: question images and PDF syllabi
+const SERVED_TYPES = { ...IMAGE_TYPES, pdf: "application/pdf" };
+
+// Content type is decided by the extension, never sniffed by the browser;
+// anything else is sent as a download so uploaded HTML or SVG cannot run
+const setFileHeaders = (res, filePath) => {
+  const type = SERVED_TYPES[path.extname(filePath).slice(1).toLowerCase()];
+
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Type", type || "application/octet-stream");
+  if (!type) {
+    res.setHeader("Content-Disposition", "attachment");
+  }
+};
+
+// Serves stored files for the local and in-memory storage backends.
+// Firebase Storage URLs point at Google Cloud directly, so nothing is mounted for it.
+const createFilesRouter = ({ storage }) => {
+  const router = express.Router();
+
+  if (storage.driver === "local") {
+    router.use("/files", express.static(storage.root, {
+      index: false,
+      dotfiles: "deny",
+      maxAge: "1y", // Cache for 1 year, like the bucket uploads
+      setHeaders: setFileHeaders
+    }));
+  }
+
+  if (storage.driver === "memory") {
+    router.get("/files/*", (req, res) => {
+      const file = storage.getFile(req.params[0]);
+
+      if (!file) {
+        return res.status(404).json({ error: "File not found" });
+      }
+
+      setFileHeaders(res, req.params[0]);
+      res.send(file.buffer);
+    });
+  }
+
+  return router;
+};
+
+module.exports = createFilesRouter;
@@ -0,0 +1,58 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// Background jobs of the scheduler (see services/jobs.js)
+const createJobsRouter = ({ services, requirePermission, audit }) => {
+  const router = express.Router();
+
+  // List jobs: ?status=&type=
+  router.get("/jobs", requirePermission("jobs:read"), validate(schemas.listJobs), async (req, res) => {
+    try {
+      const jobs = await services.jobs.listJobs(req.query);
+
+      res.status(200).json({ count: jobs.length, jobs });
+    } catch (error) {
+      console.error("Error fetching scheduled jobs:", error);
+      res.status(500).json({ error: "Failed to fetch scheduled jobs" });
+    }
+  });
+
+  router.get("/jobs/:id", requirePermission("jobs:read"), validate(schemas.getJob), async (req, res) => {
+    try {
+      const job = await services.jobs.getJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+
+      res.status(200).json(job);
+    } catch (error) {
+      console.error("Error fetching scheduled job:", error);
+      res.status(500).json({ error: "Failed to fetch scheduled job" });
+    }
+  });
+
+  // API to cancel a job that has not started; it stays listed as cancelled
+  router.post("/jobs/:id/cancel", requirePermission("jobs:write"), validate(schemas.cancelJob), audit({ entity: "scheduledJob", store: "rtdb", path: (req) => `ScheduledJobs/${req.params.id}` }), async (req, res) => {
+    try {
+      const { status, job } = await services.jobs.cancelJob(req.params.id, req.admin.userid);
+
+      if (status === "not_found") {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      if (status === "not_pending") {
+        return res.status(409).json({ error: `Only pending jobs can be cancelled; this one is ${job.status}`, job });
+      }
+
+      res.status(200).json({ message: "Job cancelled", job });
+    } catch (error) {
+      console.error("Error cancelling scheduled job:", error);
+      res.status(500).json({ error: "Failed to cancel scheduled job" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createJobsRouter;
@@ -0,0 +1,79 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// Outbound emails and SMS in the outbox (see services/messaging.js)
+const createMessagesRouter = ({ services, requirePermission, audit }) => {
+  const router = express.Router();
+
+  const auditMessage = audit({ entity: "outboxMessage", store: "rtdb", path: (req) => `MessageOutbox/${req.params.id}` });
+
+  // List messages: ?status=&channel=&template=
+  router.get("/messages", requirePermission("messages:read"), validate(schemas.listMessages), async (req, res) => {
+    try {
+      const messages = await services.messaging.listMessages(req.query);
+
+      res.status(200).json({ count: messages.length, channels: services.messaging.channels, messages });
+    } catch (error) {
+      console.error("Error fetching outbox messages:", error);
+      res.status(500).json({ error: "Failed to fetch outbox messages" });
+    }
+  });
+
+  router.get("/messages/:id", requirePermission("messages:read"), validate(schemas.getMessage), async (req, res) => {
+    try {
+      const message = await services.messaging.getMessage(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+
+      res.status(200).json(message);
+    } catch (error) {
+      console.error("Error fetching outbox message:", error);
+      res.status(500).json({ error: "Failed to fetch outbox message" });
+    }
+  });
+
+  // API to send a failed or cancelled message again, with a fresh set of attempts
+  router.post("/messages/:id/retry", requirePermission("messages:write"), validate(schemas.retryMessage), auditMessage, async (req, res) => {
+    try {
+      const { status, message } = await services.messaging.retryMessage(req.params.id);
+
+      if (status === "not_found") {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      if (status === "wrong_status") {
+        return res.status(409).json({ error: `Only failed or cancelled messages can be retried; this one is ${message.status}`, message });
+      }
+
+      res.status(200).json({ message: "Message queued for delivery", outboxMessage: message });
+    } catch (error) {
+      console.error("Error retrying outbox message:", error);
+      res.status(500).json({ error: "Failed to retry outbox message" });
+    }
+  });
+
+  // API to cancel a message that has not been sent; it stays listed as cancelled
+  router.post("/messages/:id/cancel", requirePermission("messages:write"), validate(schemas.cancelMessage), auditMessage, async (req, res) => {
+    try {
+      const { status, message } = await services.messaging.cancelMessage(req.params.id, req.admin.userid);
+
+      if (status === "not_found") {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      if (status === "wrong_status") {
+        return res.status(409).json({ error: `Only pending messages can be cancelled; this one is ${message.status}`, message });
+      }
+
+      res.status(200).json({ message: "Message cancelled", outboxMessage: message });
+    } catch (error) {
+      console.error("Error cancelling outbox message:", error);
+      res.status(500).json({ error: "Failed to cancel outbox message" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createMessagesRouter;
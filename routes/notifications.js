@@ -0,0 +1,124 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+//Notification apis
+const createNotificationsRouter = ({ repositories, services, requirePermission, audit }) => {
+  const router = express.Router();
+  const notifications = repositories.notifications;
+
+  const auditNotification = audit({ entity: "notification", store: "rtdb", path: (req) => `Notifications/${req.params.id}` });
+
+  // API to save notification
+  router.post("/notifications", requirePermission("notifications:write"), validate(schemas.createNotification), audit({ entity: "notification", store: "rtdb", path: () => "Notifications", create: true }), async (req, res) => {
+    try {
+      const { createdAt, ...input } = req.body;
+      const created = await services.notifications.create(input, { createdBy: req.admin.userid });
+
+      if (created.status === "invalid") {
+        return res.status(400).json({ error: created.message });
+      }
+      res.locals.auditPath = `Notifications/${created.notification.id}`;
+
+      res.status(200).json({
+        message: "Notification saved successfully",
+        data: created.notification
+      });
+    } catch (error) {
+      console.error("Error saving notification:", error);
+      res.status(500).json({
+        error: "Failed to save notification",
+        details: error.message
+      });
+    }
+  });
+
+  // API to list notifications for admins: ?state=&audience=
+  router.get("/notifications", requirePermission("notifications:read"), validate(schemas.listNotifications), async (req, res) => {
+    try {
+      const list = await services.notifications.list(req.query);
+
+      res.status(200).json({ count: list.length, notifications: list });
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      res.status(500).json({ error: "Failed to fetch notifications" });
+    }
+  });
+
+  router.get("/notifications/:id", requirePermission("notifications:read"), validate(schemas.getNotification), async (req, res) => {
+    try {
+      const notification = await services.notifications.get(req.params.id);
+
+      if (!notification) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+
+      res.status(200).json(notification);
+    } catch (error) {
+      console.error("Error fetching notification:", error);
+      res.status(500).json({ error: "Failed to fetch notification" });
+    }
+  });
+
+  // API for the student app: what one student should see right now
+  router.get("/candidate/notifications", validate(schemas.listCandidateNotifications), async (req, res) => {
+    try {
+      const list = await services.notifications.listForViewer(req.query);
+
+      res.status(200).json({ count: list.length, notifications: list });
+    } catch (error) {
+      console.error("Error fetching candidate notifications:", error);
+      res.status(500).json({ error: "Failed to fetch notifications" });
+    }
+  });
+
+  // API to update a notification
+  router.put("/notifications/:id", requirePermission("notifications:write"), validate(schemas.updateNotification), auditNotification, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const updated = await services.notifications.update(id, req.body);
+
+      if (updated.status === "not_found") {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+      if (updated.status === "invalid") {
+        return res.status(400).json({ error: updated.message });
+      }
+
+      res.status(200).json({
+        message: "Notification updated successfully",
+        data: updated.notification
+      });
+    } catch (error) {
+      console.error("Error updating notification:", error);
+      res.status(500).json({
+        error: "Failed to update notification",
+        details: error.message
+      });
+    }
+  });
+
+  // API to delete a notification
+  router.delete("/notifications/:id", requirePermission("notifications:write"), validate(schemas.deleteNotification), auditNotification, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      await notifications.remove(id);
+
+      res.status(200).json({
+        message: "Notification deleted successfully"
+      });
+    } catch (error) {
+      console.error("Error deleting notification:", error);
+      res.status(500).json({
+        error: "Failed to delete notification",
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createNotificationsRouter;
@@ -0,0 +1,353 @@
+const express = require("express");
+const { pdfUpload } = require("../middleware/uploads");
+const sanitizeFilename = require("../utils/sanitizeFilename");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+//Pdf syllabus categories, syllabi and purchasers
+const createPdfSyllabiRouter = ({ repositories, services, requirePermission, audit, storage }) => {
+  const router = express.Router();
+  const categories = repositories.pdfSyllabusCategories;
+  const pdfSyllabi = repositories.pdfSyllabi;
+
+  const syllabusKeyFor = (category, title) => `${sanitizeFilename(category)}/${sanitizeFilename(title)}`;
+
+  const auditCategory = audit({ entity: "pdfSyllabusCategory", store: "rtdb", path: (req) => `pdfsyllabuscategoryRef/${req.params.id}` });
+  const auditSyllabus = audit({ entity: "pdfSyllabus", store: "rtdb", path: (req) => `pdfsyllabi/${syllabusKeyFor(req.params.category, req.params.title)}` });
+
+  // Upload a PDF to storage and return a long-lived URL for it
+  const storePdf = (filePath, buffer, metadata) => storage.save(filePath, buffer, {
+    contentType: 'application/pdf',
+    metadata,
+    access: "signed"
+  });
+
+  // Create PDF syllabus category
+  router.post("/pdfsyllabuscategories", requirePermission("pdfSyllabi:write"), validate(schemas.createPdfSyllabusCategory), audit({ entity: "pdfSyllabusCategory", store: "rtdb", path: () => "pdfsyllabuscategoryRef", create: true }), async (req, res) => {
+    try {
+      const { name } = req.body;
+
+      const id = await categories.create(name);
+      res.locals.auditPath = `pdfsyllabuscategoryRef/${id}`;
+
+      res.status(201).json({
+        id,
+        name
+      });
+    } catch (error) {
+      console.error("Error creating PDF syllabus category:", error);
+      res.status(500).json({ error: "Failed to create PDF syllabus category" });
+    }
+  });
+
+  // Get all PDF syllabus categories
+  router.get("/pdfsyllabuscategories", validate(schemas.listPdfSyllabusCategories), async (req, res) => {
+    try {
+      res.json(await categories.list());
+    } catch (error) {
+      console.error("Error fetching PDF syllabus categories:", error);
+      res.status(500).json({ error: "Failed to fetch PDF syllabus categories" });
+    }
+  });
+
+  // Update PDF syllabus category
+  router.put("/pdfsyllabuscategories/:id", requirePermission("pdfSyllabi:write"), validate(schemas.updatePdfSyllabusCategory), auditCategory, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name } = req.body;
+
+      await categories.rename(id, name);
+
+      res.json({ id, name });
+    } catch (error) {
+      console.error("Error updating PDF syllabus category:", error);
+      res.status(500).json({ error: "Failed to update PDF syllabus category" });
+    }
+  });
+
+  // Delete PDF syllabus category
+  router.delete("/pdfsyllabuscategories/:id", requirePermission("pdfSyllabi:write"), validate(schemas.deletePdfSyllabusCategory), auditCategory, async (req, res) => {
+    try {
+      await categories.remove(req.params.id);
+      res.json({ message: "PDF syllabus category deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting PDF syllabus category:", error);
+      res.status(500).json({ error: "Failed to delete PDF syllabus category" });
+    }
+  });
+
+  // Create PDF syllabus
+  router.post("/pdf-syllabi", requirePermission("pdfSyllabi:write"), pdfUpload.single('pdfFile'), validate(schemas.createPdfSyllabus), audit({ entity: "pdfSyllabus", store: "rtdb", path: () => "pdfsyllabi", create: true }), async (req, res) => {
+    try {
+      // After Multer processes the file, it will be available as req.file
+      if (!req.file) {
+        return res.status(400).json({ error: "PDF file is required" });
+      }
+
+      const { category, title, fees, duration } = req.body;
+
+      const pdfFile = req.file;
+      const timestamp = Date.now();
+      const syllabusKey = syllabusKeyFor(category, title);
+
+      // Create a unique file path in storage
+      const filePath = `pdfsyllabi/${syllabusKey}_${timestamp}.pdf`;
+      const url = await storePdf(filePath, pdfFile.buffer, {
+        originalName: pdfFile.originalname,
+        category,
+        title
+      });
+
+      // Create syllabus entry in Realtime Database
+      const syllabusData = {
+        title,
+        category,
+        fees,
+        duration: duration ? `${duration} days` : "N/A",
+        filePath,
+        fileUrl: url,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      };
+
+      await pdfSyllabi.set(syllabusKey, syllabusData);
+      res.locals.auditPath = `pdfsyllabi/${syllabusKey}`;
+
+      res.status(201).json({
+        message: "PDF syllabus created successfully",
+        data: {
+          id: syllabusKey,
+          ...syllabusData
+        }
+      });
+    } catch (error) {
+      console.error("Error creating PDF syllabus:", error);
+      res.status(500).json({ error: "Failed to create PDF syllabus" });
+    }
+  });
+
+  // Update PDF syllabus
+  router.put("/pdf-syllabi/:category/:title", requirePermission("pdfSyllabi:write"), validate(schemas.updatePdfSyllabus), auditSyllabus, async (req, res) => {
+    try {
+      const { category, title } = req.params;
+      const { newCategory, newTitle, fees, duration } = req.body;
+
+      const oldSyllabusKey = syllabusKeyFor(category, title);
+
+      // Check if syllabus exists
+      const syllabusData = await pdfSyllabi.get(oldSyllabusKey);
+
+      if (!syllabusData) {
+        return res.status(404).json({ error: "PDF syllabus not found" });
+      }
+
+      // Update metadata
+      const updatedData = {
+        ...syllabusData,
+        title: newTitle,
+        category: newCategory,
+        fees,
+        duration: duration ? `${duration} days` : "N/A",
+        updatedAt: Date.now()
+      };
+
+      // If category or title changed, we need to create a new entry and delete the old one
+      if (category !== newCategory || title !== newTitle) {
+        const newSyllabusKey = syllabusKeyFor(newCategory, newTitle);
+
+        // Create new entry with updated data
+        await pdfSyllabi.set(newSyllabusKey, updatedData);
+
+        // Delete old entry
+        await pdfSyllabi.remove(oldSyllabusKey);
+        res.locals.auditPath = `pdfsyllabi/${newSyllabusKey}`;
+
+        res.json({
+          message: "PDF syllabus updated successfully",
+          data: {
+            id: newSyllabusKey,
+            ...updatedData
+          }
+        });
+      } else {
+        // Update existing entry
+        await pdfSyllabi.update(oldSyllabusKey, updatedData);
+
+        res.json({
+          message: "PDF syllabus updated successfully",
+          data: {
+            id: oldSyllabusKey,
+            ...updatedData
+          }
+        });
+      }
+    } catch (error) {
+      console.error("Error updating PDF syllabus:", error);
+      res.status(500).json({ error: "Failed to update PDF syllabus" });
+    }
+  });
+
+  // Replace PDF file for existing syllabus
+  router.put("/pdf-syllabi/:category/:title/file", requirePermission("pdfSyllabi:write"), pdfUpload.single('pdfFile'), validate(schemas.replacePdfSyllabusFile), auditSyllabus, async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "PDF file is required" });
+      }
+
+      const { category, title } = req.params;
+      const pdfFile = req.file;
+      const syllabusKey = syllabusKeyFor(category, title);
+
+      // Check if syllabus exists
+      const syllabusData = await pdfSyllabi.get(syllabusKey);
+
+      if (!syllabusData) {
+        return res.status(404).json({ error: "PDF syllabus not found" });
+      }
+
+      // Delete old file from storage if it exists
+      if (syllabusData.filePath) {
+        try {
+          await storage.remove(syllabusData.filePath);
+        } catch (deleteError) {
+          console.warn("Failed to delete old file, it might not exist:", deleteError);
+        }
+      }
+
+      // Upload new file to storage
+      const timestamp = Date.now();
+      const filePath = `pdfsyllabi/${syllabusKey}_${timestamp}.pdf`;
+      const url = await storePdf(filePath, pdfFile.buffer, {
+        originalName: pdfFile.originalname,
+        category,
+        title
+      });
+
+      // Update syllabus data with new file info
+      const updatedData = {
+        ...syllabusData,
+        filePath,
+        fileUrl: url,
+        updatedAt: timestamp
+      };
+
+      await pdfSyllabi.update(syllabusKey, updatedData);
+
+      res.json({
+        message: "PDF file updated successfully",
+        data: {
+          id: syllabusKey,
+          ...updatedData
+        }
+      });
+    } catch (error) {
+      console.error("Error updating PDF file:", error);
+      res.status(500).json({ error: "Failed to update PDF file" });
+    }
+  });
+
+  // Get all PDF syllabi
+  router.get("/pdf-syllabi", validate(schemas.listPdfSyllabi), async (req, res) => {
+    try {
+      const syllabi = {};
+
+      (await pdfSyllabi.listAll()).forEach((syllabusData) => {
+        const category = syllabusData.category;
+
+        if (!syllabi[category]) {
+          syllabi[category] = {};
+        }
+
+        syllabi[category][syllabusData.title] = syllabusData;
+      });
+
+      res.json(syllabi);
+    } catch (error) {
+      console.error("Error fetching PDF syllabi:", error);
+      res.status(500).json({ error: "Failed to fetch PDF syllabi" });
+    }
+  });
+
+  // Get PDF syllabi by category
+  router.get("/pdf-syllabi/category/:category", validate(schemas.listCategoryPdfSyllabi), async (req, res) => {
+    try {
+      const syllabi = {};
+
+      (await pdfSyllabi.listCategory(sanitizeFilename(req.params.category))).forEach((syllabusData) => {
+        syllabi[syllabusData.title] = syllabusData;
+      });
+
+      res.json(syllabi);
+    } catch (error) {
+      console.error("Error fetching PDF syllabi by category:", error);
+      res.status(500).json({ error: "Failed to fetch PDF syllabi by category" });
+    }
+  });
+
+  // Delete PDF syllabus
+  router.delete("/pdf-syllabi/:category/:title", requirePermission("pdfSyllabi:write"), validate(schemas.deletePdfSyllabus), auditSyllabus, async (req, res) => {
+    try {
+      const { category, title } = req.params;
+      const syllabusKey = syllabusKeyFor(category, title);
+
+      // Check if syllabus exists
+      const syllabusData = await pdfSyllabi.get(syllabusKey);
+
+      if (!syllabusData) {
+        return res.status(404).json({ error: "PDF syllabus not found" });
+      }
+
+      // Delete file from storage if it exists
+      if (syllabusData.filePath) {
+        try {
+          await storage.remove(syllabusData.filePath);
+        } catch (deleteError) {
+          console.warn("Failed to delete file, it might not exist:", deleteError);
+        }
+      }
+
+      // Delete syllabus from Realtime Database
+      await pdfSyllabi.remove(syllabusKey);
+
+      res.json({ message: "PDF syllabus deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting PDF syllabus:", error);
+      res.status(500).json({ error: "Failed to delete PDF syllabus" });
+    }
+  });
+
+  // API to get all PDF syllabus purchasers
+  router.get("/pdfsyllabuspurchasers", requirePermission("purchasers:read"), validate(schemas.listPdfSyllabusPurchasers), async (req, res) => {
+    try {
+      if (req.query.format !== "json") {
+        return await services.exports.sendExport(res, "pdfSyllabusPurchasers", req.query.format);
+      }
+
+      const data = await repositories.purchasers.listPdfSyllabusPurchasers();
+
+      // If no data is found, return a 404
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: 'No data found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: data
+      });
+    } catch (error) {
+      console.error('Error retrieving data:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving data from database',
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPdfSyllabiRouter;
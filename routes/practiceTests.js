@@ -0,0 +1,497 @@
+const express = require("express");
+const { imageUpload, questionImportUpload, bundleUpload } = require("../middleware/uploads");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+const { normalizeQuestionDefinition, questionTypeOf } = require("../services/questionTypes");
+const { toImportResponse } = require("../services/questionImport");
+const sanitizeFilename = require("../utils/sanitizeFilename");
+
+//Apis for practice test details, questions and schedules
+const createPracticeTestsRouter = ({ repositories, services, requirePermission, audit }) => {
+  const router = express.Router();
+  const practiceTests = repositories.practiceTests;
+  const questionImages = services.questionImages;
+  const questionImport = services.questionImport;
+  const questionPaper = services.questionPaper;
+  const examBundles = services.examBundles;
+
+  const auditQuestion = audit({ entity: "practiceQuestion", store: "firestore", path: (req) => `PracticeTests/${req.params.category}/Exams/${req.params.examId}/Questions/${req.params.questionId}` });
+  const auditNewQuestion = audit({ entity: "practiceQuestion", store: "firestore", path: (req) => `PracticeTests/${req.params.category}/Exams/${req.params.examId}/Questions`, create: true });
+  const auditImport = audit({ entity: "practiceQuestion", store: "firestore", path: (req) => `PracticeTests/${req.params.category}/Exams/${req.params.examId}/Questions`, snapshot: false });
+  const auditReorder = audit({ entity: "practiceQuestion", store: "firestore", path: (req) => `PracticeTests/${req.params.category}/Exams/${req.params.examId}/Questions`, snapshot: false });
+
+  router.post("/practice-tests", requirePermission("practiceTests:write"), validate(schemas.createPracticeTest), audit({ entity: "practiceTest", store: "rtdb", path: (req) => `PracticeTests/${req.body.category}/${req.body.title}` }), async (req, res) => {
+    try {
+      const { category, title, fees, duration, timeLimit } = req.body;
+
+      await practiceTests.createTest(category, title, {
+        fees: fees || 0,
+        duration: duration || "N/A",
+        timeLimit: timeLimit || "N/A"
+      });
+
+      res.status(201).json({
+        message: "Practice test added successfully",
+        category,
+        title,
+        fees,
+        duration,
+        timeLimit
+      });
+    } catch (error) {
+      console.error("Error adding practice test:", error);
+      res.status(500).json({ error: "Failed to add practice test" });
+    }
+  });
+
+  router.get("/practice-tests", validate(schemas.listPracticeTests), async (req, res) => {
+    try {
+      res.json(await practiceTests.listTests());
+    } catch (error) {
+      console.error("Error fetching practice tests:", error);
+      res.status(500).json({ error: "Failed to fetch practice tests" });
+    }
+  });
+
+  router.get("/practice-tests/:category", validate(schemas.listCategoryPracticeTests), async (req, res) => {
+    try {
+      const tests = await practiceTests.getCategoryTests(req.params.category);
+
+      if (!tests) {
+        return res.status(404).json({ error: "Category not found" });
+      }
+
+      res.json(tests);
+    } catch (error) {
+      console.error("Error fetching category practice tests:", error);
+      res.status(500).json({ error: "Failed to fetch category practice tests" });
+    }
+  });
+
+  router.delete("/practice-tests/:category/:title", requirePermission("practiceTests:write"), validate(schemas.deletePracticeTest), audit({ entity: "practiceTest", store: "rtdb", path: (req) => `PracticeTests/${req.params.category}/${req.params.title}` }), async (req, res) => {
+    try {
+      const { category, title } = req.params;
+
+      if (!(await practiceTests.getTest(category, title))) {
+        return res.status(404).json({ error: "Practice test not found" });
+      }
+
+      await practiceTests.removeTest(category, title);
+
+      res.json({ message: "Practice test deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting practice test:", error);
+      res.status(500).json({ error: "Failed to delete practice test" });
+    }
+  });
+
+  // API to create a practice test from an exam bundle (.zip), e.g. one exported from a main exam
+  router.post("/practice-tests/:category/import-bundle", requirePermission("practiceTests:write"), bundleUpload.single("bundle"), validate(schemas.importPracticeBundle), audit({ entity: "practiceTest", store: "rtdb", path: (req) => `PracticeTests/${req.params.category}`, create: true }), async (req, res) => {
+    const { category } = req.params;
+    const { examId, includeSchedule, compressImage } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: "A bundle .zip file is required" });
+    }
+
+    try {
+      const result = await examBundles.importBundle(req.file.buffer, { kind: "practiceTest", category, examId }, { includeSchedule, compressImage });
+      if (result.status === "invalid_bundle") {
+        return res.status(400).json({ error: result.message });
+      }
+      if (result.status === "exists") {
+        return res.status(409).json({ error: "A practice test with this title already exists in the category" });
+      }
+
+      // Point the audit entry at the imported practice test only once it exists
+      if (result.status === "imported") {
+        res.locals.auditPath = `PracticeTests/${category}/${examId}`;
+      }
+
+      const [statusCode, body] = toImportResponse(result);
+      return res.status(statusCode).json({ ...body, category, examId });
+    } catch (error) {
+      console.error("Error importing exam bundle:", error);
+      return res.status(500).json({ error: "Failed to import exam bundle", details: error.message });
+    }
+  });
+
+  // API to download a practice test as a bundle (.zip) for another environment or a main exam
+  router.get("/practice-tests/:category/:examId/bundle", requirePermission("practiceTests:read"), validate(schemas.exportPracticeBundle), async (req, res) => {
+    const { category, examId } = req.params;
+
+    try {
+      const bundle = await examBundles.exportPracticeTest(category, examId);
+      if (!bundle) {
+        return res.status(404).json({ error: "Practice test not found" });
+      }
+
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${sanitizeFilename(`${category}-${examId}`)}-bundle.zip"`);
+      return res.status(200).send(bundle);
+    } catch (error) {
+      console.error("Error exporting exam bundle:", error);
+      return res.status(500).json({ error: "Failed to export exam bundle", details: error.message });
+    }
+  });
+
+  // API to add a question to a specific practice test
+  router.post("/practice-tests/:category/:examId/questions", requirePermission("practiceTests:write"), imageUpload.single("image"), validate(schemas.createPracticeQuestion), auditNewQuestion, async (req, res) => {
+    const { category, examId } = req.params;
+    const { question, compressImage } = req.body;
+    const image = req.file;
+
+    try {
+      // The order is allocated when the question is saved
+      const questionData = {
+        question,
+        ...normalizeQuestionDefinition(req.body),
+        marks: req.body.marks ?? null
+      };
+
+      // Handle image upload to storage if present
+      let imageUrl;
+      if (image) {
+        try {
+          const stored = await questionImages.upload(image, `practice-tests/${category}/${examId}/questions`, { compress: compressImage });
+          imageUrl = stored.imageUrl;
+          Object.assign(questionData, stored);
+        } catch (error) {
+          console.error("Error in upload or save:", error);
+          return res.status(500).json({ error: "Failed to save question data" });
+        }
+      }
+
+      // Add question to Firestore
+      const questionDoc = await practiceTests.addQuestion(category, examId, questionData);
+      res.locals.auditPath = questionDoc.path;
+
+      return res.status(200).json({
+        message: "Question added successfully",
+        questionId: questionDoc.id,
+        order: questionDoc.order,
+        imageUrl
+      });
+    } catch (error) {
+      console.error("Error saving question:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // API to add many questions from an uploaded CSV/XLSX/JSON file (dryRun to preview)
+  router.post("/practice-tests/:category/:examId/questions/import", requirePermission("practiceTests:write"), questionImportUpload, validate(schemas.importPracticeQuestions), auditImport, async (req, res) => {
+    const { category, examId } = req.params;
+    const { dryRun, compressImage } = req.body;
+    const [file] = (req.files && req.files.file) || [];
+    const [imagesZip] = (req.files && req.files.images) || [];
+
+    if (!file) {
+      return res.status(400).json({ error: "A question file (.csv, .xlsx or .json) is required" });
+    }
+
+    try {
+      const result = await questionImport.importQuestions({
+        folder: `practice-tests/${category}/${examId}/questions`,
+        addQuestions: (questionDataList, options) => practiceTests.addQuestions(category, examId, questionDataList, options)
+      }, { file, imagesZip, dryRun, compressImage });
+
+      const [statusCode, body] = toImportResponse(result);
+      return res.status(statusCode).json(body);
+    } catch (error) {
+      console.error("Error importing questions:", error);
+      return res.status(500).json({ error: "Failed to import questions", details: error.message });
+    }
+  });
+
+  // API to set the question order from a complete, ordered list of question IDs
+  router.put("/practice-tests/:category/:examId/questions/reorder", requirePermission("practiceTests:write"), validate(schemas.reorderPracticeQuestions), auditReorder, async (req, res) => {
+    const { category, examId } = req.params;
+    const { questionIds } = req.body;
+
+    try {
+      const { missing, unknown } = await practiceTests.reorderQuestions(category, examId, questionIds);
+      if (missing.length > 0 || unknown.length > 0) {
+        return res.status(400).json({
+          error: "questionIds must list every question of the practice test exactly once",
+          missing,
+          unknown
+        });
+      }
+
+      return res.status(200).json({
+        message: "Questions reordered successfully",
+        order: questionIds.map((id, index) => ({ id, order: index + 1 }))
+      });
+    } catch (error) {
+      console.error("Error reordering questions:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // API to update a question
+  router.put("/practice-tests/:category/:examId/questions/:questionId", requirePermission("practiceTests:write"), imageUpload.single("image"), validate(schemas.updatePracticeQuestion), auditQuestion, async (req, res) => {
+    const { category, examId, questionId } = req.params;
+    const { question, compressImage } = req.body;
+    const image = req.file;
+
+    try {
+      // Get the current question data
+      const currentData = await practiceTests.getQuestion(category, examId, questionId);
+      if (!currentData) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      // Prepare update data
+      const updateData = {
+        question,
+        ...normalizeQuestionDefinition(req.body),
+        marks: req.body.marks ?? null
+      };
+
+      // Handle image upload if a new image is provided
+      let imageUrl;
+      if (image) {
+        // Delete the old image while the new one uploads; failures are not fatal
+        const deletePromise = currentData.imageUrl
+          ? questionImages.remove(currentData).catch(err => {
+            console.warn("Error deleting old image, continuing:", err);
+          })
+          : Promise.resolve();
+
+        try {
+          const [, stored] = await Promise.all([
+            deletePromise,
+            questionImages.upload(image, `practice-tests/${category}/${examId}/questions`, { compress: compressImage })
+          ]);
+          imageUrl = stored.imageUrl;
+          Object.assign(updateData, stored);
+        } catch (error) {
+          console.error("Error in upload or update:", error);
+          return res.status(500).json({ error: "Failed to update question data" });
+        }
+      }
+
+      // Update question in Firestore
+      await practiceTests.updateQuestion(category, examId, questionId, updateData);
+
+      return res.status(200).json({
+        message: "Question updated successfully",
+        imageUrl
+      });
+    } catch (error) {
+      console.error("Error updating question:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // API to delete a question
+  router.delete("/practice-tests/:category/:examId/questions/:questionId", requirePermission("practiceTests:write"), validate(schemas.deletePracticeQuestion), auditQuestion, async (req, res) => {
+    const { category, examId, questionId } = req.params;
+
+    try {
+      // Get the question data to check for image
+      const questionData = await practiceTests.getQuestion(category, examId, questionId);
+      if (!questionData) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      // Delete image from Storage if it exists
+      if (questionData.imageUrl) {
+        try {
+          await questionImages.remove(questionData);
+        } catch (deleteError) {
+          console.warn("Error deleting image:", deleteError);
+          // Continue with deletion even if image deletion fails
+        }
+      }
+
+      // Delete the question document and close the gap in the order
+      if (!(await practiceTests.deleteQuestion(category, examId, questionId))) {
+        return res.status(404).json({ error: "Question not found" });
+      }
+
+      res.status(200).json({ message: "Question deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting question:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // API to get all questions for a specific exam
+  router.get("/practice-tests/:category/:examId/questions", requirePermission("practiceTests:read"), validate(schemas.listPracticeQuestions), async (req, res) => {
+    const { category, examId } = req.params;
+
+    try {
+      const questionList = await practiceTests.listQuestions(category, examId);
+
+      const questions = questionList.map((questionData) => ({
+        id: questionData.id,
+        type: questionTypeOf(questionData),
+        question: questionData.question,
+        options: questionData.options,
+        correctAnswer: questionData.correctAnswer,
+        tolerance: questionData.tolerance ?? null,
+        marks: questionData.marks ?? null,
+        imageUrl: questionData.imageUrl || null,
+        order: questionData.order
+      }));
+
+      res.status(200).json({ questions });
+    } catch (error) {
+      console.error("Error fetching questions:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // The practice test's questions in `order` for the question paper PDFs; null when it has none
+  const loadPaper = async (category, examId) => {
+    const [dateTime, questions] = await Promise.all([
+      practiceTests.getDateTime(category, examId),
+      practiceTests.listQuestions(category, examId)
+    ]);
+    if (questions.length === 0) {
+      return null;
+    }
+
+    return {
+      key: `practice|${category}|${examId}`,
+      title: examId,
+      subtitle: category,
+      questions,
+      totalMarks: Number(dateTime?.marks) || 0
+    };
+  };
+
+  // API to download the question paper PDF (set=A|B|C shuffles the questions)
+  router.get("/practice-tests/:category/:examId/question-paper", requirePermission("practiceTests:read"), validate(schemas.getPracticeQuestionPaper), async (req, res) => {
+    const { category, examId } = req.params;
+
+    try {
+      const paper = await loadPaper(category, examId);
+      if (!paper) {
+        return res.status(404).json({ error: "Practice test not found or has no questions" });
+      }
+
+      await questionPaper.sendQuestionPaper(res, paper, req.query);
+    } catch (error) {
+      console.error("Error generating question paper:", error);
+      res.status(500).json({ error: "Failed to generate question paper", details: error.message });
+    }
+  });
+
+  // API to download the answer key PDF for the requested sets
+  router.get("/practice-tests/:category/:examId/answer-key", requirePermission("practiceTests:read"), validate(schemas.getPracticeAnswerKey), async (req, res) => {
+    const { category, examId } = req.params;
+    const { sets, shuffleOptions } = req.query;
+
+    try {
+      const paper = await loadPaper(category, examId);
+      if (!paper) {
+        return res.status(404).json({ error: "Practice test not found or has no questions" });
+      }
+
+      await questionPaper.sendAnswerKey(res, paper, { sets: sets ? [...new Set(sets.split(","))] : [], shuffleOptions });
+    } catch (error) {
+      console.error("Error generating answer key:", error);
+      res.status(500).json({ error: "Failed to generate answer key", details: error.message });
+    }
+  });
+
+  // API to save exam date and time for practice tests
+  router.post("/practice-tests/:category/:examId/date-time", requirePermission("practiceTests:write"), validate(schemas.savePracticeDateTime), audit({ entity: "practiceSchedule", store: "rtdb", path: (req) => `PracticeTestDateTime/${req.params.category}/${req.params.examId}` }), async (req, res) => {
+    const { category, examId } = req.params;
+    const { allowOverlap, ...input } = req.body;
+
+    try {
+      // Store data in both Realtime Database and Firestore
+      const saved = await services.schedule.savePracticeSchedule(category, examId, input, { allowOverlap });
+
+      if (saved.status === "invalid") {
+        return res.status(400).json({ error: "Validation failed", fields: saved.errors });
+      }
+      if (saved.status === "overlap") {
+        return res.status(409).json({
+          error: "The practice test overlaps other practice tests in this category",
+          conflicts: saved.conflicts
+        });
+      }
+
+      res.status(200).json({
+        message: "Practice test details saved successfully",
+        data: {
+          category,
+          examId,
+          ...saved.schedule
+        }
+      });
+    } catch (error) {
+      console.error("Error saving practice test details:", error);
+      res.status(500).json({
+        error: "Failed to save practice test details",
+        details: error.message
+      });
+    }
+  });
+
+  // API to get exam date and time for practice tests
+  router.get("/practice-tests/:category/:examId/date-time", validate(schemas.getPracticeDateTime), async (req, res) => {
+    const { category, examId } = req.params;
+
+    try {
+      const dateTimeData = await practiceTests.getDateTime(category, examId);
+
+      if (!dateTimeData) {
+        return res.status(404).json({
+          error: "Practice test date and time not found"
+        });
+      }
+
+      res.status(200).json({
+        category,
+        examId,
+        ...services.schedule.describe(dateTimeData)
+      });
+    } catch (error) {
+      console.error("Error fetching practice test date and time:", error);
+      res.status(500).json({
+        error: "Failed to fetch practice test date and time",
+        details: error.message
+      });
+    }
+  });
+
+  //Api Students who purchased exams
+  router.get("/practicetestpurchasedstudents", requirePermission("purchasers:read"), validate(schemas.listPracticeTestPurchasers), async (req, res) => {
+    try {
+      if (req.query.format !== "json") {
+        return await services.exports.sendExport(res, "practiceTestPurchasers", req.query.format);
+      }
+
+      const data = await repositories.purchasers.listPracticeTestPurchasers();
+
+      // If no data is found, return a 404
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: 'No data found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: data
+      });
+    } catch (error) {
+      console.error('Error retrieving data:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving data from database',
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPracticeTestsRouter;
@@ -0,0 +1,89 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// Per-exam result computation and stored results
+const createResultsRouter = ({ repositories, services, requirePermission, audit }) => {
+  const router = express.Router();
+
+  const auditResults = audit({ entity: "examResults", store: "rtdb", path: (req) => `Results/${req.params.examTitle}`, snapshot: false });
+
+  // API to grade one exam; stored results are returned as-is unless force is set,
+  // and candidates are emailed/texted their result when notify is set
+  router.post("/exams/:examTitle/results/compute", requirePermission("results:write"), validate(schemas.computeExamResults), auditResults, async (req, res) => {
+    const { examTitle } = req.params;
+    const { force, notify } = req.body;
+
+    try {
+      if (!(await repositories.exams.examExists(examTitle))) {
+        return res.status(404).json({ success: false, error: "Exam not found" });
+      }
+
+      const computed = await services.results.computeExamResults(examTitle, {
+        force,
+        startedBy: req.admin.userid
+      });
+
+      if (computed.status === "running") {
+        return res.status(409).json({
+          success: false,
+          error: "Results for this exam are already being computed",
+          computation: computed.computation
+        });
+      }
+
+      // Recomputed results are announced again; unchanged ones only once
+      const messages = notify ? await services.messaging.queueResults(examTitle) : null;
+
+      res.status(200).json({
+        success: true,
+        examTitle,
+        recomputed: computed.status === "computed",
+        ...(messages && { queuedMessages: messages.queued }),
+        computation: computed.computation,
+        results: computed.results
+      });
+    } catch (error) {
+      console.error("Error computing exam results:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to compute exam results",
+        details: error.message
+      });
+    }
+  });
+
+  // API to read an exam's stored results without recomputing them
+  router.get("/exams/:examTitle/results", requirePermission("results:read"), validate(schemas.getExamResults), async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      const { computation, results } = await services.results.getExamResults(examTitle);
+
+      if (!computation && results.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "No results found for this exam"
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        examTitle,
+        computation,
+        results
+      });
+    } catch (error) {
+      console.error("Error fetching exam results:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch exam results",
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createResultsRouter;
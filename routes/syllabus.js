@@ -0,0 +1,167 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+// Syllabus links and exam Q&A links
+const createSyllabusRouter = ({ repositories, requirePermission, audit }) => {
+  const router = express.Router();
+  const syllabus = repositories.syllabus;
+
+  const auditSyllabus = audit({ entity: "syllabus", store: "rtdb", path: (req) => `Syllabus/${req.params.id}` });
+
+  // Save syllabus endpoint
+  router.post("/syllabus", requirePermission("syllabus:write"), validate(schemas.createSyllabus), audit({ entity: "syllabus", store: "rtdb", path: () => "Syllabus", create: true }), async (req, res) => {
+    try {
+      const { examTitle, syllabusLink } = req.body;
+
+      // Generate unique ID
+      const syllabusId = `syllabus_${Date.now()}`;
+
+      // Create syllabus data object
+      const syllabusData = {
+        id: syllabusId,
+        examTitle,
+        syllabusLink,
+        uploadedAt: new Date().toISOString(),
+        version: "3.11.174"
+      };
+
+      // Save to Firebase Realtime Database
+      await syllabus.create(syllabusId, syllabusData);
+      res.locals.auditPath = `Syllabus/${syllabusId}`;
+
+      res.status(200).json({
+        message: "Syllabus saved successfully",
+        data: syllabusData
+      });
+    } catch (error) {
+      console.error("Error saving syllabus:", error);
+      res.status(500).json({
+        error: "Failed to save syllabus",
+        details: error.message
+      });
+    }
+  });
+
+  // Get all syllabus endpoint
+  router.get("/syllabus", validate(schemas.listSyllabus), async (req, res) => {
+    try {
+      const syllabusData = await syllabus.list();
+
+      if (!syllabusData) {
+        return res.status(200).json({
+          message: "No syllabus found",
+          data: {},
+          version: "3.11.174"
+        });
+      }
+
+      res.status(200).json({
+        message: "Syllabus fetched successfully",
+        data: syllabusData,
+        version: "3.11.174"
+      });
+    } catch (error) {
+      console.error("Error fetching syllabus:", error);
+      res.status(500).json({
+        error: "Failed to fetch syllabus",
+        details: error.message
+      });
+    }
+  });
+
+  // Update syllabus endpoint
+  router.put("/syllabus/:id", requirePermission("syllabus:write"), validate(schemas.updateSyllabus), auditSyllabus, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { examTitle, syllabusLink } = req.body;
+
+      const existing = await syllabus.get(id);
+
+      if (!existing) {
+        return res.status(404).json({ error: "Syllabus not found" });
+      }
+
+      const updatedData = {
+        ...existing,
+        examTitle,
+        syllabusLink
+      };
+
+      await syllabus.update(id, updatedData);
+
+      res.status(200).json({
+        message: "Syllabus updated successfully",
+        data: updatedData
+      });
+    } catch (error) {
+      console.error("Error updating syllabus:", error);
+      res.status(500).json({
+        error: "Failed to update syllabus",
+        details: error.message
+      });
+    }
+  });
+
+  // Delete syllabus endpoint
+  router.delete("/syllabus/:id", requirePermission("syllabus:write"), validate(schemas.deleteSyllabus), auditSyllabus, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!(await syllabus.get(id))) {
+        return res.status(404).json({ error: "Syllabus not found" });
+      }
+
+      await syllabus.remove(id);
+
+      res.status(200).json({
+        message: "Syllabus deleted successfully"
+      });
+    } catch (error) {
+      console.error("Error deleting syllabus:", error);
+      res.status(500).json({
+        error: "Failed to delete syllabus",
+        details: error.message
+      });
+    }
+  });
+
+  //Api for q/a upload
+  router.post("/exam-qa", requirePermission("syllabus:write"), validate(schemas.createExamQA), audit({ entity: "examQA", store: "rtdb", path: () => "ExamQA", create: true }), async (req, res) => {
+    try {
+      const { examTitle, qaLink } = req.body;
+
+      // Generate unique ID for the Q&A entry
+      const qaId = `qa_${Date.now()}`;
+
+      // Create Q&A data object
+      const qaData = {
+        id: qaId,
+        examTitle,
+        qaLink,
+        uploadedAt: new Date().toISOString(),
+        version: "1.0.0", // Optional: Add version or metadata
+      };
+
+      // Save to Firebase Realtime Database
+      await syllabus.createExamQA(qaId, qaData);
+      res.locals.auditPath = `ExamQA/${qaId}`;
+
+      // Respond with success
+      res.status(200).json({
+        message: "Exam Q&A saved successfully",
+        data: qaData,
+      });
+    } catch (error) {
+      console.error("Error saving Q&A details:", error);
+      res.status(500).json({
+        error: "Failed to save Q&A details",
+        details: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSyllabusRouter;
@@ -0,0 +1,207 @@
+const express = require("express");
+const { validate } = require("../validation/validate");
+const schemas = require("../validation/schemas");
+
+//Apis see details of winners
+const createWinnersRouter = ({ repositories, services, requirePermission, audit }) => {
+  const router = express.Router();
+
+  // Why a preview cannot be committed: status -> [HTTP status, message]
+  const COMMIT_ERRORS = {
+    not_found: [404, "Winner preview not found"],
+    wrong_exam: [400, "This preview belongs to a different exam"],
+    expired: [410, "Winner preview has expired; generate a new one"],
+    stale: [409, "Results were recomputed after this preview; generate a new one"],
+    exists: [409, "Winners already exist for this exam; set replace to overwrite them"],
+    in_progress: [409, "Some winners of this exam are past pending; their records cannot be replaced"]
+  };
+
+  router.get("/winners", requirePermission("winners:read"), validate(schemas.listWinners), async (req, res) => {
+    try {
+      const winnersData = await repositories.winners.listAll();
+
+      // If no data exists
+      if (!winnersData) {
+        return res.status(404).json({
+          success: false,
+          error: 'No winners data found'
+        });
+      }
+
+      // Transform data into a more organized structure
+      const formattedData = {};
+
+      // Iterate through exam titles
+      Object.entries(winnersData).forEach(([examTitle, examData]) => {
+        formattedData[examTitle] = [];
+
+        // Iterate through registrations under each exam
+        Object.entries(examData).forEach(([regNumber, winnerDetails]) => {
+          formattedData[examTitle].push({
+            registrationNumber: regNumber,
+            ...winnerDetails
+          });
+        });
+
+        // Sort winners by rank for each exam
+        formattedData[examTitle].sort((a, b) => a.rank - b.rank);
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: 'Winners data retrieved successfully',
+          winners: formattedData
+        }
+      });
+    } catch (error) {
+      console.error('Error retrieving winners data:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve winners data',
+        details: error.message
+      });
+    }
+  });
+
+  // API to list winners by workflow status across exams
+  router.get("/winners/by-status", requirePermission("winners:read"), validate(schemas.listWinnersByStatus), async (req, res) => {
+    const { status, examTitle } = req.query;
+
+    try {
+      const winnerList = await services.winners.listByStatus({ status, examTitle });
+
+      res.status(200).json({
+        success: true,
+        count: winnerList.length,
+        winners: winnerList
+      });
+    } catch (error) {
+      console.error('Error listing winners by status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve winners data',
+        details: error.message
+      });
+    }
+  });
+
+  // API to move a winner through the prize workflow (pending -> verified -> prize_approved -> paid, or rejected)
+  router.put("/winners/status", requirePermission("winners:write"), validate(schemas.updateWinnerStatus), audit({ entity: "winner", store: "rtdb", path: (req) => `Winners/${req.body.examTitle}/${req.body.registrationNumber}` }), async (req, res) => {
+    try {
+      const { examTitle, registrationNumber, status, paymentReference, note } = req.body;
+
+      const changed = await services.winners.changeStatus(examTitle, registrationNumber, {
+        status,
+        paymentReference,
+        note,
+        changedBy: req.admin.userid
+      });
+
+      if (changed.status === "not_found") {
+        return res.status(404).json({
+          success: false,
+          error: 'Winner not found'
+        });
+      }
+
+      if (changed.status === "invalid_transition") {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot change status from ${changed.from} to ${status}`,
+          allowed: changed.allowed
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          message: 'Winner status updated successfully',
+          winner: { examTitle, registrationNumber, ...changed.winner }
+        }
+      });
+    } catch (error) {
+      console.error('Error updating winner status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update winner status',
+        details: error.message
+      });
+    }
+  });
+
+  // API to rank an exam's stored results and preview its top N winners
+  router.post("/exams/:examTitle/winners/preview", requirePermission("winners:write"), validate(schemas.previewWinners), audit({ entity: "winnerPreview", store: "rtdb", path: () => "WinnerPreviews", create: true }), async (req, res) => {
+    const { examTitle } = req.params;
+    const { topN } = req.body;
+
+    try {
+      const generated = await services.winners.previewWinners(examTitle, {
+        topN,
+        createdBy: req.admin.userid
+      });
+
+      if (!generated) {
+        return res.status(404).json({
+          success: false,
+          error: "No results found for this exam; compute them first"
+        });
+      }
+
+      res.locals.auditPath = `WinnerPreviews/${generated.previewId}`;
+
+      res.status(201).json({
+        success: true,
+        previewId: generated.previewId,
+        expiresAt: new Date(generated.preview.expiresAt).toISOString(),
+        winners: generated.preview.winners
+      });
+    } catch (error) {
+      console.error('Error generating winner preview:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate winners',
+        details: error.message
+      });
+    }
+  });
+
+  // API to write a previewed winner list to Winners/{exam}
+  router.post("/exams/:examTitle/winners/commit", requirePermission("winners:write"), validate(schemas.commitWinners), audit({ entity: "winner", store: "rtdb", path: (req) => `Winners/${req.params.examTitle}` }), async (req, res) => {
+    const { examTitle } = req.params;
+    const { previewId, replace } = req.body;
+
+    try {
+      const committed = await services.winners.commitWinners(examTitle, previewId, {
+        replace,
+        committedBy: req.admin.userid
+      });
+
+      if (committed.status !== "committed") {
+        const [statusCode, error] = COMMIT_ERRORS[committed.status];
+        return res.status(statusCode).json({
+          success: false,
+          error,
+          ...(committed.progressed && { progressed: committed.progressed })
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Winners saved successfully',
+        winners: committed.winners
+      });
+    } catch (error) {
+      console.error('Error committing winners:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save winners',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createWinnersRouter;
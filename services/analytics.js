@@ -0,0 +1,167 @@
+const { questionTypeOf, selectedOptionIndexes, correctOptionIndexes } = require("./questionTypes");
+const { scoringSettingsOf, questionMarks, isSkipped, scoreAnswer, scoreCandidate } = require("./scoring");
+
+// Share of candidates in each of the top and bottom groups (classic item analysis)
+const GROUP_SHARE = 0.27;
+
+// A distractor chosen by fewer candidates than this (percent) is not doing its job
+const FUNCTIONAL_DISTRACTOR_PERCENT = 5;
+
+// Thresholds for the editor-facing flags
+const TOO_EASY_PERCENT = 90;
+const TOO_HARD_PERCENT = 20;
+const LOW_DISCRIMINATION = 0.2;
+
+const percentOf = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Item analysis for one question. `responses` holds one entry per candidate,
+ * ordered from highest to lowest total score: { answer, outcome }.
+ */
+const analyzeQuestion = (question, responses, groupSize) => {
+  const candidateCount = responses.length;
+  const type = questionTypeOf(question);
+  const hasOptions = type !== "numeric";
+
+  const correctCount = responses.filter((response) => response.outcome === "correct").length;
+  const partialCount = responses.filter((response) => response.outcome === "partial").length;
+  const skippedCount = responses.filter((response) => response.outcome === "skipped").length;
+  const attemptedCount = candidateCount - skippedCount;
+
+  const top = responses.slice(0, groupSize);
+  const bottom = responses.slice(-groupSize);
+  const canDiscriminate = groupSize > 0 && candidateCount >= 2;
+
+  // (share of top group) - (share of bottom group) for a response predicate
+  const groupDifference = (predicate) => (canDiscriminate
+    ? (top.filter(predicate).length - bottom.filter(predicate).length) / groupSize
+    : null);
+
+  const chose = (index) => (response) =>
+    response.outcome !== "skipped" && selectedOptionIndexes(question, response.answer).includes(index);
+
+  const correctIndexes = correctOptionIndexes(question);
+  const options = hasOptions ? question.options || [] : [];
+
+  const optionDistribution = options.map((option, index) => {
+    const count = responses.filter(chose(index)).length;
+    return {
+      index,
+      option,
+      correct: correctIndexes.includes(index),
+      count,
+      percentage: percentOf(count, candidateCount)
+    };
+  });
+
+  // Wrong options: a good distractor attracts weaker candidates more than stronger ones
+  const distractors = optionDistribution
+    .filter((option) => !option.correct)
+    .map((option) => {
+      const discrimination = groupDifference(chose(option.index));
+      return {
+        index: option.index,
+        option: option.option,
+        count: option.count,
+        percentage: option.percentage,
+        functional: option.percentage >= FUNCTIONAL_DISTRACTOR_PERCENT,
+        discrimination: discrimination === null ? null : round2(-discrimination)
+      };
+    });
+
+  const percentCorrect = percentOf(correctCount, candidateCount);
+  const discriminationIndex = round2(groupDifference((response) => response.outcome === "correct"));
+  const functionalDistractors = distractors.filter((distractor) => distractor.functional).length;
+
+  const flags = [];
+  if (candidateCount > 0 && percentCorrect > TOO_EASY_PERCENT) flags.push("too_easy");
+  if (candidateCount > 0 && percentCorrect < TOO_HARD_PERCENT) flags.push("too_hard");
+  if (discriminationIndex !== null && discriminationIndex < 0) flags.push("negative_discrimination");
+  else if (discriminationIndex !== null && discriminationIndex < LOW_DISCRIMINATION) flags.push("low_discrimination");
+  if (distractors.some((distractor) => !distractor.functional)) flags.push("non_functional_distractors");
+  if (distractors.some((distractor) => distractor.discrimination !== null && distractor.discrimination < 0)) {
+    flags.push("distractor_attracts_top_group");
+  }
+
+  return {
+    questionId: question.id,
+    order: question.order,
+    type,
+    question: question.question,
+    candidateCount,
+    attemptedCount,
+    correctCount,
+    partialCount,
+    percentCorrect,
+    percentCorrectOfAttempted: percentOf(correctCount, attemptedCount),
+    skipRate: percentOf(skippedCount, candidateCount),
+    discriminationIndex,
+    optionDistribution: hasOptions ? optionDistribution : null,
+    distractorEffectiveness: hasOptions
+      ? {
+        functional: functionalDistractors,
+        total: distractors.length,
+        percentage: percentOf(functionalDistractors, distractors.length),
+        distractors
+      }
+      : null,
+    flags
+  };
+};
+
+// Item analysis of main exams from the candidates' answers
+const createAnalyticsService = ({ exams, candidates }) => {
+  /**
+   * Per-question statistics for an exam: percent correct, option
+   * distribution, skip rate, discrimination index (top vs bottom 27% of
+   * candidates by score) and distractor effectiveness.
+   */
+  const analyzeExam = async (examTitle) => {
+    const [exam, examQuestions, examCandidates] = await Promise.all([
+      exams.getExam(examTitle),
+      exams.listQuestions(examTitle),
+      candidates.listByExam(examTitle)
+    ]);
+
+    const settings = scoringSettingsOf(exam);
+    const marks = questionMarks(examQuestions, Number(exam?.dateTime?.marks) || 0);
+
+    const scoredCandidates = await Promise.all(examCandidates.map(async (candidate) => {
+      const answers = await candidates.listAnswers(candidate.id);
+      const answersByOrder = new Map(answers.map((answer) => [answer.order, answer]));
+
+      return {
+        score: scoreCandidate(examQuestions, answers, { settings, marks }).score,
+        responses: examQuestions.map((question, index) => {
+          const candidateAnswer = answersByOrder.get(question.order);
+          return {
+            answer: isSkipped(candidateAnswer) ? null : candidateAnswer.answer,
+            outcome: scoreAnswer(question, candidateAnswer, marks[index], settings).outcome
+          };
+        })
+      };
+    }));
+
+    // Strongest candidates first
+    scoredCandidates.sort((a, b) => b.score - a.score);
+
+    const groupSize = Math.round(scoredCandidates.length * GROUP_SHARE) ||
+      (scoredCandidates.length >= 2 ? 1 : 0);
+
+    return {
+      examTitle,
+      candidateCount: scoredCandidates.length,
+      groupSize,
+      questions: examQuestions.map((question, index) =>
+        analyzeQuestion(question, scoredCandidates.map((candidate) => candidate.responses[index]), groupSize))
+    };
+  };
+
+  return {
+    analyzeExam
+  };
+};
+
+module.exports = createAnalyticsService;
@@ -0,0 +1,65 @@
+// Keys that must never be copied into the audit trail
+const REDACTED_KEYS = ["password", "passwordHash", "refreshTokenHash"];
+
+// Inline data URIs (base64 images) are replaced by a short marker
+const MAX_INLINE_STRING_LENGTH = 2048;
+
+// Turn a Firestore/RTDB value into plain JSON that the Realtime Database accepts
+const sanitizeSnapshot = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (typeof value === "string") {
+    if (value.startsWith("data:") && value.length > MAX_INLINE_STRING_LENGTH) {
+      return `[data URI omitted, ${value.length} chars]`;
+    }
+    return value;
+  }
+
+  if (typeof value !== "object") {
+    return value;
+  }
+
+  // Firestore Timestamps
+  if (typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(sanitizeSnapshot);
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, entryValue]) => {
+    // RTDB keys cannot contain . $ # [ ] /
+    const safeKey = key.replace(/[.$#[\]/]/g, "_");
+    result[safeKey] = REDACTED_KEYS.includes(key) ? "[redacted]" : sanitizeSnapshot(entryValue);
+  });
+  return result;
+};
+
+const createAuditService = ({ auditLog }) => {
+  // Read the current state of an audited Firestore document or RTDB node
+  const readSnapshot = async (store, path) => {
+    // Only Firestore documents (even number of segments) are snapshotted, not whole collections
+    if (store === "firestore" && path.split("/").length % 2 !== 0) {
+      return null;
+    }
+
+    return sanitizeSnapshot(await auditLog.readTarget(store, path));
+  };
+
+  const record = (entry) => auditLog.append(entry);
+
+  // Query the audit trail by actor, entity and timestamp range (newest first)
+  const query = ({ actor, entity, from, to, limit }) => auditLog.listNewest({ actor, entity, from, to, limit });
+
+  return {
+    readSnapshot,
+    record,
+    query
+  };
+};
+
+module.exports = createAuditService;
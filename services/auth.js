@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const { hashPassword, verifyPassword, safeEqual } = require("../auth/passwords");
+const { generateRefreshToken, hashRefreshToken } = require("../auth/tokens");
+const { rtdbTimestamp } = require("../repositories/serverValues");
+
+const USERID_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+
+// Strip secrets before returning an account to a client
+const toPublicUser = (user) => {
+  if (!user) {
+    return null;
+  }
+
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+// Admin accounts, login sessions and token handling
+const createAuthService = ({ adminUsers, sessions }, tokens, { sessionTtlSeconds }) => {
+  const getUser = async (userid) => {
+    if (!USERID_PATTERN.test(userid || "")) {
+      return null;
+    }
+    return adminUsers.get(userid);
+  };
+
+  const listUsers = async () => {
+    const users = await adminUsers.list();
+    return users.map(toPublicUser);
+  };
+
+  const createUser = async ({ userid, password, role, name }) => {
+    const user = {
+      userid,
+      name: name || userid,
+      role,
+      disabled: false,
+      passwordHash: await hashPassword(password),
+      createdAt: rtdbTimestamp(),
+      updatedAt: rtdbTimestamp()
+    };
+
+    await adminUsers.create(user);
+    return toPublicUser(user);
+  };
+
+  const updateUser = async (userid, { password, role, name, disabled }) => {
+    const updates = {
+      updatedAt: rtdbTimestamp()
+    };
+
+    if (role !== undefined) updates.role = role;
+    if (name !== undefined) updates.name = name;
+    if (disabled !== undefined) updates.disabled = Boolean(disabled);
+    if (password !== undefined) updates.passwordHash = await hashPassword(password);
+
+    await adminUsers.update(userid, updates);
+    return toPublicUser(await getUser(userid));
+  };
+
+  const deleteUser = async (userid) => {
+    await adminUsers.remove(userid);
+  };
+
+  // Move the legacy Adminlogin account into AdminUsers as a superadmin
+  const migrateLegacyAdmin = async (userid, passwordHash) => {
+    await adminUsers.create({
+      userid,
+      name: userid,
+      role: "superadmin",
+      disabled: false,
+      passwordHash,
+      createdAt: rtdbTimestamp(),
+      updatedAt: rtdbTimestamp()
+    });
+    await adminUsers.removeLegacyAdmin();
+  };
+
+  // Return the account for valid credentials, or null
+  const verifyCredentials = async (userid, password) => {
+    const user = await getUser(userid);
+
+    if (user) {
+      const valid = !user.disabled && await verifyPassword(password, user.passwordHash);
+      return valid ? user : null;
+    }
+
+    // Fall back to the legacy single Adminlogin account and migrate it on success
+    const legacyAdmin = await adminUsers.getLegacyAdmin();
+    if (!legacyAdmin || legacyAdmin.userid !== userid) {
+      return null;
+    }
+
+    let valid = false;
+    if (legacyAdmin.passwordHash) {
+      valid = await verifyPassword(password, legacyAdmin.passwordHash);
+    } else if (legacyAdmin.password) {
+      valid = safeEqual(legacyAdmin.password, password);
+    }
+
+    if (!valid) {
+      return null;
+    }
+
+    const passwordHash = legacyAdmin.passwordHash || await hashPassword(password);
+    await migrateLegacyAdmin(userid, passwordHash);
+    return getUser(userid);
+  };
+
+  // Issue an access token plus a "<sessionId>.<secret>" refresh token for a session
+  const issueTokens = async (sessionId, userid) => {
+    const refreshSecret = generateRefreshToken();
+    const now = Date.now();
+
+    await sessions.update(sessionId, {
+      userid,
+      refreshTokenHash: hashRefreshToken(refreshSecret),
+      refreshedAt: now
+    });
+
+    return {
+      token: tokens.signToken({ sub: userid, sid: sessionId }),
+      tokenExpiresAt: now + tokens.accessTokenTtlSeconds * 1000,
+      refreshToken: `${sessionId}.${refreshSecret}`
+    };
+  };
+
+  // Start a new session for an authenticated admin
+  const createSession = async (userid) => {
+    const sessionId = crypto.randomUUID();
+    const now = Date.now();
+    const expiresAt = now + sessionTtlSeconds * 1000;
+
+    await sessions.create(sessionId, {
+      userid,
+      createdAt: now,
+      expiresAt
+    });
+
+    const issued = await issueTokens(sessionId, userid);
+    return { ...issued, sessionExpiresAt: expiresAt };
+  };
+
+  // Fetch a session that has not expired yet, or null
+  const getActiveSession = async (sessionId) => {
+    if (!sessionId) {
+      return null;
+    }
+
+    const session = await sessions.get(sessionId);
+    if (!session || session.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    return { id: sessionId, ...session };
+  };
+
+  // Swap a refresh token for a new access token, rotating the refresh token
+  const refreshSession = async (refreshToken) => {
+    if (typeof refreshToken !== "string") {
+      return null;
+    }
+
+    const [sessionId, refreshSecret] = refreshToken.split(".");
+    const session = await getActiveSession(sessionId);
+    if (!session || !refreshSecret) {
+      return null;
+    }
+
+    const expected = Buffer.from(session.refreshTokenHash || "");
+    const actual = Buffer.from(hashRefreshToken(refreshSecret));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    const issued = await issueTokens(sessionId, session.userid);
+    return { ...issued, sessionExpiresAt: session.expiresAt };
+  };
+
+  // End a session; its access and refresh tokens stop working at once
+  const removeSession = async (sessionId) => {
+    await sessions.remove(sessionId);
+  };
+
+  // Resolve an access token to the admin behind it, or null.
+  // Roles are read on every request so changes apply to existing sessions.
+  const authenticateToken = async (token) => {
+    const claims = tokens.verifyToken(token);
+    const session = claims ? await getActiveSession(claims.sid) : null;
+
+    if (!session || session.userid !== claims.sub) {
+      return null;
+    }
+
+    const user = await getUser(session.userid);
+    if (!user || user.disabled) {
+      return null;
+    }
+
+    return {
+      userid: user.userid,
+      name: user.name,
+      role: user.role,
+      sessionId: session.id
+    };
+  };
+
+  return {
+    toPublicUser,
+    getUser,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    verifyCredentials,
+    createSession,
+    refreshSession,
+    removeSession,
+    authenticateToken
+  };
+};
+
+module.exports = createAuthService;
@@ -0,0 +1,273 @@
+const path = require("path");
+const AdmZip = require("adm-zip");
+const { questionTypeOf } = require("./questionTypes");
+const { EXAM_STATUSES } = require("./examStatus");
+
+/**
+ * Portable exam bundles: a ZIP holding manifest.json plus the question
+ * images, exported from a main exam or a practice test and importable as
+ * either kind (to copy an exam between environments, or turn a main exam
+ * into a practice test and back).
+ *
+ * manifest.json
+ *   format, version   "exam-bundle", 1
+ *   exportedAt        epoch ms
+ *   source            { kind: "exam", examTitle } or { kind: "practiceTest", category, examId }
+ *   exam              main exam details: { description, status, settings }
+ *   practiceTest      practice test details: { fees, duration, timeLimit }
+ *   schedule          the ExamDateTime / PracticeTestDateTime record, or null
+ *   questions         in `order`: { order, type, question, options, correctAnswer,
+ *                     tolerance, marks, image } where image is a path in the ZIP
+ *   warnings          problems met while exporting (e.g. unreadable images)
+ */
+const BUNDLE_FORMAT = "exam-bundle";
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp"
+};
+
+// Bookkeeping fields that belong to the source environment, not the content
+const withoutSystemFields = (record, extra = []) => {
+  const omit = ["id", "createdAt", "updatedAt", "timestamp", "lastQuestionOrder", "dateTime", ...extra];
+  return Object.fromEntries(Object.entries(record || {}).filter(([key]) => !omit.includes(key)));
+};
+
+const createExamBundleService = ({ exams, practiceTests }, storage, { questionImport, examImages }) => {
+  // Where a bundle is read from or written to
+  const targets = {
+    exam: ({ examTitle }) => ({
+      folder: examImages.folderFor(examTitle),
+      exists: () => exams.examExists(examTitle),
+      create: async (manifest) => {
+        const details = manifest.exam || {};
+        await exams.createExam(examTitle, {
+          title: examTitle,
+          description: typeof details.description === "string" ? details.description : "",
+          // Anything converted from a practice test starts as a draft
+          status: EXAM_STATUSES.includes(details.status) ? details.status : "draft",
+          ...(details.settings && { settings: details.settings })
+        });
+      },
+      saveSchedule: (schedule) => exams.saveDateTime(examTitle, schedule),
+      addQuestions: (questionDataList, options) => exams.addQuestions(examTitle, questionDataList.map((questionData) => ({
+        ...questionData,
+        timestamp: new Date().getTime()
+      })), options)
+    }),
+    practiceTest: ({ category, examId }) => ({
+      folder: `practice-tests/${category}/${examId}/questions`,
+      exists: async () => Boolean(await practiceTests.getTest(category, examId)) ||
+        (await practiceTests.listQuestions(category, examId)).length > 0,
+      create: async (manifest) => {
+        const details = manifest.practiceTest || {};
+        await practiceTests.createTest(category, examId, {
+          fees: details.fees || 0,
+          duration: details.duration || "N/A",
+          timeLimit: details.timeLimit || "N/A"
+        });
+      },
+      saveSchedule: (schedule) => practiceTests.saveDateTime(category, examId, schedule),
+      addQuestions: (questionDataList, options) => practiceTests.addQuestions(category, examId, questionDataList, options)
+    })
+  };
+
+  // Question image bytes with a file extension, or null; throws when unreadable
+  const readImage = async (question) => {
+    if (typeof question.image === "string" && question.image.startsWith("data:")) {
+      const match = /^data:([^;,]+);base64,(.*)$/s.exec(question.image);
+      return match ? { buffer: Buffer.from(match[2], "base64"), extension: EXTENSIONS[match[1]] || "bin" } : null;
+    }
+    if (!question.imagePath && !question.imageUrl) {
+      return null;
+    }
+
+    const imagePath = question.imagePath || storage.pathFromUrl(question.imageUrl);
+    return {
+      buffer: await storage.read(imagePath),
+      extension: path.extname(imagePath).slice(1).toLowerCase() || "bin"
+    };
+  };
+
+  const buildBundle = async ({ source, exam, practiceTest, schedule, questions }) => {
+    const zip = new AdmZip();
+    const warnings = [];
+
+    const bundledQuestions = [];
+    for (const [index, question] of questions.entries()) {
+      let image = null;
+      try {
+        const stored = await readImage(question);
+        if (stored) {
+          image = `images/${String(index + 1).padStart(3, "0")}-${question.id}.${stored.extension}`;
+          zip.addFile(image, stored.buffer);
+        }
+      } catch (error) {
+        console.error(`Error reading image of question ${question.id}:`, error);
+        warnings.push(`The image of question ${question.order} could not be read and was left out`);
+      }
+
+      bundledQuestions.push({
+        order: question.order,
+        type: questionTypeOf(question),
+        question: question.question,
+        options: question.options || [],
+        correctAnswer: question.correctAnswer,
+        tolerance: question.tolerance ?? null,
+        marks: question.marks ?? null,
+        image
+      });
+    }
+
+    const manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: Date.now(),
+      source,
+      exam: exam || null,
+      practiceTest: practiceTest || null,
+      schedule: schedule ? withoutSystemFields(schedule) : null,
+      questions: bundledQuestions,
+      warnings
+    };
+    zip.addFile(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    return zip.toBuffer();
+  };
+
+  // ZIP bundle of a main exam, or null when it does not exist
+  const exportExam = async (examTitle) => {
+    const [exam, questions, schedule] = await Promise.all([
+      exams.getExam(examTitle),
+      exams.listQuestions(examTitle),
+      exams.getDateTime(examTitle)
+    ]);
+    if (!exam && questions.length === 0) {
+      return null;
+    }
+
+    const details = withoutSystemFields(exam, ["title"]);
+    return buildBundle({
+      source: { kind: "exam", examTitle },
+      exam: {
+        description: details.description ?? "",
+        status: details.status ?? null,
+        settings: details.settings ?? null
+      },
+      schedule,
+      questions
+    });
+  };
+
+  // ZIP bundle of a practice test, or null when it does not exist
+  const exportPracticeTest = async (category, examId) => {
+    const [test, questions, schedule] = await Promise.all([
+      practiceTests.getTest(category, examId),
+      practiceTests.listQuestions(category, examId),
+      practiceTests.getDateTime(category, examId)
+    ]);
+    if (!test && questions.length === 0) {
+      return null;
+    }
+
+    return buildBundle({
+      source: { kind: "practiceTest", category, examId },
+      practiceTest: withoutSystemFields(test),
+      schedule,
+      questions
+    });
+  };
+
+  const readManifest = (buffer) => {
+    let entry;
+    try {
+      entry = new AdmZip(buffer).getEntry(MANIFEST_NAME);
+    } catch (error) {
+      return { error: `Invalid bundle ZIP: ${error.message}` };
+    }
+    if (!entry) {
+      return { error: `The bundle has no ${MANIFEST_NAME}` };
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(entry.getData().toString("utf8"));
+    } catch (error) {
+      return { error: `Invalid ${MANIFEST_NAME}: ${error.message}` };
+    }
+
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+      return { error: "Not an exam bundle" };
+    }
+    if (manifest.version !== BUNDLE_VERSION) {
+      return { error: `Unsupported bundle version ${manifest.version}` };
+    }
+    if (!Array.isArray(manifest.questions)) {
+      return { error: `${MANIFEST_NAME} has no questions list` };
+    }
+    return { manifest, entry };
+  };
+
+  /**
+   * Create a main exam ({ kind: "exam", examTitle }) or practice test
+   * ({ kind: "practiceTest", category, examId }) from a bundle. The target
+   * must not exist yet. Returns { status } where status is:
+   *   "invalid_bundle"  the ZIP or its manifest cannot be used; with message
+   *   "exists"          the target exam or practice test already exists
+   *   "invalid"         some questions failed validation; nothing was created
+   *   "imported"        with the created questions (as for question imports)
+   *   "partial"         saving questions failed part-way
+   */
+  const importBundle = async (buffer, target, { includeSchedule = true, compressImage = false } = {}) => {
+    const { manifest, entry, error } = readManifest(buffer);
+    if (error) {
+      return { status: "invalid_bundle", message: error };
+    }
+
+    const destination = targets[target.kind](target);
+    if (await destination.exists()) {
+      return { status: "exists" };
+    }
+
+    const createDestination = async () => {
+      await destination.create(manifest);
+      if (includeSchedule && manifest.schedule) {
+        await destination.saveSchedule(withoutSystemFields(manifest.schedule));
+      }
+    };
+
+    if (manifest.questions.length === 0) {
+      await createDestination();
+      return { status: "imported", rowCount: 0, questions: [] };
+    }
+
+    // The questions and their images go through the bulk question importer
+    const questionFile = { originalname: MANIFEST_NAME, mimetype: "application/json", buffer: entry.getData() };
+    const imagesZip = { buffer };
+    const options = { file: questionFile, imagesZip, compressImage };
+    const importTarget = { folder: destination.folder, addQuestions: destination.addQuestions };
+
+    const preview = await questionImport.importQuestions(importTarget, { ...options, dryRun: true });
+    if (preview.status === "invalid_file") {
+      return { status: "invalid_bundle", message: preview.message };
+    }
+    if (!preview.valid) {
+      return { status: "invalid", rowCount: preview.rowCount, errors: preview.errors };
+    }
+
+    await createDestination();
+    return questionImport.importQuestions(importTarget, options);
+  };
+
+  return {
+    exportExam,
+    exportPracticeTest,
+    importBundle
+  };
+};
+
+module.exports = createExamBundleService;
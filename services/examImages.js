@@ -0,0 +1,54 @@
+const { firestoreDeleteField } = require("../repositories/serverValues");
+
+// Main-exam question images live under exams/{title}/questions in storage
+const examImageFolder = (examTitle) => `exams/${examTitle}/questions`;
+
+const isInlineImage = (value) => typeof value === "string" && value.startsWith("data:");
+
+const createExamImageService = ({ exams }, questionImages) => {
+  /**
+   * Move base64 `image` fields left on older main-exam questions into storage.
+   *
+   * Each converted question gets imageUrl/imagePath and loses its `image`
+   * field. Questions are handled one at a time so a failure only skips that
+   * question; with dryRun nothing is uploaded or written.
+   */
+  const migrateInlineImages = async ({ examTitle, dryRun = false, compress = false } = {}) => {
+    const examTitles = examTitle
+      ? [examTitle]
+      : (await exams.listExams()).map((exam) => exam.id);
+
+    const summary = { dryRun, examsScanned: examTitles.length, questionsScanned: 0, migrated: [], failed: [] };
+
+    for (const title of examTitles) {
+      const questions = await exams.listQuestions(title);
+      summary.questionsScanned += questions.length;
+
+      for (const question of questions.filter((q) => isInlineImage(q.image))) {
+        if (dryRun) {
+          summary.migrated.push({ examTitle: title, questionId: question.id });
+          continue;
+        }
+
+        try {
+          const stored = await questionImages.uploadDataUri(question.image, examImageFolder(title), { compress });
+          await exams.updateQuestion(title, question.id, { ...stored, image: firestoreDeleteField() });
+          summary.migrated.push({ examTitle: title, questionId: question.id, imageUrl: stored.imageUrl });
+        } catch (error) {
+          console.error(`Error migrating image for ${title}/${question.id}:`, error);
+          summary.failed.push({ examTitle: title, questionId: question.id, error: error.message });
+        }
+      }
+    }
+
+    return summary;
+  };
+
+  return {
+    folderFor: examImageFolder,
+    isInlineImage,
+    migrateInlineImages
+  };
+};
+
+module.exports = createExamImageService;
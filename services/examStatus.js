@@ -0,0 +1,14 @@
+// Lifecycle of a main exam
+const EXAM_STATUSES = ["draft", "published", "archived"];
+
+// Exams created before statuses existed were already live
+const LEGACY_EXAM_STATUS = "published";
+
+const examStatus = (exam) =>
+  (exam && EXAM_STATUSES.includes(exam.status) ? exam.status : LEGACY_EXAM_STATUS);
+
+module.exports = {
+  EXAM_STATUSES,
+  LEGACY_EXAM_STATUS,
+  examStatus
+};
@@ -0,0 +1,130 @@
+const moment = require("moment-timezone");
+const { examStatus } = require("./examStatus");
+
+/**
+ * Exam windows: whether a main exam is upcoming, live or closed, computed on
+ * the server from its schedule (see services/schedule.js) and any extra time
+ * granted to the candidate asking. Clients show the countdown they are given
+ * rather than trusting their own clocks.
+ */
+
+// Extra time beyond this is almost certainly a typo (minutes for seconds)
+const MAX_EXTRA_TIME_MINUTES = 24 * 60;
+
+const toIso = (epochMs, timeZone) => moment.tz(epochMs, timeZone).format();
+
+/**
+ * The state of a window ({ startAt, endAt, timeZone } or null) at `now`
+ * ("unscheduled", "upcoming", "live" or "closed"), with the candidate's
+ * extra time added to the end and a countdown in whole seconds to the next
+ * state change.
+ */
+const windowState = (window, now, extraTimeMinutes = 0) => {
+  if (!window) {
+    return { state: "unscheduled", timeZone: null, start: null, end: null, effectiveEnd: null, extraTimeMinutes, countdown: null };
+  }
+
+  const effectiveEndAt = window.endAt + extraTimeMinutes * 60 * 1000;
+  let state = "closed";
+  let countdown = null;
+  if (now < window.startAt) {
+    state = "upcoming";
+    countdown = { until: "start", seconds: Math.ceil((window.startAt - now) / 1000) };
+  } else if (now < effectiveEndAt) {
+    state = "live";
+    countdown = { until: "end", seconds: Math.ceil((effectiveEndAt - now) / 1000) };
+  }
+
+  return {
+    state,
+    timeZone: window.timeZone,
+    start: toIso(window.startAt, window.timeZone),
+    end: toIso(window.endAt, window.timeZone),
+    effectiveEnd: toIso(effectiveEndAt, window.timeZone),
+    extraTimeMinutes,
+    countdown
+  };
+};
+
+const createExamWindowService = ({ exams, candidates, extraTime }, schedule) => {
+  /**
+   * Status of a main exam at `now`, for everyone or (with registrationNumber)
+   * for one candidate including their extra time. Null when the exam does
+   * not exist.
+   */
+  const getExamStatus = async (examTitle, { registrationNumber, now = Date.now() } = {}) => {
+    const [exam, record, grant] = await Promise.all([
+      exams.getExam(examTitle),
+      exams.getDateTime(examTitle),
+      registrationNumber ? extraTime.get(examTitle, registrationNumber) : null
+    ]);
+    if (!exam && !record) {
+      return null;
+    }
+
+    return {
+      examTitle,
+      examStatus: examStatus(exam),
+      serverTime: new Date(now).toISOString(),
+      ...windowState(schedule.window(record), now, Number(grant?.minutes) || 0)
+    };
+  };
+
+  const isCandidateOf = async (examTitle, registrationNumber) => {
+    const candidate = await candidates.get(registrationNumber);
+    return Boolean(candidate) && candidate.exam === examTitle;
+  };
+
+  /**
+   * Whether a candidate may read the exam's questions and their answers now.
+   * Returns { status, exam } where status is "allowed", "not_candidate",
+   * "not_found", "unavailable" (not published) or "outside_window"; exam is
+   * the status from getExamStatus.
+   */
+  const checkCandidateAccess = async (examTitle, registrationNumber, now = Date.now()) => {
+    if (!(await isCandidateOf(examTitle, registrationNumber))) {
+      return { status: "not_candidate" };
+    }
+
+    const exam = await getExamStatus(examTitle, { registrationNumber, now });
+    if (!exam) {
+      return { status: "not_found" };
+    }
+    if (exam.examStatus !== "published") {
+      return { status: "unavailable", exam };
+    }
+    return { status: exam.state === "live" ? "allowed" : "outside_window", exam };
+  };
+
+  // Returns { status: "not_candidate" } or { status: "saved", grant }
+  const grantExtraTime = async (examTitle, registrationNumber, { minutes, reason }, grantedBy) => {
+    if (!(await isCandidateOf(examTitle, registrationNumber))) {
+      return { status: "not_candidate" };
+    }
+
+    const grant = { minutes, reason: reason || null, grantedBy };
+    await extraTime.set(examTitle, registrationNumber, grant);
+    return { status: "saved", grant: { registrationNumber, ...grant } };
+  };
+
+  // False when the candidate had no extra time
+  const revokeExtraTime = async (examTitle, registrationNumber) => {
+    if (!(await extraTime.get(examTitle, registrationNumber))) {
+      return false;
+    }
+
+    await extraTime.remove(examTitle, registrationNumber);
+    return true;
+  };
+
+  return {
+    getExamStatus,
+    checkCandidateAccess,
+    grantExtraTime,
+    listExtraTime: (examTitle) => extraTime.listByExam(examTitle),
+    revokeExtraTime
+  };
+};
+
+module.exports = createExamWindowService;
+module.exports.MAX_EXTRA_TIME_MINUTES = MAX_EXTRA_TIME_MINUTES;
@@ -0,0 +1,240 @@
+const ExcelJS = require("exceljs");
+const moment = require("moment");
+const { PURCHASE_FIELDS, firstOf, purchaseField } = require("./purchaseRecords");
+
+/**
+ * Tabular (CSV / XLSX) exports of list endpoints.
+ *
+ * Every dataset has a fixed column list so exported files keep the same
+ * shape whatever the stored records contain; missing fields are left blank.
+ * Rows come from async iterators in the repositories and are written to the
+ * response as they arrive, so a large collection is never held in memory.
+ */
+const EXPORT_FORMATS = ["json", "csv", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+// Timestamps (epoch ms, ISO strings, Firestore Timestamps) as ISO strings
+const toIsoDate = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  const date = moment(value, moment.ISO_8601, true).isValid() ? moment(value) : moment(Number(value));
+  return date.isValid() ? date.toISOString() : String(value);
+};
+
+/**
+ * Purchase records are written by the student app, so they may hold fields
+ * the named columns do not read (see services/purchaseRecords.js); those go
+ * into a last "Extra" column as one JSON object rather than being dropped.
+ * `itemColumns` are the [header, field] columns naming the product bought.
+ */
+const purchaserColumns = (itemColumns) => {
+  const named = [
+    ["Name", "name"],
+    ["Email", "email"],
+    ["Phone", "phone"],
+    ["Category", "category"],
+    ...itemColumns,
+    ["Amount", "amount"],
+    ["Payment ID", "paymentId"]
+  ];
+  const readFields = new Set(["id", ...[...named.map(([, field]) => field), "purchasedAt"].flatMap((field) => PURCHASE_FIELDS[field])]);
+
+  const extra = (row) => {
+    const fields = Object.entries(row).filter(([field]) => !readFields.has(field));
+    return fields.length > 0 ? Object.fromEntries(fields) : null;
+  };
+
+  return [
+    { header: "Record ID", value: (row) => row.id },
+    ...named.map(([header, field]) => ({ header, value: (row) => purchaseField(row, field) })),
+    { header: "Purchased At", value: (row) => toIsoDate(purchaseField(row, "purchasedAt")) },
+    { header: "Extra", value: extra }
+  ];
+};
+
+const DATASETS = {
+  results: {
+    filename: "exam-results",
+    rows: ({ results }) => results.iterateAll(),
+    columns: [
+      { header: "Exam", value: (row) => row.examTitle },
+      { header: "Registration Number", value: (row) => row.registrationNumber },
+      { header: "Candidate Name", value: (row) => row.candidateName },
+      { header: "Phone", value: (row) => row.phone },
+      { header: "Total Questions", value: (row) => row.totalQuestions },
+      { header: "Correct", value: (row) => row.correctAnswers },
+      { header: "Partial", value: (row) => row.partialAnswers },
+      { header: "Wrong", value: (row) => row.wrongAnswers },
+      { header: "Skipped", value: (row) => row.skippedQuestions },
+      { header: "Score", value: (row) => row.score },
+      { header: "Max Score", value: (row) => row.maxScore },
+      { header: "Percentage", value: (row) => row.percentage },
+      { header: "Rank", value: (row) => row.rank },
+      { header: "Submitted", value: (row) => row.submitted },
+      { header: "Submitted At", value: (row) => toIsoDate(row.submittedAt) },
+      { header: "Graded At", value: (row) => toIsoDate(row.timestamp) }
+    ]
+  },
+  candidates: {
+    filename: "candidates",
+    rows: ({ candidates }) => candidates.iterateAll(),
+    columns: [
+      { header: "Registration Number", value: (row) => row.id },
+      { header: "Candidate Name", value: (row) => row.candidateName },
+      { header: "Phone", value: (row) => row.phone },
+      { header: "Email", value: (row) => row.email },
+      { header: "Exam", value: (row) => row.exam },
+      { header: "Submitted", value: (row) => row.submitted ?? false },
+      { header: "Used", value: (row) => row.used ?? false },
+      { header: "Submitted At", value: (row) => toIsoDate(firstOf(row, "submittedAt", "submissionTime")) }
+    ]
+  },
+  practiceTestPurchasers: {
+    filename: "practice-test-purchasers",
+    rows: ({ purchasers }) => purchasers.iteratePracticeTestPurchasers(),
+    columns: purchaserColumns([["Exam ID", "examId"], ["Practice Test", "title"]])
+  },
+  pdfSyllabusPurchasers: {
+    filename: "pdf-syllabus-purchasers",
+    rows: ({ purchasers }) => purchasers.iteratePdfSyllabusPurchasers(),
+    columns: purchaserColumns([["PDF Syllabus", "title"]])
+  }
+};
+
+// Nested values (e.g. answer lists) are written as JSON
+const toCell = (value) => (value !== null && typeof value === "object" ? JSON.stringify(value) : value ?? null);
+
+// Spreadsheet apps run CSV cells starting with these as formulas; plain
+// numbers such as "+91 98765 43210" or "-5" are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const SIGNED_NUMBER = /^[+-][\d\s().]+$/;
+
+const toCsvField = (value) => {
+  let text = String(toCell(value) ?? "");
+  if (FORMULA_PREFIX.test(text) && !SIGNED_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Respect backpressure so slow clients do not make rows pile up in memory;
+// a client that disconnects while the buffer is full fails the write
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    reject(new Error("The client closed the connection"));
+    return;
+  }
+  if (stream.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const settle = (error) => {
+    stream.off("drain", settle);
+    stream.off("close", onClose);
+    stream.off("error", settle);
+    if (error) reject(error);
+    else resolve();
+  };
+  const onClose = () => settle(new Error("The client closed the connection"));
+
+  stream.once("drain", settle);
+  stream.once("close", onClose);
+  stream.once("error", settle);
+});
+
+const writeCsv = async (stream, columns, rows) => {
+  // The BOM makes Excel open the file as UTF-8
+  await writeChunk(stream, `\uFEFF${columns.map((column) => toCsvField(column.header)).join(",")}\r\n`);
+
+  for await (const row of rows) {
+    await writeChunk(stream, `${columns.map((column) => toCsvField(column.value(row))).join(",")}\r\n`);
+  }
+
+  stream.end();
+};
+
+const writeXlsx = async (stream, columns, rows, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map((column) => ({ header: column.header, width: Math.max(12, column.header.length + 2) }));
+
+  for await (const row of rows) {
+    worksheet.addRow(columns.map((column) => toCell(column.value(row)))).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+const createExportService = (repositories) => {
+  /**
+   * Stream a dataset to an Express response as CSV or XLSX. Errors before
+   * the first byte propagate to the caller; later ones abort the response.
+   */
+  const sendExport = async (res, datasetName, format) => {
+    const dataset = DATASETS[datasetName];
+    const filename = `${dataset.filename}-${moment().format("YYYY-MM-DD")}.${format}`;
+    const { columns } = dataset;
+    const rows = dataset.rows(repositories)[Symbol.asyncIterator]();
+
+    // Read the first row before sending headers so a failing query still
+    // gets a normal error response
+    const first = await rows.next();
+
+    // Stop reading rows once the client is gone (the XLSX writer does not notice on its own)
+    let clientGone = false;
+    res.once("close", () => {
+      clientGone = !res.writableFinished;
+    });
+
+    const allRows = (async function* () {
+      try {
+        for (let next = first; !next.done; next = await rows.next()) {
+          if (clientGone) {
+            throw new Error("The client closed the connection");
+          }
+          yield next.value;
+        }
+      } finally {
+        // Ends the underlying query stream when the export stops early
+        await rows.return?.();
+      }
+    })();
+
+    res.status(200);
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    try {
+      if (format === "xlsx") {
+        await writeXlsx(res, columns, allRows, dataset.filename);
+      } else {
+        await writeCsv(res, columns, allRows);
+      }
+    } catch (error) {
+      if (!res.headersSent) {
+        res.removeHeader("Content-Type");
+        res.removeHeader("Content-Disposition");
+        throw error;
+      }
+      if (!clientGone) {
+        console.error(`Error streaming ${datasetName} export:`, error);
+      }
+      res.destroy(error);
+    }
+  };
+
+  return {
+    sendExport
+  };
+};
+
+module.exports = createExportService;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.toCsvField = toCsvField;
@@ -0,0 +1,299 @@
+const crypto = require("crypto");
+const moment = require("moment-timezone");
+
+/**
+ * In-process job scheduler with its state in RTDB ScheduledJobs/{jobId}, so
+ * jobs survive restarts and can be inspected or cancelled by admins.
+ *
+ * Every tick plans the jobs implied by the exam schedules, then runs the ones
+ * that are due:
+ *
+ *   notifyExamStart       notification `notifyBeforeMinutes` before an exam starts
+ *   gradeExam             grades an exam `gradeDelayMinutes` after it ends (after
+ *                         any candidate's extra time), unless results were already
+ *                         computed after it closed, then queues notifyResults
+ *   notifyResults         notification that an exam's results are out, and an
+ *                         email/SMS of each candidate's result (see services/messaging.js)
+ *   expireNotifications   recurring; removes expired notifications (see
+ *                         services/notifications.js), old finished jobs and
+ *                         old delivered or failed messages
+ *
+ * A job record is { type, examTitle, occurrence, runAt, status, attempts,
+ * lockedUntil, createdAt, startedAt, finishedAt, result, lastError,
+ * cancelledBy }; status is "pending", "running", "done", "failed" or
+ * "cancelled". `occurrence` identifies the exam window a job was planned for:
+ * rescheduling an exam plans its jobs afresh, even finished or cancelled ones.
+ * A cancelled recurring job stays cancelled.
+ */
+const JOB_TYPES = ["notifyExamStart", "gradeExam", "notifyResults", "expireNotifications"];
+const JOB_STATUSES = ["pending", "running", "done", "failed", "cancelled"];
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+// A running job whose process died is picked up again after this long
+const LOCK_MS = 15 * 60 * 1000;
+// Jobs of exams that ended longer ago than this are not planned (e.g. on first start)
+const CATCH_UP_MS = 24 * 60 * 60 * 1000;
+const EXPIRE_INTERVAL_MS = 60 * 60 * 1000;
+const EXPIRE_JOB_ID = "expireNotifications";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// RTDB keys cannot hold every exam title, so per-exam job IDs use a digest of it
+const examJobId = (type, examTitle) =>
+  `${type}-${crypto.createHash("sha1").update(examTitle).digest("hex").slice(0, 16)}`;
+
+const createJobScheduler = ({ exams, extraTime, scheduledJobs }, { results, schedule, notifications, messaging }, options) => {
+  const {
+    pollSeconds,
+    gradeDelayMinutes,
+    notifyBeforeMinutes,
+    notificationRetentionDays
+  } = options;
+
+  let timer = null;
+  let ticking = false;
+
+  // Exam notifications go to the exam's candidates only
+  const publishNotification = async ({ examTitle }, notification, now) => {
+    const { notification: created } = await notifications.create({
+      ...notification,
+      audience: { type: "exam", examTitle }
+    }, { source: "scheduler", now });
+    return { notificationId: created.id };
+  };
+
+  // What each job type does; returns the stored result, or { rescheduleAt } to run again later
+  const handlers = {
+    notifyExamStart: async (job, now) => {
+      const { examTitle } = job;
+      const window = schedule.window(await exams.getDateTime(examTitle));
+      if (!window || window.startAt <= now) {
+        return { skipped: "The exam is no longer scheduled to start" };
+      }
+
+      const start = moment.tz(window.startAt, window.timeZone);
+      const minutes = Math.round((window.startAt - now) / MINUTE_MS);
+      return publishNotification(job, {
+        title: `${examTitle} starts soon`,
+        message: `${examTitle} starts in ${minutes} minutes, at ${start.format("h:mm A z")} on ${start.format("D MMM YYYY")}`,
+        priority: "high",
+        expireAt: window.endAt
+      }, now);
+    },
+
+    gradeExam: async ({ examTitle }, now) => {
+      const window = schedule.window(await exams.getDateTime(examTitle));
+      if (!window) {
+        return { skipped: "The exam is no longer scheduled" };
+      }
+
+      // Wait for the candidate with the most extra time
+      const grants = await extraTime.listByExam(examTitle);
+      const extraMinutes = Math.max(0, ...grants.map((grant) => Number(grant.minutes) || 0));
+      const closesAt = window.endAt + extraMinutes * MINUTE_MS;
+      const gradeAt = closesAt + gradeDelayMinutes * MINUTE_MS;
+      if (gradeAt > now) {
+        return { rescheduleAt: gradeAt };
+      }
+
+      const notifyResults = () => planJob(examJobId("notifyResults", examTitle), {
+        type: "notifyResults",
+        examTitle,
+        occurrence: `${window.startAt}-${window.endAt}`,
+        runAt: now
+      }, now);
+
+      // Results an admin computed once the exam closed are final (and may have winners
+      // previewed from them); only ones computed while it was open are recomputed
+      const computation = await results.getComputation(examTitle);
+      const completed = Boolean(computation) && computation.status === "completed";
+      if (completed && computation.finishedAt >= closesAt) {
+        await notifyResults();
+        return { skipped: "Results were already computed after the exam closed", candidateCount: computation.candidateCount ?? null };
+      }
+
+      const computed = await results.computeExamResults(examTitle, { force: completed, startedBy: "scheduler" });
+      if (computed.status === "running") {
+        throw new Error("Results for this exam are already being computed");
+      }
+
+      await notifyResults();
+      return { candidateCount: computed.results.length };
+    },
+
+    notifyResults: async (job, now) => {
+      // Queueing is idempotent, so a retry after a failed notification sends nothing twice
+      const { queued } = await messaging.queueResults(job.examTitle, now);
+      const published = await publishNotification(job, {
+        title: "Results are out",
+        message: `Results of ${job.examTitle} are out`
+      }, now);
+      return { ...published, queuedMessages: queued };
+    },
+
+    expireNotifications: async (job, now) => {
+      const retentionMs = notificationRetentionDays * DAY_MS;
+      const removedNotifications = await notifications.removeExpired(now, retentionMs);
+
+      const cutoff = now - retentionMs;
+      const finishedJobs = (await scheduledJobs.list()).filter((other) =>
+        ["done", "failed", "cancelled"].includes(other.status) && other.finishedAt < cutoff);
+      for (const finished of finishedJobs) {
+        await scheduledJobs.remove(finished.id);
+      }
+
+      const removedMessages = await messaging.removeFinished(cutoff);
+
+      return { removedNotifications, removedJobs: finishedJobs.length, removedMessages, rescheduleAt: now + EXPIRE_INTERVAL_MS };
+    }
+  };
+
+  /**
+   * Create a job unless it already exists for this occurrence. A job planned
+   * for an earlier occurrence is replaced whatever its status; one for the
+   * same occurrence keeps its own runAt (gradeExam moves it for extra time).
+   * A recurring job (no occurrence) that failed starts again; one an admin
+   * cancelled is left cancelled.
+   */
+  const planJob = async (jobId, { type, examTitle = null, occurrence = null, runAt }, now) => {
+    const existing = await scheduledJobs.get(jobId);
+    // RTDB drops null fields, so a stored recurring job has no occurrence at all
+    const sameOccurrence = existing && (existing.occurrence ?? null) === occurrence;
+    const recurringEnded = occurrence === null && existing && ["done", "failed"].includes(existing.status);
+    if (sameOccurrence && !recurringEnded) {
+      return;
+    }
+
+    await scheduledJobs.save(jobId, {
+      type,
+      examTitle,
+      occurrence,
+      runAt,
+      status: "pending",
+      attempts: 0,
+      createdAt: now
+    });
+  };
+
+  // The jobs implied by the current exam schedules, plus the recurring clean-up
+  const plan = async (now) => {
+    const schedules = await exams.listDateTimes();
+
+    for (const [examTitle, record] of Object.entries(schedules)) {
+      const window = schedule.window(record);
+      if (!window || window.endAt < now - CATCH_UP_MS) {
+        continue;
+      }
+
+      const occurrence = `${window.startAt}-${window.endAt}`;
+      if (window.startAt > now) {
+        await planJob(examJobId("notifyExamStart", examTitle), {
+          type: "notifyExamStart",
+          examTitle,
+          occurrence,
+          runAt: window.startAt - notifyBeforeMinutes * MINUTE_MS
+        }, now);
+      }
+      await planJob(examJobId("gradeExam", examTitle), {
+        type: "gradeExam",
+        examTitle,
+        occurrence,
+        runAt: window.endAt + gradeDelayMinutes * MINUTE_MS
+      }, now);
+    }
+
+    await planJob(EXPIRE_JOB_ID, { type: "expireNotifications", runAt: now }, now);
+  };
+
+  const runJob = async (job, now) => {
+    try {
+      const { rescheduleAt, ...result } = await handlers[job.type](job, now);
+
+      if (rescheduleAt) {
+        // Not a failed attempt: the job just is not due yet
+        await scheduledJobs.update(job.id, { status: "pending", runAt: rescheduleAt, attempts: job.attempts - 1, lockedUntil: null, result, lastError: null });
+      } else {
+        await scheduledJobs.update(job.id, { status: "done", finishedAt: Date.now(), lockedUntil: null, result, lastError: null });
+      }
+    } catch (error) {
+      console.error(`Error running scheduled job ${job.id}:`, error);
+
+      const retry = job.attempts < MAX_ATTEMPTS;
+      await scheduledJobs.update(job.id, {
+        status: retry ? "pending" : "failed",
+        runAt: retry ? now + RETRY_DELAY_MS : job.runAt,
+        ...(!retry && { finishedAt: Date.now() }),
+        lockedUntil: null,
+        lastError: error.message
+      });
+    }
+  };
+
+  // One scheduler pass: plan, then run every due job in runAt order
+  const tick = async (now = Date.now()) => {
+    await plan(now);
+
+    const due = (await scheduledJobs.list())
+      .filter((job) => (job.status === "pending" && job.runAt <= now) || (job.status === "running" && job.lockedUntil < now))
+      .sort((a, b) => a.runAt - b.runAt);
+
+    for (const candidate of due) {
+      // Another instance may have taken it since the list was read
+      const { claimed, job } = await scheduledJobs.claim(candidate.id, { now, lockMs: LOCK_MS });
+      if (claimed && handlers[job.type]) {
+        await runJob(job, now);
+      }
+    }
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    const run = async () => {
+      // Skip a beat rather than overlap a slow pass
+      if (ticking) {
+        return;
+      }
+
+      ticking = true;
+      try {
+        await tick();
+      } catch (error) {
+        console.error("Error running the job scheduler:", error);
+      } finally {
+        ticking = false;
+      }
+    };
+
+    timer = setInterval(run, pollSeconds * 1000);
+    timer.unref();
+    run();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Jobs sorted by runAt, optionally filtered by status and type
+  const listJobs = async ({ status, type } = {}) => (await scheduledJobs.list())
+    .filter((job) => (!status || job.status === status) && (!type || job.type === type))
+    .sort((a, b) => a.runAt - b.runAt);
+
+  return {
+    start,
+    stop,
+    tick,
+    listJobs,
+    getJob: (jobId) => scheduledJobs.get(jobId),
+    cancelJob: (jobId, cancelledBy) => scheduledJobs.cancel(jobId, { cancelledBy, now: Date.now() })
+  };
+};
+
+module.exports = createJobScheduler;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,80 @@
+/**
+ * Templates of the outbound emails and SMS (see services/messaging.js).
+ *
+ * `{{name}}` is replaced by the value of `name` in the message context;
+ * placeholders without a value are left empty. Each template has an email
+ * subject and body and a shorter SMS text.
+ */
+const TEMPLATES = {
+  resultsPublished: {
+    subject: "Results of {{examTitle}} are out",
+    email: [
+      "Dear {{candidateName}},",
+      "",
+      "The results of {{examTitle}} are out.",
+      "Registration number: {{registrationNumber}}",
+      "Score: {{score}} ({{percentage}}%)",
+      "Rank: {{rank}}"
+    ].join("\n"),
+    sms: "{{examTitle}} results: you scored {{score}} ({{percentage}}%), rank {{rank}}. Reg. no. {{registrationNumber}}"
+  },
+  winnerStatusChanged: {
+    subject: "{{examTitle}} prize: {{statusLabel}}",
+    email: [
+      "Dear {{candidateName}},",
+      "",
+      "{{statusMessage}}",
+      "",
+      "Exam: {{examTitle}}",
+      "Registration number: {{registrationNumber}}",
+      "Rank: {{rank}}"
+    ].join("\n"),
+    sms: "{{examTitle}} (reg. no. {{registrationNumber}}): {{statusMessage}}"
+  }
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+// What winnerStatusChanged says for each winner status (see services/winnerStatus.js)
+const WINNER_STATUS_TEXT = {
+  pending: { label: "Winner", message: "Congratulations, you are one of the winners. We will verify your details shortly." },
+  verified: { label: "Verified", message: "Your winner details have been verified. Your prize is awaiting approval." },
+  prize_approved: { label: "Prize approved", message: "Your prize has been approved and will be paid soon." },
+  paid: { label: "Prize paid", message: "Your prize has been paid{{paymentReferenceText}}." },
+  rejected: { label: "Not eligible", message: "After review, your entry is not eligible for a prize. Please contact support for details." }
+};
+
+const fill = (template, context) =>
+  template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (context[name] === undefined || context[name] === null ? "" : String(context[name])));
+
+/**
+ * { subject, text } of a template for a channel ("email" or "sms"); SMS
+ * have no subject. Throws on an unknown template.
+ */
+const renderMessage = (templateName, channel, context) => {
+  const template = TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown message template "${templateName}"`);
+  }
+
+  return {
+    subject: channel === "email" ? fill(template.subject, context) : null,
+    text: fill(channel === "email" ? template.email : template.sms, context)
+  };
+};
+
+// Context of winnerStatusChanged: the status wording, itself filled from the context
+const winnerStatusContext = (status, context) => {
+  const text = WINNER_STATUS_TEXT[status] || WINNER_STATUS_TEXT.pending;
+  const withReference = {
+    ...context,
+    paymentReferenceText: context.paymentReference ? ` (reference ${context.paymentReference})` : ""
+  };
+  return { ...context, statusLabel: text.label, statusMessage: fill(text.message, withReference) };
+};
+
+module.exports = {
+  TEMPLATE_NAMES,
+  renderMessage,
+  winnerStatusContext
+};
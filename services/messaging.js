@@ -0,0 +1,251 @@
+const crypto = require("crypto");
+const { renderMessage, winnerStatusContext } = require("./messageTemplates");
+
+/**
+ * Outbound email and SMS through a persistent outbox (RTDB MessageOutbox/{id}).
+ *
+ * Queueing renders a template (see services/messageTemplates.js) and stores
+ * the message; a delivery loop sends due messages through the configured
+ * providers (see messaging/index.js) and retries failures with backoff.
+ *
+ * A message is { channel, to, template, subject, body, context, dedupeKey,
+ * status, attempts, nextAttemptAt, lockedUntil, createdAt, sentAt,
+ * providerMessageId, lastError, cancelledBy }; status is "pending",
+ * "sending", "sent", "failed" or "cancelled". The ID is derived from
+ * dedupeKey, so queueing the same event twice sends one message.
+ */
+const MESSAGE_CHANNELS = ["email", "sms"];
+const MESSAGE_STATUSES = ["pending", "sending", "sent", "failed", "cancelled"];
+
+// Wait before the 2nd, 3rd, ... attempt; a message fails after the last one
+const RETRY_DELAYS_MS = [1, 5, 30, 120].map((minutes) => minutes * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+// A message stuck in "sending" (its process died) is tried again after this long
+const LOCK_MS = 5 * 60 * 1000;
+
+const messageId = (dedupeKey) => crypto.createHash("sha1").update(dedupeKey).digest("hex").slice(0, 24);
+
+const emailOf = (value) => (typeof value === "string" && /^[^\s@]+@[^\s@]+$/.test(value.trim()) ? value.trim() : null);
+
+const phoneOf = (value) => {
+  const text = String(value ?? "").trim();
+  return text.replace(/\D/g, "").length >= 10 ? text : null;
+};
+
+const createMessagingService = ({ candidates, results, messageOutbox }, providers, { pollSeconds }) => {
+  let timer = null;
+  let delivering = false;
+
+  /**
+   * Render and store one message per channel the recipient can be reached
+   * on and a provider is configured for. `recipient` is { email, phone }.
+   * Returns how many new messages were stored.
+   */
+  const queue = async ({ template, recipient, context, dedupeKey }, now) => {
+    let queued = 0;
+
+    for (const channel of MESSAGE_CHANNELS) {
+      const to = channel === "email" ? emailOf(recipient.email) : phoneOf(recipient.phone);
+      if (!to || !providers[channel]) {
+        continue;
+      }
+
+      const { subject, text } = renderMessage(template, channel, context);
+      const key = `${dedupeKey}/${channel}`;
+      const created = await messageOutbox.createIfAbsent(messageId(key), {
+        channel,
+        to,
+        template,
+        subject,
+        body: text,
+        context,
+        dedupeKey: key,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now
+      });
+      if (created) queued += 1;
+    }
+    return queued;
+  };
+
+  /**
+   * Tell every graded candidate of an exam their result. Each computation of
+   * the results is announced once. Returns { queued, candidateCount }.
+   */
+  const queueResults = async (examTitle, now = Date.now()) => {
+    const [computation, examResults, examCandidates] = await Promise.all([
+      results.getComputation(examTitle),
+      results.listByExam(examTitle),
+      candidates.listByExam(examTitle)
+    ]);
+    const candidatesById = new Map(examCandidates.map((candidate) => [candidate.id, candidate]));
+    const computedAt = computation?.finishedAt ?? "unknown";
+
+    let queued = 0;
+    for (const result of examResults) {
+      const candidate = candidatesById.get(result.registrationNumber) || {};
+      queued += await queue({
+        template: "resultsPublished",
+        recipient: { email: candidate.email, phone: candidate.phone ?? result.phone },
+        context: {
+          examTitle,
+          registrationNumber: result.registrationNumber,
+          candidateName: result.candidateName ?? candidate.candidateName ?? "candidate",
+          score: result.score ?? 0,
+          percentage: result.percentage ?? 0,
+          rank: result.rank ?? null
+        },
+        dedupeKey: `resultsPublished/${examTitle}/${computedAt}/${result.registrationNumber}`
+      }, now);
+    }
+
+    return { queued, candidateCount: examResults.length };
+  };
+
+  // Tell a winner their prize workflow status changed. Returns how many messages were queued.
+  const queueWinnerStatus = async (examTitle, registrationNumber, winner, now = Date.now()) => {
+    const candidate = (await candidates.get(registrationNumber)) || {};
+
+    return queue({
+      template: "winnerStatusChanged",
+      recipient: { email: candidate.email, phone: winner.phone ?? candidate.phone },
+      context: winnerStatusContext(winner.status, {
+        examTitle,
+        registrationNumber,
+        candidateName: winner.candidateName ?? candidate.candidateName ?? "candidate",
+        rank: winner.rank ?? null,
+        status: winner.status,
+        paymentReference: winner.paymentReference ?? null
+      }),
+      dedupeKey: `winnerStatusChanged/${examTitle}/${registrationNumber}/${winner.status}/${winner.statusUpdatedAt ?? now}`
+    }, now);
+  };
+
+  const sendMessage = async (message, now) => {
+    try {
+      const provider = providers[message.channel];
+      if (!provider) {
+        throw new Error(`No ${message.channel} provider is configured`);
+      }
+
+      const { providerMessageId } = await provider.send({ to: message.to, subject: message.subject, text: message.body });
+      await messageOutbox.update(message.id, {
+        status: "sent",
+        sentAt: Date.now(),
+        provider: provider.driver,
+        providerMessageId: providerMessageId ?? null,
+        lockedUntil: null,
+        lastError: null
+      });
+    } catch (error) {
+      console.error(`Error sending message ${message.id}:`, error.message);
+
+      const retry = message.attempts < MAX_ATTEMPTS;
+      await messageOutbox.update(message.id, {
+        status: retry ? "pending" : "failed",
+        ...(retry && { nextAttemptAt: now + RETRY_DELAYS_MS[message.attempts - 1] }),
+        lockedUntil: null,
+        lastError: error.message
+      });
+    }
+  };
+
+  // One delivery pass: send every due message, oldest first. Returns how many were attempted.
+  const deliverDue = async (now = Date.now()) => {
+    const due = (await messageOutbox.list())
+      .filter((message) => (message.status === "pending" && message.nextAttemptAt <= now) ||
+        (message.status === "sending" && message.lockedUntil < now))
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+    let attempted = 0;
+    for (const candidate of due) {
+      // Another instance may have taken it since the list was read
+      const { claimed, message } = await messageOutbox.claim(candidate.id, { now, lockMs: LOCK_MS });
+      if (claimed) {
+        await sendMessage(message, now);
+        attempted += 1;
+      }
+    }
+    return attempted;
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    const run = async () => {
+      // Skip a beat rather than overlap a slow pass
+      if (delivering) {
+        return;
+      }
+
+      delivering = true;
+      try {
+        await deliverDue();
+      } catch (error) {
+        console.error("Error delivering outbound messages:", error);
+      } finally {
+        delivering = false;
+      }
+    };
+
+    timer = setInterval(run, pollSeconds * 1000);
+    timer.unref();
+    run();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Messages newest first, optionally filtered by status, channel and template
+  const listMessages = async ({ status, channel, template } = {}) => (await messageOutbox.list())
+    .filter((message) => (!status || message.status === status) &&
+      (!channel || message.channel === channel) &&
+      (!template || message.template === template))
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  // Send a failed or cancelled message again, with a fresh set of attempts
+  const retryMessage = (id, now = Date.now()) => messageOutbox.transition(id, {
+    from: ["failed", "cancelled"],
+    changes: { status: "pending", attempts: 0, nextAttemptAt: now, lastError: null, cancelledBy: null }
+  });
+
+  const cancelMessage = (id, cancelledBy) => messageOutbox.transition(id, {
+    from: ["pending"],
+    changes: { status: "cancelled", cancelledBy: cancelledBy || null }
+  });
+
+  // Delete sent, failed and cancelled messages created before `cutoff`. Returns how many.
+  const removeFinished = async (cutoff) => {
+    const finished = (await messageOutbox.list()).filter((message) =>
+      ["sent", "failed", "cancelled"].includes(message.status) && message.createdAt < cutoff);
+
+    for (const message of finished) {
+      await messageOutbox.remove(message.id);
+    }
+    return finished.length;
+  };
+
+  return {
+    channels: MESSAGE_CHANNELS.filter((channel) => providers[channel]),
+    queueResults,
+    queueWinnerStatus,
+    deliverDue,
+    start,
+    stop,
+    listMessages,
+    getMessage: (id) => messageOutbox.get(id),
+    retryMessage,
+    cancelMessage,
+    removeFinished
+  };
+};
+
+module.exports = createMessagingService;
+module.exports.MESSAGE_CHANNELS = MESSAGE_CHANNELS;
+module.exports.MESSAGE_STATUSES = MESSAGE_STATUSES;
@@ -0,0 +1,290 @@
+const moment = require("moment");
+const { contactKeys, purchaseContactKeys, purchasedItemKeys } = require("./purchaseRecords");
+
+/**
+ * Notifications shown in the student app (RTDB Notifications/{id}).
+ *
+ *   title, message
+ *   priority     "low", "normal" or "high"
+ *   link         optional URL opened from the notification
+ *   audience     { type: "all" }
+ *                { type: "practiceTest", category, examId }   its purchasers
+ *                { type: "pdfSyllabus", category, title }     its purchasers
+ *                (purchases are matched by email or phone, read as
+ *                described in services/purchaseRecords.js)
+ *                { type: "exam", examTitle }                  its candidates
+ *   publishAt    epoch ms from which it is shown
+ *   expireAt     epoch ms from which it is hidden, or null
+ *   createdAt, createdBy, source ("admin" or "scheduler"), updatedAt
+ *
+ * Notifications saved before these fields existed only have a message and a
+ * client-supplied createdAt; they read as normal-priority, untitled,
+ * published to everyone and never expiring.
+ */
+const PRIORITIES = ["low", "normal", "high"];
+const AUDIENCE_TYPES = ["all", "practiceTest", "pdfSyllabus", "exam"];
+const NOTIFICATION_STATES = ["scheduled", "published", "expired"];
+
+// The fields each audience type needs besides `type`
+const AUDIENCE_FIELDS = {
+  all: [],
+  practiceTest: ["category", "examId"],
+  pdfSyllabus: ["category", "title"],
+  exam: ["examTitle"]
+};
+
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
+// Epoch ms of an ISO 8601 string or epoch ms (number or digits), or null
+const toEpochMs = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+  const parsed = /^\d+$/.test(value) ? moment(Number(value)) : moment(value, moment.ISO_8601, true);
+  return parsed.isValid() ? parsed.valueOf() : null;
+};
+
+// Why an audience lacks the fields its type needs, or undefined
+const checkAudience = (audience) => {
+  if (!AUDIENCE_FIELDS[audience.type]) {
+    return undefined;
+  }
+  const missing = AUDIENCE_FIELDS[audience.type].filter((field) => typeof audience[field] !== "string" || audience[field] === "");
+  return missing.length > 0 ? `needs ${missing.join(" and ")} for the ${audience.type} audience type` : undefined;
+};
+
+// The audience with only the fields of its type
+const pickAudience = (audience) => Object.fromEntries(
+  ["type", ...AUDIENCE_FIELDS[audience.type]].map((field) => [field, audience[field]])
+);
+
+// A stored notification, legacy or not, with every field present
+const normalize = (record) => {
+  const createdAt = toEpochMs(record.createdAt) ?? toEpochMs(record.updatedAt);
+  return {
+    id: record.id,
+    title: record.title ?? null,
+    message: record.message ?? "",
+    priority: PRIORITIES.includes(record.priority) ? record.priority : "normal",
+    link: record.link ?? null,
+    audience: record.audience && AUDIENCE_TYPES.includes(record.audience.type) ? record.audience : { type: "all" },
+    publishAt: toEpochMs(record.publishAt) ?? createdAt ?? 0,
+    expireAt: toEpochMs(record.expireAt),
+    createdAt,
+    createdBy: record.createdBy ?? null,
+    source: record.source ?? "admin",
+    updatedAt: record.updatedAt ?? null
+  };
+};
+
+const stateAt = (notification, now) => {
+  if (notification.expireAt !== null && notification.expireAt <= now) return "expired";
+  return notification.publishAt > now ? "scheduled" : "published";
+};
+
+const withState = (notification, now) => ({ ...notification, state: stateAt(notification, now) });
+
+/**
+ * Purchase records have no index by contact, so viewers are matched against
+ * an in-memory index built from one scan of each purchasers node, reused for
+ * indexTtlMs. A scan stops after maxPurchasesScanned records.
+ */
+const PURCHASE_INDEX_DEFAULTS = {
+  indexTtlMs: 5 * 60 * 1000,
+  maxPurchasesScanned: 50000
+};
+
+const createNotificationService = ({ notifications, candidates, purchasers }, purchaseIndexOptions = {}) => {
+  const { indexTtlMs, maxPurchasesScanned } = { ...PURCHASE_INDEX_DEFAULTS, ...purchaseIndexOptions };
+
+  const purchaseSources = {
+    practiceTest: () => purchasers.iteratePracticeTestPurchasers(),
+    pdfSyllabus: () => purchasers.iteratePdfSyllabusPurchasers()
+  };
+
+  /**
+   * Create a notification. `input` has title, message, priority, link,
+   * audience, publishAt and expireAt (ISO 8601 or epoch ms). Returns
+   * { status: "invalid", message } or { status: "created", notification }.
+   */
+  const create = async (input, { createdBy = null, source = "admin", now = Date.now() } = {}) => {
+    const notification = {
+      title: input.title ?? null,
+      message: input.message,
+      priority: input.priority || "normal",
+      link: input.link ?? null,
+      audience: input.audience ? pickAudience(input.audience) : { type: "all" },
+      publishAt: input.publishAt !== undefined ? toEpochMs(input.publishAt) : now,
+      expireAt: input.expireAt !== undefined ? toEpochMs(input.expireAt) : null,
+      createdAt: now,
+      createdBy,
+      source
+    };
+    if (notification.expireAt !== null && notification.expireAt <= notification.publishAt) {
+      return { status: "invalid", message: "expireAt must be after publishAt" };
+    }
+
+    const id = await notifications.create(notification);
+    return { status: "created", notification: withState(normalize({ id, ...notification }), now) };
+  };
+
+  /**
+   * Change some fields of a notification. Returns { status } where status
+   * is "not_found", "invalid" (with message) or "updated" (with notification).
+   */
+  const update = async (notificationId, input, now = Date.now()) => {
+    const existing = await notifications.get(notificationId);
+    if (!existing) {
+      return { status: "not_found" };
+    }
+
+    const updates = {};
+    ["title", "message", "priority", "link"].forEach((field) => {
+      if (input[field] !== undefined) updates[field] = input[field];
+    });
+    if (input.audience !== undefined) updates.audience = pickAudience(input.audience);
+    if (input.publishAt !== undefined) updates.publishAt = toEpochMs(input.publishAt);
+    if (input.expireAt !== undefined) updates.expireAt = toEpochMs(input.expireAt);
+
+    const updated = normalize({ ...existing, ...updates });
+    if (updated.expireAt !== null && updated.expireAt <= updated.publishAt) {
+      return { status: "invalid", message: "expireAt must be after publishAt" };
+    }
+
+    await notifications.update(notificationId, updates);
+    return { status: "updated", notification: withState(updated, now) };
+  };
+
+  const get = async (notificationId, now = Date.now()) => {
+    const record = await notifications.get(notificationId);
+    return record && withState(normalize(record), now);
+  };
+
+  // Every notification, newest publishAt first, optionally by state and audience type
+  const list = async ({ state, audience } = {}, now = Date.now()) => (await notifications.list())
+    .map((record) => withState(normalize(record), now))
+    .filter((notification) => (!state || notification.state === state) && (!audience || notification.audience.type === audience))
+    .sort((a, b) => b.publishAt - a.publishAt);
+
+  // Per audience type, { builtAt, index } where index resolves to a Map of contact key -> Set of "category/item"
+  const purchaseIndexes = new Map();
+
+  const buildPurchaseIndex = async (audienceType) => {
+    const index = new Map();
+    let scanned = 0;
+
+    for await (const purchase of purchaseSources[audienceType]()) {
+      if (++scanned > maxPurchasesScanned) {
+        console.warn(`Indexed only the first ${maxPurchasesScanned} ${audienceType} purchases for notification targeting`);
+        break;
+      }
+
+      const items = purchasedItemKeys(purchase, audienceType);
+      if (items.length === 0) {
+        continue;
+      }
+      purchaseContactKeys(purchase).forEach((key) => {
+        if (!index.has(key)) index.set(key, new Set());
+        items.forEach((item) => index.get(key).add(item));
+      });
+    }
+    return index;
+  };
+
+  // Concurrent viewers share one scan; a failed scan is retried by the next viewer
+  const purchaseIndex = (audienceType, now) => {
+    const cached = purchaseIndexes.get(audienceType);
+    if (cached && now - cached.builtAt < indexTtlMs) {
+      return cached.index;
+    }
+
+    const index = buildPurchaseIndex(audienceType);
+    purchaseIndexes.set(audienceType, { builtAt: now, index });
+    index.catch(() => {
+      if (purchaseIndexes.get(audienceType)?.index === index) purchaseIndexes.delete(audienceType);
+    });
+    return index;
+  };
+
+  // "category/item" of every purchase made with one of the viewer's contacts
+  const purchasedKeys = async (viewerKeys, audienceType, now) => {
+    if (viewerKeys.length === 0) {
+      return new Set();
+    }
+
+    const index = await purchaseIndex(audienceType, now);
+    return new Set(viewerKeys.flatMap((key) => [...(index.get(key) || [])]));
+  };
+
+  /**
+   * The published, unexpired notifications meant for one student, who is
+   * identified by any of registrationNumber (exam candidates), email and
+   * phone (purchasers). High priority first, then newest first.
+   */
+  const listForViewer = async ({ registrationNumber, email, phone }, now = Date.now()) => {
+    const viewerKeys = contactKeys({ email, phone });
+    const active = await list({ state: "published" }, now);
+    const needs = (type) => active.some((notification) => notification.audience.type === type);
+
+    // Only look up what the active notifications target
+    const [candidate, practiceTests, pdfSyllabi] = await Promise.all([
+      needs("exam") && registrationNumber ? candidates.get(registrationNumber) : null,
+      needs("practiceTest") ? purchasedKeys(viewerKeys, "practiceTest", now) : new Set(),
+      needs("pdfSyllabus") ? purchasedKeys(viewerKeys, "pdfSyllabus", now) : new Set()
+    ]);
+
+    const applies = ({ audience }) => {
+      switch (audience.type) {
+        case "practiceTest":
+          return practiceTests.has(`${audience.category}/${audience.examId}`);
+        case "pdfSyllabus":
+          return pdfSyllabi.has(`${audience.category}/${audience.title}`);
+        case "exam":
+          return Boolean(candidate) && candidate.exam === audience.examTitle;
+        default:
+          return true;
+      }
+    };
+
+    return active
+      .filter(applies)
+      .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] || b.publishAt - a.publishAt);
+  };
+
+  /**
+   * Delete notifications past their expireAt, and those without one once
+   * they are older than retentionMs. Returns how many were removed.
+   */
+  const removeExpired = async (now, retentionMs) => {
+    const expired = (await notifications.list())
+      .map(normalize)
+      .filter((notification) => {
+        const expiresAt = notification.expireAt ?? (notification.createdAt === null ? null : notification.createdAt + retentionMs);
+        return expiresAt !== null && expiresAt <= now;
+      });
+
+    for (const notification of expired) {
+      await notifications.remove(notification.id);
+    }
+    return expired.length;
+  };
+
+  return {
+    create,
+    update,
+    get,
+    list,
+    listForViewer,
+    removeExpired
+  };
+};
+
+module.exports = createNotificationService;
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.AUDIENCE_TYPES = AUDIENCE_TYPES;
+module.exports.NOTIFICATION_STATES = NOTIFICATION_STATES;
+module.exports.toEpochMs = toEpochMs;
+module.exports.checkAudience = checkAudience;
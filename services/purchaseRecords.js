@@ -0,0 +1,83 @@
+/**
+ * Purchase records are written by the student app, not by this backend
+ * (RTDB practicetestpurchasedstudents and pdfsyllabuspurchasers). They are
+ * stored flat ({ purchaseId: record }) or grouped per student
+ * ({ student: { purchaseId: record } }); repositories/purchasers.js yields
+ * both as { id, ...record }.
+ *
+ * App versions have named the same field differently, so each field below
+ * is read from the first of its known names that holds a value. Exports
+ * (services/exports.js) and notification targeting (services/notifications.js)
+ * both read purchases through these names.
+ */
+const PURCHASE_FIELDS = {
+  name: ["name", "studentName", "fullName", "userName"],
+  email: ["email", "emailId"],
+  phone: ["phone", "phoneNo", "phoneNumber", "mobile"],
+  category: ["category"],
+  examId: ["examId"],
+  title: ["title", "testTitle", "examTitle", "syllabusTitle"],
+  amount: ["amount", "price", "fees"],
+  paymentId: ["paymentId", "razorpayPaymentId", "transactionId"],
+  purchasedAt: ["purchaseDate", "purchasedAt", "createdAt", "timestamp"]
+};
+
+/**
+ * The fields naming the product bought, per notification audience type.
+ * Practice tests are targeted by their PracticeTests/{category}/Exams key,
+ * which older purchases store as the test title.
+ */
+const PURCHASE_ITEM_FIELDS = {
+  practiceTest: ["examId", "title"],
+  pdfSyllabus: ["title"]
+};
+
+// First present value among alternative field names
+const firstOf = (record, ...fields) => {
+  const field = fields.find((name) => record[name] !== undefined && record[name] !== null && record[name] !== "");
+  return field === undefined ? null : record[field];
+};
+
+const purchaseField = (purchase, field) => firstOf(purchase, ...PURCHASE_FIELDS[field]);
+
+const normalizeEmail = (value) => (typeof value === "string" && value.trim() ? value.trim().toLowerCase() : null);
+
+// The last 10 digits of a phone ("+91 98765-43210" -> "9876543210"), or null when shorter
+const normalizePhone = (value) => {
+  const digits = String(value ?? "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+/**
+ * Comparable keys for an email and a phone ("email:a@b.c", "phone:9876543210"):
+ * emails ignore case and surrounding spaces, phones match on their last 10 digits.
+ */
+const contactKeys = ({ email, phone }) => [
+  normalizeEmail(email) && `email:${normalizeEmail(email)}`,
+  normalizePhone(phone) && `phone:${normalizePhone(phone)}`
+].filter(Boolean);
+
+const purchaseContactKeys = (purchase) =>
+  contactKeys({ email: purchaseField(purchase, "email"), phone: purchaseField(purchase, "phone") });
+
+// Every "category/item" a purchase may be targeted by, for one audience type
+const purchasedItemKeys = (purchase, audienceType) => {
+  const category = purchaseField(purchase, "category");
+  if (typeof category !== "string") {
+    return [];
+  }
+  return PURCHASE_ITEM_FIELDS[audienceType]
+    .map((field) => purchaseField(purchase, field))
+    .filter((item) => typeof item === "string")
+    .map((item) => `${category}/${item}`);
+};
+
+module.exports = {
+  PURCHASE_FIELDS,
+  PURCHASE_ITEM_FIELDS,
+  firstOf,
+  purchaseField,
+  contactKeys,
+  purchaseContactKeys,
+  purchasedItemKeys
+};
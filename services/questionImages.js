@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+
+// The image types questions may carry, by file extension
+const IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp"
+};
+
+const extensionOf = (filename) => (filename.includes('.') ? filename.split('.').pop().toLowerCase() : '');
+
+// Why an uploaded file is not an acceptable image (its extension and MIME type must agree), or undefined
+const checkImage = ({ originalname, mimetype }) => {
+  const expected = IMAGE_TYPES[extensionOf(String(originalname ?? ''))];
+  if (!expected) {
+    return "must be a .jpg, .jpeg, .png, .gif or .webp image";
+  }
+  if (mimetype !== expected) {
+    return `has a ${mimetype || "missing"} content type, expected ${expected}`;
+  }
+  return undefined;
+};
+
+// Upload and removal of question images through the storage backend
+const createQuestionImageService = (storage) => {
+  // Optimize image - reduce size while maintaining quality; fall back to the original
+  const optimize = async (buffer) => {
+    try {
+      return await sharp(buffer)
+        .resize({
+          width: 1200, // max width
+          height: 1200, // max height
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: 80 }) // For JPEGs, adjust quality
+        .toBuffer();
+    } catch (err) {
+      console.warn("Image optimization failed, using original:", err);
+      return buffer;
+    }
+  };
+
+  // Store a multer image under `folder`; returns { imageUrl, imagePath }
+  const upload = async (image, folder, { compress = false } = {}) => {
+    const problem = checkImage(image);
+    if (problem) {
+      throw new Error(`Image ${problem}`);
+    }
+
+    const fileExtension = extensionOf(image.originalname);
+    const imagePath = `${folder}/${uuidv4()}.${fileExtension}`;
+
+    let imageBuffer = image.buffer;
+
+    // Apply compression if requested and it's a JPEG or PNG
+    if (compress && ['jpg', 'jpeg', 'png'].includes(fileExtension)) {
+      imageBuffer = await optimize(image.buffer);
+    }
+
+    const imageUrl = await storage.save(imagePath, imageBuffer, {
+      contentType: IMAGE_TYPES[fileExtension],
+      cacheControl: 'public, max-age=31536000', // Cache for 1 year
+      access: "public"
+    });
+
+    return { imageUrl, imagePath };
+  };
+
+  // Store an inline `data:<mime>;base64,...` image (legacy main-exam questions)
+  const uploadDataUri = async (dataUri, folder, options) => {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUri);
+    if (!match) {
+      throw new Error("Not a base64 data URI");
+    }
+
+    const mimetype = match[1];
+    const subtype = mimetype.split('/').pop().split('+')[0];
+    const extension = subtype === 'jpeg' ? 'jpg' : subtype;
+
+    return upload({
+      buffer: Buffer.from(match[2], 'base64'),
+      mimetype,
+      originalname: `image.${extension}`
+    }, folder, options);
+  };
+
+  // Delete a question's stored image; older questions only have imageUrl
+  const remove = async ({ imageUrl, imagePath }) => {
+    await storage.remove(imagePath || storage.pathFromUrl(imageUrl));
+  };
+
+  return {
+    upload,
+    uploadDataUri,
+    remove
+  };
+};
+
+module.exports = createQuestionImageService;
+module.exports.IMAGE_TYPES = IMAGE_TYPES;
+module.exports.checkImage = checkImage;
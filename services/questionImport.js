@@ -0,0 +1,412 @@
+const path = require("path");
+const AdmZip = require("adm-zip");
+const ExcelJS = require("exceljs");
+const { parse: parseCsv } = require("csv-parse/sync");
+const { validateFields } = require("../validation/validate");
+const { questionBody } = require("../validation/questionFields");
+const { normalizeQuestionDefinition, MAX_OPTIONS } = require("./questionTypes");
+const { IMAGE_TYPES } = require("./questionImages");
+
+/**
+ * Bulk question import from a CSV, XLSX or JSON file.
+ *
+ * Spreadsheets have a header row; column names are case-insensitive and
+ * spaces/underscores are ignored:
+ *
+ *   type           single (default), multiple, true_false or numeric
+ *   question       question text
+ *   option1..6     answer options (or optionA..F, or one "options" column
+ *                  holding a JSON array or "|"-separated options)
+ *   correctAnswer  as for the question routes (0-based option index, JSON
+ *                  array, true/false or a number); single and multiple
+ *                  questions also accept option letters such as "B" or "A,C"
+ *   tolerance      numeric questions only
+ *   marks          marks for the question
+ *   image          file name (or path) of the question's image in the ZIP
+ *
+ * A JSON file holds an array of question objects with the same fields (or
+ * { questions: [...] }). Questions keep the file's order and are appended
+ * after the existing ones.
+ */
+const MAX_IMPORT_ROWS = 500;
+
+// Same limit as a single uploaded question image
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const OPTION_LETTERS = "ABCDEF".slice(0, MAX_OPTIONS);
+
+// Thrown for files that cannot be read at all (reported as a 400)
+class ImportFileError extends Error {}
+
+// "Correct Answer", "correct_answer" -> "correctanswer"
+const columnKey = (name) => String(name).toLowerCase().replace(/[\s_]/g, "");
+
+const formatOf = (file) => {
+  const extension = path.extname(file.originalname || "").slice(1).toLowerCase();
+  if (["csv", "xlsx", "json"].includes(extension)) return extension;
+  if (file.mimetype === "text/csv") return "csv";
+  if (file.mimetype === "application/json") return "json";
+  if (file.mimetype === XLSX_TYPE) return "xlsx";
+  return null;
+};
+
+const withColumnKeys = (record) =>
+  Object.fromEntries(Object.entries(record).map(([name, value]) => [columnKey(name), value]));
+
+// Parsers return [{ row, fields }] where row is the line/row number (or array position) users see
+const readCsv = (buffer) => {
+  let records;
+  try {
+    records = parseCsv(buffer, { columns: true, bom: true, skip_empty_lines: true, trim: true, info: true });
+  } catch (error) {
+    throw new ImportFileError(`Invalid CSV: ${error.message}`);
+  }
+  return records.map(({ record, info }) => ({ row: info.lines, fields: withColumnKeys(record) }));
+};
+
+// Plain value of an ExcelJS cell (rich text, formulas and hyperlinks included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "object") return value;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.text !== undefined) return cellValue(value.text);
+  return undefined;
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ImportFileError(`Invalid XLSX file: ${error.message}`);
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = columnKey(cellValue(cell.value) ?? "");
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const fields = {};
+    row.eachCell((cell, column) => {
+      const value = cellValue(cell.value);
+      if (headers[column] && value !== undefined) {
+        fields[headers[column]] = typeof value === "string" ? value.trim() : value;
+      }
+    });
+
+    if (Object.keys(fields).length > 0) {
+      rows.push({ row: rowNumber, fields });
+    }
+  });
+
+  return rows;
+};
+
+const readJson = (buffer) => {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString("utf8").replace(/^\uFEFF/, ""));
+  } catch (error) {
+    throw new ImportFileError(`Invalid JSON: ${error.message}`);
+  }
+
+  const questions = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(questions)) {
+    throw new ImportFileError("The JSON file must be an array of questions or { \"questions\": [...] }");
+  }
+
+  return questions.map((question, index) => ({
+    row: index + 1,
+    fields: question && typeof question === "object" ? withColumnKeys(question) : {}
+  }));
+};
+
+const readRows = async (file) => {
+  switch (formatOf(file)) {
+    case "csv":
+      return readCsv(file.buffer);
+    case "xlsx":
+      return readXlsx(file.buffer);
+    case "json":
+      return readJson(file.buffer);
+    default:
+      throw new ImportFileError("The question file must be a .csv, .xlsx or .json file");
+  }
+};
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const optionsOf = (fields) => {
+  const { options } = fields;
+
+  if (Array.isArray(options)) return options;
+  if (typeof options === "string" && options.trim() !== "") {
+    if (options.trim().startsWith("[")) return options;
+    return options.split("|").map((option) => option.trim());
+  }
+
+  const columns = OPTION_LETTERS.split("").map((letter, index) => {
+    const numbered = fields[`option${index + 1}`];
+    return isBlank(numbered) ? fields[`option${letter.toLowerCase()}`] : numbered;
+  });
+  const lastFilled = columns.map((value) => !isBlank(value)).lastIndexOf(true);
+
+  return lastFilled === -1
+    ? undefined
+    : columns.slice(0, lastFilled + 1).map((value) => (isBlank(value) ? "" : String(value)));
+};
+
+// "B" -> 1 and "A, C" -> [0, 2] for option questions; anything else is left to validation
+const correctAnswerOf = (fields, type) => {
+  const answer = fields.correctanswer ?? fields.answer;
+  if (typeof answer !== "string" || !["single", "multiple"].includes(type)) {
+    return answer;
+  }
+
+  const letters = new RegExp(`^[${OPTION_LETTERS}](\\s*[,|]\\s*[${OPTION_LETTERS}])*$`, "i");
+  if (letters.test(answer.trim())) {
+    const indexes = answer.split(/[,|]/).map((letter) => OPTION_LETTERS.indexOf(letter.trim().toUpperCase()));
+    return type === "multiple" ? indexes : (indexes.length === 1 ? indexes[0] : answer);
+  }
+
+  // "0, 2" for multiple questions without the JSON brackets
+  if (type === "multiple" && /^\d+(\s*,\s*\d+)*$/.test(answer.trim())) {
+    return answer.split(",").map(Number);
+  }
+
+  return answer;
+};
+
+// Map a parsed row onto the fields of the question routes
+const toQuestionInput = (fields) => {
+  const type = isBlank(fields.type) ? undefined : String(fields.type).trim().toLowerCase();
+
+  return {
+    type,
+    question: isBlank(fields.question) ? undefined : String(fields.question),
+    options: optionsOf(fields),
+    correctAnswer: correctAnswerOf(fields, type || "single"),
+    tolerance: fields.tolerance,
+    marks: fields.marks
+  };
+};
+
+// Images in the companion ZIP, looked up by path or by file name
+const readImageArchive = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries().filter((entry) => !entry.isDirectory);
+  } catch (error) {
+    throw new ImportFileError(`Invalid images ZIP: ${error.message}`);
+  }
+
+  const byPath = new Map();
+  const byName = new Map();
+  entries.forEach((entry) => {
+    byPath.set(entry.entryName, entry);
+    const name = path.posix.basename(entry.entryName);
+    byName.set(name, byName.has(name) ? null : entry);
+  });
+
+  // Returns { entry } or { error }
+  return (reference) => {
+    const normalized = String(reference).trim().replace(/\\/g, "/").replace(/^\.?\//, "");
+    const entry = byPath.get(normalized) ?? byName.get(path.posix.basename(normalized));
+
+    if (entry === null) {
+      return { error: `"${reference}" matches more than one file in the images ZIP; use its full path` };
+    }
+    if (!entry) {
+      return { error: `"${reference}" was not found in the images ZIP` };
+    }
+
+    const extension = path.extname(entry.entryName).slice(1).toLowerCase();
+    if (!IMAGE_TYPES[extension]) {
+      return { error: `"${reference}" is not a JPEG, PNG, GIF or WebP image` };
+    }
+    if (entry.header.size > MAX_IMAGE_BYTES) {
+      return { error: `"${reference}" is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB` };
+    }
+    return { entry };
+  };
+};
+
+const createQuestionImportService = (questionImages) => {
+  // Parse and validate every row; returns { rows, errors } where rows are ready to save
+  const prepare = async (file, imagesZip) => {
+    const parsedRows = await readRows(file);
+    if (parsedRows.length === 0) {
+      throw new ImportFileError("The question file has no question rows");
+    }
+    if (parsedRows.length > MAX_IMPORT_ROWS) {
+      throw new ImportFileError(`A file can hold at most ${MAX_IMPORT_ROWS} questions`);
+    }
+
+    const findImage = imagesZip ? readImageArchive(imagesZip.buffer) : null;
+    const rows = [];
+    const errors = [];
+
+    parsedRows.forEach(({ row, fields }) => {
+      const { errors: fieldErrors, values } = validateFields(questionBody, toQuestionInput(fields), "row");
+      const rowErrors = fieldErrors.map((error) => ({ field: error.field.replace(/^row\./, ""), message: error.message }));
+
+      let imageEntry = null;
+      if (!isBlank(fields.image)) {
+        const found = findImage ? findImage(fields.image) : { error: "needs an images ZIP upload" };
+        if (found.error) {
+          rowErrors.push({ field: "image", message: found.error });
+        } else {
+          imageEntry = found.entry;
+        }
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ row, errors: rowErrors });
+        return;
+      }
+
+      rows.push({
+        row,
+        imageEntry,
+        questionData: {
+          question: values.question,
+          ...normalizeQuestionDefinition(values),
+          marks: values.marks ?? null
+        }
+      });
+    });
+
+    return { rows, errors };
+  };
+
+  const uploadImage = async (entry, folder, compress) => {
+    const extension = path.extname(entry.entryName).slice(1).toLowerCase();
+    return questionImages.upload({
+      buffer: entry.getData(),
+      mimetype: IMAGE_TYPES[extension],
+      originalname: path.posix.basename(entry.entryName)
+    }, folder, { compress });
+  };
+
+  // The saved questions with the file row each came from
+  const toImported = (rows, images, saved) => saved.map((question, index) => ({
+    row: rows[index].row,
+    questionId: question.id,
+    order: question.order,
+    imageUrl: images[index] ? images[index].imageUrl : null
+  }));
+
+  /**
+   * Import questions into one exam or practice test.
+   *
+   * target.folder        storage folder for the question images
+   * target.addQuestions  (questionDataList, options) => [{ id, path, order }]
+   *
+   * Returns { status } where status is:
+   *   "invalid_file"  the file (or ZIP) cannot be read; with message
+   *   "invalid"       some rows failed validation; nothing was saved
+   *   "preview"       dry run; with the questions that would be saved
+   *   "imported"      every question was saved, with its id and order
+   *   "partial"       saving failed part-way; with the questions saved so far
+   */
+  const importQuestions = async (target, { file, imagesZip, dryRun = false, compressImage = false }) => {
+    let prepared;
+    try {
+      prepared = await prepare(file, imagesZip);
+    } catch (error) {
+      if (error instanceof ImportFileError) {
+        return { status: "invalid_file", message: error.message };
+      }
+      throw error;
+    }
+
+    const { rows, errors } = prepared;
+    const rowCount = rows.length + errors.length;
+
+    if (dryRun) {
+      return {
+        status: "preview",
+        rowCount,
+        valid: errors.length === 0,
+        errors,
+        questions: rows.map(({ row, imageEntry, questionData }) => ({
+          row,
+          ...questionData,
+          image: imageEntry ? imageEntry.entryName : null
+        }))
+      };
+    }
+
+    if (errors.length > 0) {
+      return { status: "invalid", rowCount, errors };
+    }
+
+    // Images are stored first so every saved question already has its image
+    const images = [];
+    try {
+      for (const { imageEntry } of rows) {
+        images.push(imageEntry ? await uploadImage(imageEntry, target.folder, compressImage) : null);
+      }
+    } catch (error) {
+      await Promise.all(images.filter(Boolean).map((image) => questionImages.remove(image).catch(() => {})));
+      throw error;
+    }
+
+    const saved = [];
+    try {
+      await target.addQuestions(
+        rows.map(({ questionData }, index) => ({ ...questionData, ...(images[index] || {}) })),
+        { onChunk: (chunk) => saved.push(...chunk) }
+      );
+    } catch (error) {
+      console.error("Error saving imported questions:", error);
+
+      // Questions that were not saved must not leave their images behind
+      await Promise.all(images.slice(saved.length).filter(Boolean)
+        .map((image) => questionImages.remove(image).catch(() => {})));
+
+      return { status: "partial", rowCount, saved: toImported(rows, images, saved), message: error.message };
+    }
+
+    return { status: "imported", rowCount, questions: toImported(rows, images, saved) };
+  };
+
+  return {
+    importQuestions
+  };
+};
+
+// HTTP status code and body for an importQuestions() result (shared by the question routers)
+const toImportResponse = (result) => {
+  switch (result.status) {
+    case "invalid_file":
+      return [400, { error: result.message }];
+    case "invalid":
+      return [400, { error: "Some rows are invalid; no questions were imported", rowCount: result.rowCount, rows: result.errors }];
+    case "preview":
+      return [200, { message: "Dry run: no questions were saved", ...omitStatus(result) }];
+    case "imported":
+      return [201, { message: "Questions imported successfully", ...omitStatus(result) }];
+    default:
+      return [500, { error: "Import failed part-way; only the listed questions were saved", details: result.message, rowCount: result.rowCount, saved: result.saved }];
+  }
+};
+
+const omitStatus = ({ status, ...rest }) => rest;
+
+module.exports = createQuestionImportService;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+module.exports.toImportResponse = toImportResponse;
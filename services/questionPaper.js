@@ -0,0 +1,319 @@
+const PDFDocument = require("pdfkit");
+const sharp = require("sharp");
+const { questionTypeOf } = require("./questionTypes");
+const { questionMarks } = require("./scoring");
+const sanitizeFilename = require("../utils/sanitizeFilename");
+
+/**
+ * Printable question papers and answer keys (PDF).
+ *
+ * Questions are printed in their `order` (the order answers are scored by),
+ * or shuffled into a set (A, B or C). Shuffling is seeded by the paper and
+ * set, so a set always comes out the same and its answer key matches it; each
+ * question keeps a reference to its original `order` for marking.
+ */
+const PAPER_SETS = ["A", "B", "C"];
+
+const OPTION_LETTERS = "ABCDEF";
+
+const PAGE_MARGIN = 50;
+const IMAGE_MAX_WIDTH = 400;
+const IMAGE_MAX_HEIGHT = 250;
+
+// 32-bit FNV-1a hash of a string, used as the shuffle seed
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Small deterministic PRNG (mulberry32) returning floats in [0, 1)
+const seededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle of the indexes 0..length-1
+const shuffledIndexes = (length, seedText) => {
+  const random = seededRandom(hashString(seedText));
+  const indexes = Array.from({ length }, (_, index) => index);
+  for (let index = length - 1; index > 0; index--) {
+    const other = Math.floor(random() * (index + 1));
+    [indexes[index], indexes[other]] = [indexes[other], indexes[index]];
+  }
+  return indexes;
+};
+
+/**
+ * The questions of one set as [{ number, order, marks, question }]. With
+ * shuffleOptions, single/multiple questions get their options permuted and
+ * correctAnswer remapped to the new positions.
+ */
+const buildSet = (paper, set, { shuffleOptions = false } = {}) => {
+  const marks = questionMarks(paper.questions, paper.totalMarks || 0);
+  const positions = set
+    ? shuffledIndexes(paper.questions.length, `${paper.key}|${set}`)
+    : paper.questions.map((_, index) => index);
+
+  return positions.map((position, index) => {
+    const question = paper.questions[position];
+    const type = questionTypeOf(question);
+    let printed = { ...question, type };
+
+    if (set && shuffleOptions && ["single", "multiple"].includes(type)) {
+      const optionOrder = shuffledIndexes((question.options || []).length, `${paper.key}|${set}|${question.id}`);
+      const newIndexOf = (oldIndex) => optionOrder.indexOf(oldIndex);
+
+      printed = {
+        ...printed,
+        options: optionOrder.map((oldIndex) => question.options[oldIndex]),
+        correctAnswer: type === "multiple"
+          ? (question.correctAnswer || []).map(newIndexOf).sort((a, b) => a - b)
+          : newIndexOf(question.correctAnswer)
+      };
+    }
+
+    return { number: index + 1, order: question.order, marks: marks[position], question: printed };
+  });
+};
+
+// The correct answer as printed in the key
+const answerText = (question) => {
+  switch (question.type) {
+    case "multiple":
+      return (question.correctAnswer || []).map((index) => OPTION_LETTERS[index]).join(", ");
+    case "true_false":
+      return question.correctAnswer === 1 ? "False" : "True";
+    case "numeric":
+      return question.tolerance ? `${question.correctAnswer} (± ${question.tolerance})` : String(question.correctAnswer);
+    default:
+      return OPTION_LETTERS[question.correctAnswer] ?? "?";
+  }
+};
+
+const formatMarks = (marks) => `${Number.isInteger(marks) ? marks : marks.toFixed(2)} mark${marks === 1 ? "" : "s"}`;
+
+const createQuestionPaperService = (storage, { fontPath } = {}) => {
+  const newDocument = (title) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN, bufferPages: true, info: { Title: title } });
+    // The built-in fonts only cover Latin text; a configured TTF covers the rest
+    if (fontPath) {
+      doc.registerFont("body", fontPath);
+      doc.font("body");
+    }
+    return doc;
+  };
+
+  const bold = (doc) => (fontPath ? doc : doc.font("Helvetica-Bold"));
+  const regular = (doc) => (fontPath ? doc : doc.font("Helvetica"));
+
+  // PDFKit embeds JPEG and PNG; anything else is converted to PNG first
+  const loadImage = async (question) => {
+    try {
+      let buffer;
+      if (typeof question.image === "string" && question.image.startsWith("data:")) {
+        buffer = Buffer.from(question.image.split(",")[1] || "", "base64");
+      } else if (question.imagePath || question.imageUrl) {
+        buffer = await storage.read(question.imagePath || storage.pathFromUrl(question.imageUrl));
+      } else {
+        return null;
+      }
+
+      const { format } = await sharp(buffer).metadata();
+      return ["jpeg", "png"].includes(format) ? buffer : await sharp(buffer).png().toBuffer();
+    } catch (error) {
+      console.error(`Error loading image of question ${question.id}:`, error);
+      return undefined;
+    }
+  };
+
+  // "Page x of y" on every page, written once the page count is known
+  const addPageNumbers = (doc, label) => {
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+      const bottom = doc.page.height - PAGE_MARGIN / 2 - 10;
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      regular(doc).fontSize(8).fillColor("#666666")
+        .text(`${label} - Page ${index + 1} of ${count}`, PAGE_MARGIN, bottom, {
+          width: doc.page.width - PAGE_MARGIN * 2,
+          align: "center"
+        });
+      doc.page.margins.bottom = PAGE_MARGIN;
+    }
+  };
+
+  const writeHeader = (doc, title, lines) => {
+    bold(doc).fontSize(18).fillColor("black").text(title, { align: "center" });
+    regular(doc).fontSize(10);
+    lines.filter(Boolean).forEach((line) => doc.text(line, { align: "center" }));
+    doc.moveDown(0.5);
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).stroke();
+    doc.moveDown();
+  };
+
+  const writeQuestion = async (doc, item) => {
+    const { question } = item;
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const heading = `Q${item.number}. ${question.question || ""}`;
+    const image = await loadImage(question);
+
+    // Keep a question's text and image together when they fit on one page
+    regular(doc).fontSize(11);
+    const textHeight = doc.heightOfString(heading, { width }) + (image ? IMAGE_MAX_HEIGHT : 0) + 40;
+    if (doc.y + textHeight > doc.page.height - PAGE_MARGIN && doc.y > PAGE_MARGIN + 1) {
+      doc.addPage();
+    }
+
+    bold(doc).fontSize(11).fillColor("black").text(heading, { width });
+    regular(doc).fontSize(9).fillColor("#444444")
+      .text(`[${formatMarks(item.marks)}]${question.type === "multiple" ? "  Select all correct options." : ""}`);
+    doc.fillColor("black").fontSize(11).moveDown(0.3);
+
+    if (image) {
+      if (doc.y + IMAGE_MAX_HEIGHT > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+      }
+      // Placed at the current y, so the document flow continues below it
+      doc.image(image, PAGE_MARGIN, doc.y, { fit: [IMAGE_MAX_WIDTH, IMAGE_MAX_HEIGHT] });
+      doc.x = PAGE_MARGIN;
+      doc.moveDown(0.3);
+    } else if (image === undefined) {
+      doc.fontSize(9).fillColor("#999999").text("[image unavailable]").fillColor("black").fontSize(11);
+    }
+
+    if (question.type === "numeric") {
+      doc.text("Answer: ______________________", PAGE_MARGIN + 15);
+    } else {
+      (question.options || []).forEach((option, index) => {
+        doc.text(`(${OPTION_LETTERS[index]}) ${option}`, PAGE_MARGIN + 15, doc.y, { width: width - 15 });
+      });
+    }
+
+    doc.x = PAGE_MARGIN;
+    doc.moveDown();
+  };
+
+  /**
+   * Stream a question paper PDF.
+   *
+   * paper - { key, title, subtitle, questions (ordered by `order`), totalMarks }
+   *         where key identifies the exam and seeds the set shuffles
+   */
+  const writeQuestionPaper = async (stream, paper, { set, shuffleOptions } = {}) => {
+    const items = buildSet(paper, set, { shuffleOptions });
+    const totalMarks = items.reduce((sum, item) => sum + item.marks, 0);
+    const doc = newDocument(paper.title);
+    doc.pipe(stream);
+
+    writeHeader(doc, paper.title, [
+      paper.subtitle,
+      set ? `Question paper - Set ${set}` : "Question paper",
+      `${items.length} questions - ${formatMarks(totalMarks)}`
+    ]);
+
+    for (const item of items) {
+      await writeQuestion(doc, item);
+    }
+
+    addPageNumbers(doc, set ? `${paper.title} (Set ${set})` : paper.title);
+    doc.end();
+  };
+
+  // Stream an answer key PDF covering one table per set (or the unshuffled order)
+  const writeAnswerKey = async (stream, paper, { sets = [], shuffleOptions } = {}) => {
+    const doc = newDocument(`${paper.title} - Answer key`);
+    doc.pipe(stream);
+
+    writeHeader(doc, paper.title, [paper.subtitle, "Answer key - confidential"]);
+
+    const columns = [
+      { header: "Q", width: 40, value: (item) => String(item.number) },
+      { header: "Order", width: 60, value: (item) => String(item.order ?? "") },
+      { header: "Type", width: 80, value: (item) => item.question.type },
+      { header: "Answer", width: 220, value: (item) => answerText(item.question) },
+      { header: "Marks", width: 60, value: (item) => String(item.marks) }
+    ];
+
+    const writeRow = (values, font) => {
+      const heights = values.map((value, index) => doc.heightOfString(value, { width: columns[index].width - 6 }));
+      const rowHeight = Math.max(...heights) + 6;
+      if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+      }
+
+      const top = doc.y;
+      let left = PAGE_MARGIN;
+      font(doc).fontSize(10);
+      values.forEach((value, index) => {
+        doc.text(value, left + 3, top + 3, { width: columns[index].width - 6 });
+        left += columns[index].width;
+      });
+      doc.y = top + rowHeight;
+      doc.moveTo(PAGE_MARGIN, doc.y).lineTo(left, doc.y).lineWidth(0.5).strokeColor("#cccccc").stroke();
+    };
+
+    (sets.length > 0 ? sets : [null]).forEach((set, index) => {
+      if (index > 0) {
+        doc.addPage();
+      }
+
+      bold(doc).fontSize(13).fillColor("black").text(set ? `Set ${set}` : "Question order", PAGE_MARGIN, doc.y);
+      doc.moveDown(0.5);
+
+      writeRow(columns.map((column) => column.header), bold);
+      buildSet(paper, set, { shuffleOptions }).forEach((item) => writeRow(columns.map((column) => column.value(item)), regular));
+      doc.x = PAGE_MARGIN;
+      doc.moveDown();
+    });
+
+    addPageNumbers(doc, `${paper.title} - Answer key`);
+    doc.end();
+  };
+
+  // Send a PDF written by `write(stream)` as a download; errors after the first byte abort the response
+  const sendPdf = async (res, filename, write) => {
+    res.status(200);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${sanitizeFilename(filename)}"`);
+
+    try {
+      await write(res);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.removeHeader("Content-Type");
+        res.removeHeader("Content-Disposition");
+        throw error;
+      }
+      console.error("Error streaming PDF:", error);
+      res.destroy(error);
+    }
+  };
+
+  const sendQuestionPaper = (res, paper, options = {}) =>
+    sendPdf(res, `${paper.title}${options.set ? `-set-${options.set}` : ""}.pdf`, (stream) => writeQuestionPaper(stream, paper, options));
+
+  const sendAnswerKey = (res, paper, options = {}) =>
+    sendPdf(res, `${paper.title}-answer-key.pdf`, (stream) => writeAnswerKey(stream, paper, options));
+
+  return {
+    buildSet,
+    writeQuestionPaper,
+    writeAnswerKey,
+    sendQuestionPaper,
+    sendAnswerKey
+  };
+};
+
+module.exports = createQuestionPaperService;
+module.exports.PAPER_SETS = PAPER_SETS;
@@ -0,0 +1,158 @@
+/**
+ * Question types shared by the main exam and practice-test questions.
+ *
+ *   single      one correct option index                (correctAnswer: 2)
+ *   multiple    every correct option index, no others   (correctAnswer: [0, 3])
+ *   true_false  options ["True", "False"]               (correctAnswer: 0 or true for "True")
+ *   numeric     a number, right within ±tolerance       (correctAnswer: 9.81, tolerance: 0.01)
+ *
+ * Questions saved before types existed have no `type` and are "single".
+ */
+const QUESTION_TYPES = ["single", "multiple", "true_false", "numeric"];
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const TRUE_FALSE_OPTIONS = ["True", "False"];
+
+const questionTypeOf = (question) => (QUESTION_TYPES.includes(question.type) ? question.type : "single");
+
+const isOptionIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+// true/false answers may be given as booleans or as the option index
+const toTrueFalseIndex = (value) => {
+  if (value === true || value === "true") return 0;
+  if (value === false || value === "false") return 1;
+  return value;
+};
+
+const checkOptions = (options) => {
+  if (!Array.isArray(options)) {
+    return "options must be an array";
+  }
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return `options must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} items`;
+  }
+  if (options.some((option) => typeof option !== "string" || option.trim() === "")) {
+    return "options must be non-empty strings";
+  }
+  return undefined;
+};
+
+/**
+ * Check a question's type-dependent fields ({ type, options, correctAnswer,
+ * tolerance }); returns an error message or undefined.
+ */
+const checkQuestionDefinition = ({ type = "single", options, correctAnswer, tolerance }) => {
+  switch (type) {
+    case "single":
+      return checkOptions(options) ||
+        (isOptionIndex(correctAnswer, options) ? undefined : "correctAnswer must be the index of one of the options");
+    case "multiple": {
+      const optionsError = checkOptions(options);
+      if (optionsError) return optionsError;
+      if (!Array.isArray(correctAnswer) || correctAnswer.length === 0) {
+        return "correctAnswer must be a non-empty array of option indexes";
+      }
+      if (!correctAnswer.every((index) => isOptionIndex(index, options))) {
+        return "correctAnswer must only contain indexes of the options";
+      }
+      return new Set(correctAnswer).size === correctAnswer.length ? undefined : "correctAnswer must not repeat an index";
+    }
+    case "true_false":
+      return [0, 1].includes(toTrueFalseIndex(correctAnswer))
+        ? undefined
+        : "correctAnswer must be true, false, 0 (True) or 1 (False)";
+    case "numeric":
+      if (typeof correctAnswer !== "number" || !Number.isFinite(correctAnswer)) {
+        return "correctAnswer must be a number";
+      }
+      return tolerance === undefined || tolerance === null || (typeof tolerance === "number" && tolerance >= 0)
+        ? undefined
+        : "tolerance must be a number of at least 0";
+    default:
+      // Unknown types are reported by the `type` field's own validation
+      return undefined;
+  }
+};
+
+/**
+ * The type-dependent fields to store for a validated question. Every key is
+ * always present so an update that changes the type leaves nothing stale.
+ */
+const normalizeQuestionDefinition = ({ type = "single", options, correctAnswer, tolerance }) => {
+  switch (type) {
+    case "multiple":
+      return { type, options, correctAnswer: [...correctAnswer].sort((a, b) => a - b), tolerance: null };
+    case "true_false":
+      return { type, options: TRUE_FALSE_OPTIONS, correctAnswer: toTrueFalseIndex(correctAnswer), tolerance: null };
+    case "numeric":
+      return { type, options: [], correctAnswer, tolerance: tolerance || 0 };
+    default:
+      return { type, options, correctAnswer, tolerance: null };
+  }
+};
+
+// Candidate answers may come back as strings; indexes and numbers are compared as numbers
+const toNumber = (value) => (typeof value === "string" && value.trim() !== "" ? Number(value) : value);
+
+// Selected option indexes of a "multiple" answer (an array, or a single index)
+const toIndexList = (answer) => (Array.isArray(answer) ? answer : [answer]).map(toNumber);
+
+// Option indexes a (non-skipped) answer selects; numeric questions have none
+const selectedOptionIndexes = (question, answer) => {
+  switch (questionTypeOf(question)) {
+    case "multiple":
+      return [...new Set(toIndexList(answer))];
+    case "true_false":
+      return [toNumber(toTrueFalseIndex(answer))];
+    case "numeric":
+      return [];
+    default:
+      return [toNumber(answer)];
+  }
+};
+
+// Option indexes that are correct for the question; numeric questions have none
+const correctOptionIndexes = (question) => {
+  switch (questionTypeOf(question)) {
+    case "multiple":
+      return question.correctAnswer || [];
+    case "numeric":
+      return [];
+    default:
+      return [question.correctAnswer];
+  }
+};
+
+// Whether a (non-skipped) candidate answer is fully correct for the question
+const isCorrectAnswer = (question, answer) => {
+  switch (questionTypeOf(question)) {
+    case "multiple": {
+      const selected = new Set(toIndexList(answer));
+      const correct = question.correctAnswer || [];
+      return selected.size === correct.length && correct.every((index) => selected.has(index));
+    }
+    case "true_false":
+      return toNumber(toTrueFalseIndex(answer)) === question.correctAnswer;
+    case "numeric": {
+      const value = toNumber(answer);
+      return typeof value === "number" && Number.isFinite(value) &&
+        Math.abs(value - question.correctAnswer) <= (question.tolerance || 0);
+    }
+    default:
+      return toNumber(answer) === question.correctAnswer;
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  questionTypeOf,
+  checkQuestionDefinition,
+  normalizeQuestionDefinition,
+  toIndexList,
+  selectedOptionIndexes,
+  correctOptionIndexes,
+  isCorrectAnswer
+};
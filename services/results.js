@@ -0,0 +1,125 @@
+const { scoringSettingsOf, questionMarks, scoreCandidate, assignRanks } = require("./scoring");
+
+// A computation still "running" after this long is assumed to have crashed
+const COMPUTATION_STALE_AFTER_MS = 10 * 60 * 1000;
+
+// Stored results ordered by rank, then registration number
+const byRank = (a, b) =>
+  (a.rank ?? Infinity) - (b.rank ?? Infinity) || String(a.registrationNumber).localeCompare(String(b.registrationNumber));
+
+// Submission time (epoch ms) from a candidate document, or null when unknown
+const submissionTimeOf = (candidate) => {
+  const value = candidate.submittedAt ?? candidate.submissionTime ?? null;
+
+  if (value && typeof value.toMillis === "function") return value.toMillis();
+  if (typeof value === "number") return value;
+  if (typeof value === "string") {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+};
+
+// Grading of main exams from the candidates' answers
+const createResultsService = ({ exams, candidates, results }) => {
+  /**
+   * Grade every candidate of an exam and store the results in Results/{exam}/{reg}.
+   *
+   * Uses per-question marks and the exam's scoring settings (negative
+   * marking, partial credit); ranks are assigned across all candidates.
+   */
+  const gradeExam = async (examTitle) => {
+    const [exam, examQuestions, examCandidates] = await Promise.all([
+      exams.getExam(examTitle),
+      exams.listQuestions(examTitle),
+      candidates.listByExam(examTitle)
+    ]);
+
+    const scoring = {
+      settings: scoringSettingsOf(exam),
+      marks: questionMarks(examQuestions, Number(exam?.dateTime?.marks) || 0)
+    };
+
+    const gradedResults = await Promise.all(examCandidates.map(async (candidate) => {
+      const answers = await candidates.listAnswers(candidate.id);
+
+      // Prepare result object with status flags
+      return {
+        registrationNumber: candidate.id,
+        candidateName: candidate.candidateName ?? null,
+        phone: candidate.phone ?? null,
+        ...scoreCandidate(examQuestions, answers, scoring),
+        submitted: candidate.submitted || false,
+        submittedAt: submissionTimeOf(candidate),
+        used: candidate.used || false
+      };
+    }));
+
+    assignRanks(gradedResults);
+
+    // Replace the exam's results in one write so candidates who left do not linger
+    const timestamp = new Date().toISOString();
+    await results.replaceExamResults(examTitle, Object.fromEntries(
+      gradedResults.map((resultData) => [resultData.registrationNumber, { ...resultData, timestamp }])
+    ));
+
+    return gradedResults;
+  };
+
+  /**
+   * Grade an exam at most once at a time. Returns { status, computation, results }:
+   *
+   *   "computed"  results were (re)computed and stored
+   *   "stored"    results already existed and `force` was not set; nothing was rewritten
+   *   "running"   another computation is in progress; results is null
+   */
+  const computeExamResults = async (examTitle, { force = false, startedBy } = {}) => {
+    const { acquired, computation } = await results.startComputation(examTitle, {
+      startedBy,
+      force,
+      staleAfterMs: COMPUTATION_STALE_AFTER_MS
+    });
+
+    if (!acquired) {
+      if (computation && computation.status === "running") {
+        return { status: "running", computation, results: null };
+      }
+      return { status: "stored", computation, results: (await results.listByExam(examTitle)).sort(byRank) };
+    }
+
+    try {
+      const gradedResults = await gradeExam(examTitle);
+      await results.finishComputation(examTitle, { status: "completed", candidateCount: gradedResults.length, error: null });
+
+      return {
+        status: "computed",
+        computation: await results.getComputation(examTitle),
+        results: gradedResults.sort(byRank)
+      };
+    } catch (error) {
+      await results.finishComputation(examTitle, { status: "failed", error: error.message }).catch((finishError) => {
+        console.error("Error recording failed result computation:", finishError);
+      });
+      throw error;
+    }
+  };
+
+  // Stored results and computation status, without recomputing anything
+  const getExamResults = async (examTitle) => {
+    const [computation, examResults] = await Promise.all([
+      results.getComputation(examTitle),
+      results.listByExam(examTitle)
+    ]);
+
+    return { computation, results: examResults.sort(byRank) };
+  };
+
+  return {
+    gradeExam,
+    computeExamResults,
+    getExamResults,
+    getComputation: (examTitle) => results.getComputation(examTitle)
+  };
+};
+
+module.exports = createResultsService;
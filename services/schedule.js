@@ -0,0 +1,243 @@
+const moment = require("moment-timezone");
+
+/**
+ * Exam schedules (RTDB ExamDateTime/{title} and PracticeTestDateTime/{cat}/{id},
+ * mirrored on the exam documents as `dateTime`).
+ *
+ * A schedule is stored as real instants plus the exam's time zone:
+ *
+ *   startAt, endAt   epoch ms
+ *   timeZone         IANA zone the exam is held in (e.g. "Asia/Kolkata")
+ *   date             YYYY-MM-DD of the start, in timeZone
+ *   startTime        "1:45 PM" in timeZone (kept for clients that read it)
+ *   endTime          "3:45 PM" in timeZone
+ *   marks, price
+ *
+ * Schedules saved before time zones existed only have date/startTime/endTime;
+ * they are read as wall-clock times in the default time zone.
+ */
+const TIME_12H = /^(0?[1-9]|1[0-2]):([0-5][0-9])\s?(AM|PM)$/i;
+const TIME_24H = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+const DATE_YMD = /^\d{4}-\d{2}-\d{2}$/;
+
+const LEGACY_TIME_FORMAT = "h:mm A";
+
+const isTimeZone = (zone) => typeof zone === "string" && Boolean(moment.tz.zone(zone));
+
+// Hours and minutes of a 12-hour ("1:45 PM") or 24-hour ("13:45") time, or null
+const parseClockTime = (value) => {
+  const text = String(value ?? "").trim();
+
+  const twelveHour = TIME_12H.exec(text);
+  if (twelveHour) {
+    const hours = Number(twelveHour[1]) % 12 + (twelveHour[3].toUpperCase() === "PM" ? 12 : 0);
+    return { hours, minutes: Number(twelveHour[2]) };
+  }
+
+  const twentyFourHour = TIME_24H.exec(text);
+  return twentyFourHour ? { hours: Number(twentyFourHour[1]), minutes: Number(twentyFourHour[2]) } : null;
+};
+
+// Epoch ms of a wall-clock date and time in a zone, or null
+const wallClockInstant = (date, time, timeZone) => {
+  const clock = parseClockTime(time);
+  if (!clock || !DATE_YMD.test(String(date ?? ""))) {
+    return null;
+  }
+
+  const instant = moment.tz(date, "YYYY-MM-DD", true, timeZone);
+  return instant.isValid() ? instant.hours(clock.hours).minutes(clock.minutes).valueOf() : null;
+};
+
+// Epoch ms of an ISO 8601 string; without an offset it is read in `timeZone`
+const isoInstant = (value, timeZone) => {
+  const instant = moment.tz(String(value ?? ""), moment.ISO_8601, true, timeZone);
+  return instant.isValid() ? instant.valueOf() : null;
+};
+
+/**
+ * The exam window of a schedule request: either startAt/endAt (ISO 8601) or
+ * date plus startTime/endTime (12- or 24-hour). Returns { window: { startAt,
+ * endAt, timeZone } } or { errors: [{ field, message }] }.
+ */
+const resolveScheduleInput = (input, defaultTimeZone) => {
+  const errors = [];
+  const timeZone = input.timeZone || defaultTimeZone;
+  if (!isTimeZone(timeZone)) {
+    return { errors: [{ field: "body.timeZone", message: "must be an IANA time zone such as Asia/Kolkata" }] };
+  }
+
+  const usesInstants = input.startAt !== undefined || input.endAt !== undefined;
+  let startAt;
+  let endAt;
+
+  if (usesInstants) {
+    startAt = isoInstant(input.startAt, timeZone);
+    endAt = isoInstant(input.endAt, timeZone);
+    if (startAt === null) errors.push({ field: "body.startAt", message: "must be an ISO 8601 date-time" });
+    if (endAt === null) errors.push({ field: "body.endAt", message: "must be an ISO 8601 date-time" });
+  } else {
+    if (!DATE_YMD.test(String(input.date ?? ""))) {
+      errors.push({ field: "body.date", message: "is required (YYYY-MM-DD) unless startAt and endAt are given" });
+    } else if (!moment(input.date, "YYYY-MM-DD", true).isValid()) {
+      // e.g. 2025-02-30
+      errors.push({ field: "body.date", message: "invalid date" });
+    }
+    startAt = wallClockInstant(input.date, input.startTime, timeZone);
+    endAt = wallClockInstant(input.date, input.endTime, timeZone);
+    if (!parseClockTime(input.startTime)) errors.push({ field: "body.startTime", message: "must be a 12-hour (1:45 PM) or 24-hour (13:45) time" });
+    if (!parseClockTime(input.endTime)) errors.push({ field: "body.endTime", message: "must be a 12-hour (1:45 PM) or 24-hour (13:45) time" });
+  }
+
+  // Anything that did not resolve to an instant has been reported above
+  if (errors.length === 0 && (startAt === null || endAt === null)) {
+    errors.push({ field: usesInstants ? "body.startAt" : "body.date", message: "invalid date" });
+  }
+
+  if (errors.length === 0 && endAt <= startAt) {
+    errors.push({ field: usesInstants ? "body.endAt" : "body.endTime", message: "must be after the start" });
+  }
+
+  return errors.length > 0 ? { errors } : { window: { startAt, endAt, timeZone } };
+};
+
+// The record stored for a window, with the legacy date/time fields derived from it
+const toScheduleRecord = ({ startAt, endAt, timeZone }, { marks, price }) => {
+  const start = moment.tz(startAt, timeZone);
+  return {
+    startAt,
+    endAt,
+    timeZone,
+    date: start.format("YYYY-MM-DD"),
+    startTime: start.format(LEGACY_TIME_FORMAT),
+    endTime: moment.tz(endAt, timeZone).format(LEGACY_TIME_FORMAT),
+    marks,
+    price
+  };
+};
+
+/**
+ * { startAt, endAt, timeZone } of a stored schedule, new or legacy, or null
+ * when it cannot be read. Legacy windows ending before they start (e.g.
+ * 11:00 PM - 1:00 AM) are taken to end the next day.
+ */
+const scheduleWindow = (record, defaultTimeZone) => {
+  if (!record) {
+    return null;
+  }
+
+  const timeZone = isTimeZone(record.timeZone) ? record.timeZone : defaultTimeZone;
+  if (typeof record.startAt === "number" && typeof record.endAt === "number") {
+    return { startAt: record.startAt, endAt: record.endAt, timeZone };
+  }
+
+  const startAt = wallClockInstant(record.date, record.startTime, timeZone);
+  let endAt = wallClockInstant(record.date, record.endTime, timeZone);
+  if (startAt === null || endAt === null) {
+    return null;
+  }
+  if (endAt <= startAt) {
+    endAt = moment.tz(endAt, timeZone).add(1, "day").valueOf();
+  }
+  return { startAt, endAt, timeZone };
+};
+
+// A stored schedule for API responses: the record plus ISO start/end in the exam's zone
+const describeSchedule = (record, defaultTimeZone) => {
+  const window = scheduleWindow(record, defaultTimeZone);
+  return {
+    ...record,
+    timeZone: window ? window.timeZone : record.timeZone ?? null,
+    start: window ? moment.tz(window.startAt, window.timeZone).format() : null,
+    end: window ? moment.tz(window.endAt, window.timeZone).format() : null
+  };
+};
+
+const windowsOverlap = (a, b) => a.startAt < b.endAt && b.startAt < a.endAt;
+
+const createScheduleService = ({ exams, practiceTests }, { timeZone: defaultTimeZone }) => {
+  // Other schedules ({ key: record }) whose window overlaps `window`
+  const findConflicts = (window, schedules, ownKey) =>
+    Object.entries(schedules || {})
+      .filter(([key]) => key !== ownKey)
+      .map(([key, record]) => ({ key, window: scheduleWindow(record, defaultTimeZone) }))
+      .filter(({ window: other }) => other && windowsOverlap(window, other))
+      .map(({ key, window: other }) => ({
+        exam: key,
+        start: moment.tz(other.startAt, other.timeZone).format(),
+        end: moment.tz(other.endAt, other.timeZone).format()
+      }));
+
+  /**
+   * Validate and store a schedule. Returns { status } where status is
+   * "invalid" (with errors), "overlap" (with conflicts; skipped with
+   * allowOverlap) or "saved" (with the schedule as described for responses).
+   */
+  const save = async (input, { listOthers, ownKey, write, allowOverlap }) => {
+    const { window, errors } = resolveScheduleInput(input, defaultTimeZone);
+    if (errors) {
+      return { status: "invalid", errors };
+    }
+
+    if (!allowOverlap) {
+      const conflicts = findConflicts(window, await listOthers(), ownKey);
+      if (conflicts.length > 0) {
+        return { status: "overlap", conflicts };
+      }
+    }
+
+    const record = toScheduleRecord(window, input);
+    await write(record);
+    return { status: "saved", schedule: describeSchedule(record, defaultTimeZone) };
+  };
+
+  // Main exams may not overlap other main exams
+  const saveExamSchedule = (examTitle, input, { allowOverlap = false } = {}) => save(input, {
+    listOthers: () => exams.listDateTimes(),
+    ownKey: examTitle,
+    write: (record) => exams.saveDateTime(examTitle, record),
+    allowOverlap
+  });
+
+  // Practice tests may not overlap other practice tests of the same category
+  const savePracticeSchedule = (category, examId, input, { allowOverlap = false } = {}) => save(input, {
+    listOthers: () => practiceTests.listCategoryDateTimes(category),
+    ownKey: examId,
+    write: (record) => practiceTests.saveDateTime(category, examId, record),
+    allowOverlap
+  });
+
+  /**
+   * Main exams held on the calendar day that contains `now` in each exam's
+   * own time zone, as [{ id, ...schedule }].
+   */
+  const findExamsOnDayOf = async (now = Date.now()) => {
+    const examList = await exams.listExams();
+
+    return examList
+      .filter((exam) => {
+        const window = scheduleWindow(exam.dateTime, defaultTimeZone);
+        return window &&
+          moment.tz(window.startAt, window.timeZone).format("YYYY-MM-DD") === moment.tz(now, window.timeZone).format("YYYY-MM-DD");
+      })
+      .map((exam) => ({ id: exam.id, ...describeSchedule(exam.dateTime, defaultTimeZone) }));
+  };
+
+  return {
+    defaultTimeZone,
+    saveExamSchedule,
+    savePracticeSchedule,
+    findExamsOnDayOf,
+    window: (record) => scheduleWindow(record, defaultTimeZone),
+    describe: (record) => describeSchedule(record, defaultTimeZone)
+  };
+};
+
+module.exports = createScheduleService;
+module.exports.TIME_12H = TIME_12H;
+module.exports.TIME_24H = TIME_24H;
+module.exports.isTimeZone = isTimeZone;
+module.exports.parseClockTime = parseClockTime;
+module.exports.resolveScheduleInput = resolveScheduleInput;
+module.exports.scheduleWindow = scheduleWindow;
+module.exports.windowsOverlap = windowsOverlap;
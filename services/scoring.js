@@ -0,0 +1,122 @@
+const { questionTypeOf, toIndexList, isCorrectAnswer } = require("./questionTypes");
+
+/**
+ * Exam scoring settings (Exams/{title}.settings):
+ *
+ *   negativeMarkingRatio  share of a question's marks deducted for a wrong answer (0-1)
+ *   partialCredit         multiple-answer questions earn a share of their marks when
+ *                         only some correct options (and no wrong ones) are selected
+ */
+const DEFAULT_SCORING_SETTINGS = {
+  negativeMarkingRatio: 0,
+  partialCredit: true
+};
+
+const scoringSettingsOf = (exam) => ({
+  ...DEFAULT_SCORING_SETTINGS,
+  ...((exam && exam.settings) || {})
+});
+
+// Scores are kept to two decimals so fractional marks stay readable
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Marks for each question. Explicit per-question `marks` win; when no
+ * question has them, the exam's total marks (from its schedule) are split
+ * evenly, and otherwise every question is worth 1.
+ */
+const questionMarks = (questions, examTotalMarks) => {
+  const anyWeighted = questions.some((question) => typeof question.marks === "number");
+  const evenShare = !anyWeighted && examTotalMarks > 0 && questions.length > 0
+    ? examTotalMarks / questions.length
+    : 1;
+
+  return questions.map((question) => (typeof question.marks === "number" ? question.marks : evenShare));
+};
+
+const isSkipped = (candidateAnswer) =>
+  !candidateAnswer ||
+  candidateAnswer.skipped ||
+  candidateAnswer.answer === undefined ||
+  candidateAnswer.answer === null ||
+  candidateAnswer.answer === "" ||
+  (Array.isArray(candidateAnswer.answer) && candidateAnswer.answer.length === 0);
+
+/**
+ * Outcome of one answer: { outcome: "correct" | "partial" | "wrong" | "skipped", marks }
+ * where marks is what the answer earns (negative for a penalized wrong answer).
+ */
+const scoreAnswer = (question, candidateAnswer, marks, settings) => {
+  if (isSkipped(candidateAnswer)) {
+    return { outcome: "skipped", marks: 0 };
+  }
+
+  const { answer } = candidateAnswer;
+  if (isCorrectAnswer(question, answer)) {
+    return { outcome: "correct", marks };
+  }
+
+  if (settings.partialCredit && questionTypeOf(question) === "multiple") {
+    const correct = question.correctAnswer || [];
+    const selected = [...new Set(toIndexList(answer))];
+    const allSelectedCorrect = selected.every((index) => correct.includes(index));
+
+    if (allSelectedCorrect && selected.length > 0 && correct.length > 0) {
+      return { outcome: "partial", marks: marks * (selected.length / correct.length) };
+    }
+  }
+
+  return { outcome: "wrong", marks: -marks * settings.negativeMarkingRatio };
+};
+
+/**
+ * Score one candidate's answers (matched to questions by `order`). Returns
+ * the answer counts plus score, maxScore and percentage.
+ */
+const scoreCandidate = (questions, answers, { settings, marks }) => {
+  const answersByOrder = new Map(answers.map((answer) => [answer.order, answer]));
+  const counts = { correct: 0, partial: 0, wrong: 0, skipped: 0 };
+  let score = 0;
+
+  questions.forEach((question, index) => {
+    const result = scoreAnswer(question, answersByOrder.get(question.order), marks[index], settings);
+    counts[result.outcome]++;
+    score += result.marks;
+  });
+
+  const maxScore = marks.reduce((sum, value) => sum + value, 0);
+
+  return {
+    totalQuestions: questions.length,
+    correctAnswers: counts.correct,
+    partialAnswers: counts.partial,
+    skippedQuestions: counts.skipped,
+    wrongAnswers: counts.wrong,
+    score: round2(score),
+    maxScore: round2(maxScore),
+    percentage: maxScore > 0 ? round2((score / maxScore) * 100) : 0
+  };
+};
+
+// Competition ranking by score (1, 2, 2, 4); sets `rank` on each result
+const assignRanks = (scoredResults) => {
+  const sorted = [...scoredResults].sort((a, b) => b.score - a.score);
+
+  sorted.forEach((result, index) => {
+    result.rank = index > 0 && result.score === sorted[index - 1].score
+      ? sorted[index - 1].rank
+      : index + 1;
+  });
+
+  return scoredResults;
+};
+
+module.exports = {
+  DEFAULT_SCORING_SETTINGS,
+  scoringSettingsOf,
+  questionMarks,
+  isSkipped,
+  scoreAnswer,
+  scoreCandidate,
+  assignRanks
+};
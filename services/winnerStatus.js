@@ -0,0 +1,35 @@
+/**
+ * Prize workflow of a winner:
+ *
+ *   pending -> verified -> prize_approved -> paid
+ *
+ * and any step before "paid" may go to "rejected". "paid" and "rejected"
+ * are final. Winners saved before the workflow existed may carry a
+ * free-form status; those are treated as "pending".
+ */
+const WINNER_TRANSITIONS = {
+  pending: ["verified", "rejected"],
+  verified: ["prize_approved", "rejected"],
+  prize_approved: ["paid", "rejected"],
+  paid: [],
+  rejected: []
+};
+
+const WINNER_STATUSES = Object.keys(WINNER_TRANSITIONS);
+
+const INITIAL_WINNER_STATUS = "pending";
+
+const winnerStatusOf = (winner) =>
+  (winner && WINNER_STATUSES.includes(winner.status) ? winner.status : INITIAL_WINNER_STATUS);
+
+const allowedTransitions = (status) => WINNER_TRANSITIONS[status] || [];
+
+const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+module.exports = {
+  WINNER_STATUSES,
+  INITIAL_WINNER_STATUS,
+  winnerStatusOf,
+  allowedTransitions,
+  canTransition
+};
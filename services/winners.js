@@ -0,0 +1,236 @@
+const { INITIAL_WINNER_STATUS, winnerStatusOf, canTransition, allowedTransitions } = require("./winnerStatus");
+
+// Generated winner lists must be committed within this time
+const PREVIEW_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Tie-break order for winners: higher score, then fewer wrong answers, then
+ * earlier submission (unknown submission times sort last).
+ */
+const compareSubmissionTimes = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a - b;
+};
+
+const compareForWinners = (a, b) =>
+  (b.score ?? 0) - (a.score ?? 0) ||
+  (a.wrongAnswers ?? 0) - (b.wrongAnswers ?? 0) ||
+  compareSubmissionTimes(a.submittedAt, b.submittedAt);
+
+/**
+ * Rank results for winner selection and keep the top N. Candidates tied on
+ * every criterion share a rank, so a tie at rank N can return more than N.
+ */
+const rankForWinners = (results, topN) => {
+  const sorted = [...results].sort((a, b) =>
+    compareForWinners(a, b) || String(a.registrationNumber).localeCompare(String(b.registrationNumber)));
+
+  const ranked = [];
+  sorted.forEach((result, index) => {
+    const previous = ranked[index - 1];
+    const rank = previous && compareForWinners(previous, result) === 0 ? previous.rank : index + 1;
+    ranked.push({ ...result, rank });
+  });
+
+  return ranked.filter((result) => result.rank <= topN);
+};
+
+// The fields of a result that are copied into Winners/{exam}/{reg}
+const toWinner = (result) => ({
+  rank: result.rank,
+  score: result.score ?? 0,
+  percentage: result.percentage ?? 0,
+  correctAnswers: result.correctAnswers ?? 0,
+  wrongAnswers: result.wrongAnswers ?? 0,
+  submittedAt: result.submittedAt ?? null,
+  candidateName: result.candidateName ?? null,
+  phone: result.phone ?? null
+});
+
+const createWinnersService = ({ results, winners }, { messaging }) => {
+  /**
+   * Build the winner list for an exam from its stored results and save it
+   * as a preview. Returns { previewId, preview } or null without results.
+   */
+  const previewWinners = async (examTitle, { topN, createdBy }) => {
+    const [computation, examResults] = await Promise.all([
+      results.getComputation(examTitle),
+      results.listByExam(examTitle)
+    ]);
+
+    if (examResults.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const preview = {
+      examTitle,
+      topN,
+      createdBy: createdBy || null,
+      createdAt: now,
+      expiresAt: now + PREVIEW_TTL_MS,
+      // Committing is refused if the results are recomputed after this preview
+      resultsComputedAt: computation?.finishedAt ?? null,
+      winners: rankForWinners(examResults, topN).map((result) => ({
+        registrationNumber: result.registrationNumber,
+        ...toWinner(result)
+      }))
+    };
+
+    const previewId = await winners.createPreview(preview);
+    return { previewId, preview };
+  };
+
+  /**
+   * Write a previewed winner list to Winners/{exam}. Returns { status } where
+   * status is "committed" (with winners), "not_found", "wrong_exam",
+   * "expired", "stale" (results recomputed since), "exists" (the exam
+   * already has winners and `replace` was not set) or "in_progress" (with
+   * progressed: winners past pending, whose records and history `replace`
+   * would wipe, so nothing is replaced).
+   */
+  const commitWinners = async (examTitle, previewId, { replace = false, committedBy } = {}) => {
+    const preview = await winners.getPreview(previewId);
+    if (!preview) {
+      return { status: "not_found" };
+    }
+    if (preview.examTitle !== examTitle) {
+      return { status: "wrong_exam" };
+    }
+    if (preview.expiresAt < Date.now()) {
+      await winners.removePreview(previewId);
+      return { status: "expired" };
+    }
+
+    const computation = await results.getComputation(examTitle);
+    if ((computation?.finishedAt ?? null) !== preview.resultsComputedAt) {
+      return { status: "stale" };
+    }
+
+    const committedAt = Date.now();
+    const winnersByRegistration = {};
+    (preview.winners || []).forEach(({ registrationNumber, ...winner }) => {
+      winnersByRegistration[registrationNumber] = {
+        ...winner,
+        status: INITIAL_WINNER_STATUS,
+        committedAt,
+        committedBy: committedBy || null
+      };
+    });
+
+    // Checked inside the transaction so a status change made meanwhile is not overwritten
+    let outcome = { status: "committed" };
+    const { committed } = await winners.transactExam(examTitle, (current) => {
+      if (!current) {
+        outcome = { status: "committed" };
+        return winnersByRegistration;
+      }
+      if (!replace) {
+        outcome = { status: "exists" };
+        return undefined;
+      }
+
+      const progressed = Object.entries(current)
+        .filter(([, winner]) => winnerStatusOf(winner) !== INITIAL_WINNER_STATUS)
+        .map(([registrationNumber, winner]) => ({ registrationNumber, status: winnerStatusOf(winner) }));
+      if (progressed.length > 0) {
+        outcome = { status: "in_progress", progressed };
+        return undefined;
+      }
+
+      outcome = { status: "committed" };
+      return winnersByRegistration;
+    });
+
+    if (outcome.status !== "committed" || !committed) {
+      return outcome;
+    }
+
+    await winners.removePreview(previewId);
+    return { status: "committed", winners: preview.winners || [] };
+  };
+
+  /**
+   * Move a winner to a new workflow status, recording a history entry, and
+   * queue an email/SMS telling the winner. Returns { status } where status is "updated" (with the winner),
+   * "not_found" or "invalid_transition" (with from and allowed).
+   */
+  const changeStatus = async (examTitle, registrationNumber, { status, paymentReference, note, changedBy }) => {
+    const historyKey = winners.newHistoryKey(examTitle, registrationNumber);
+    let outcome = { status: "not_found" };
+
+    const { committed, winner } = await winners.transact(examTitle, registrationNumber, (current) => {
+      // RTDB may first call this with a null local value; returning null
+      // lets it retry with the server value if the winner does exist
+      if (!current) {
+        outcome = { status: "not_found" };
+        return null;
+      }
+
+      const from = winnerStatusOf(current);
+      if (!canTransition(from, status)) {
+        outcome = { status: "invalid_transition", from, allowed: allowedTransitions(from) };
+        return undefined;
+      }
+
+      const changedAt = Date.now();
+      outcome = { status: "updated" };
+
+      return {
+        ...current,
+        status,
+        statusUpdatedAt: changedAt,
+        ...(paymentReference !== undefined && { paymentReference }),
+        history: {
+          ...(current.history || {}),
+          [historyKey]: {
+            from,
+            to: status,
+            at: changedAt,
+            by: changedBy || null,
+            note: note ?? null,
+            paymentReference: paymentReference ?? null
+          }
+        }
+      };
+    });
+
+    if (outcome.status === "updated" && committed) {
+      // The status change stands even if the winner cannot be told about it now
+      await messaging.queueWinnerStatus(examTitle, registrationNumber, winner).catch((error) => {
+        console.error("Error queueing winner status messages:", error);
+      });
+      return { status: "updated", winner };
+    }
+    return outcome;
+  };
+
+  // Winners of every exam (or one exam) with the given status, as a flat list
+  const listByStatus = async ({ status, examTitle }) => {
+    const winnersData = (await winners.listAll()) || {};
+
+    return Object.entries(winnersData)
+      .filter(([title]) => !examTitle || title === examTitle)
+      .flatMap(([title, examWinners]) => Object.entries(examWinners || {}).map(([registrationNumber, winner]) => ({
+        examTitle: title,
+        registrationNumber,
+        ...winner,
+        status: winnerStatusOf(winner)
+      })))
+      .filter((winner) => !status || winner.status === status)
+      .sort((a, b) => a.examTitle.localeCompare(b.examTitle) || (a.rank ?? Infinity) - (b.rank ?? Infinity));
+  };
+
+  return {
+    previewWinners,
+    commitWinners,
+    changeStatus,
+    listByStatus
+  };
+};
+
+module.exports = createWinnersService;
+module.exports.compareForWinners = compareForWinners;
+module.exports.rankForWinners = rankForWinners;
@@ -0,0 +1,57 @@
+// Google Cloud Storage bucket (Firebase Storage) backend
+const createFirebaseStorage = (bucket) => {
+  /**
+   * Store a buffer at `path` and return its URL.
+   *
+   * options.contentType  - MIME type
+   * options.cacheControl - Cache-Control header
+   * options.metadata     - custom metadata
+   * options.access       - "public" (public URL) or "signed" (long-lived signed URL)
+   */
+  const save = async (path, buffer, { contentType, cacheControl, metadata, access = "public" } = {}) => {
+    const file = bucket.file(path);
+
+    await file.save(buffer, {
+      metadata: {
+        contentType,
+        cacheControl,
+        metadata
+      },
+      resumable: false, // Disable resumable uploads for small files to speed up process
+    });
+
+    if (access === "signed") {
+      const [url] = await file.getSignedUrl({
+        action: 'read',
+        expires: '03-01-2500' // Long expiration date
+      });
+      return url;
+    }
+
+    // Make the file publicly accessible
+    await file.makePublic();
+    return `https://storage.googleapis.com/${bucket.name}/${path}`;
+  };
+
+  const read = async (path) => {
+    const [buffer] = await bucket.file(path).download();
+    return buffer;
+  };
+
+  const remove = async (path) => {
+    await bucket.file(path).delete();
+  };
+
+  // Object path of a public URL returned by save()
+  const pathFromUrl = (url) => decodeURIComponent(url.split('?')[0].split('/').slice(4).join('/'));
+
+  return {
+    driver: "firebase",
+    save,
+    read,
+    remove,
+    pathFromUrl
+  };
+};
+
+module.exports = createFirebaseStorage;
@@ -0,0 +1,34 @@
+const createFirebaseStorage = require("./firebaseStorage");
+const createLocalStorage = require("./localStorage");
+const createMemoryStorage = require("./memoryStorage");
+
+/**
+ * Pick the storage backend named by config.storage.driver.
+ *
+ * Every backend implements:
+ *   save(path, buffer, options) -> URL of the stored file
+ *   read(path)                  -> Buffer
+ *   remove(path)
+ *   pathFromUrl(url)            -> path of a URL returned by save()
+ *
+ * getBucket is only called for the "firebase" driver.
+ */
+const createStorage = ({ driver, localRoot, publicBaseUrl }, { getBucket } = {}) => {
+  switch (driver) {
+    case "firebase":
+      return createFirebaseStorage(getBucket());
+    case "local":
+      return createLocalStorage({ root: localRoot, publicBaseUrl });
+    case "memory":
+      return createMemoryStorage({ publicBaseUrl });
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`);
+  }
+};
+
+module.exports = {
+  createStorage,
+  createFirebaseStorage,
+  createLocalStorage,
+  createMemoryStorage
+};
@@ -0,0 +1,49 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Local filesystem backend; files are served by the /files route (routes/files.js)
+const createLocalStorage = ({ root, publicBaseUrl }) => {
+  const rootDir = path.resolve(root);
+
+  // Resolve an object path inside the root, refusing anything that escapes it
+  const resolvePath = (objectPath) => {
+    const filePath = path.resolve(rootDir, objectPath);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage path: ${objectPath}`);
+    }
+    return filePath;
+  };
+
+  const urlFor = (objectPath) =>
+    `${publicBaseUrl}/files/${objectPath.split("/").map(encodeURIComponent).join("/")}`;
+
+  const save = async (objectPath, buffer) => {
+    const filePath = resolvePath(objectPath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return urlFor(objectPath);
+  };
+
+  const read = async (objectPath) => fs.readFile(resolvePath(objectPath));
+
+  const remove = async (objectPath) => {
+    await fs.unlink(resolvePath(objectPath));
+  };
+
+  const pathFromUrl = (url) => {
+    const prefix = `${publicBaseUrl}/files/`;
+    const relative = url.startsWith(prefix) ? url.slice(prefix.length) : url.split("/files/").pop();
+    return decodeURIComponent(relative.split("?")[0]);
+  };
+
+  return {
+    driver: "local",
+    root: rootDir,
+    save,
+    read,
+    remove,
+    pathFromUrl
+  };
+};
+
+module.exports = createLocalStorage;
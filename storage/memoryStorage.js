@@ -0,0 +1,42 @@
+// In-memory backend for tests and throwaway environments; files are served by the /files route
+const createMemoryStorage = ({ publicBaseUrl = "" } = {}) => {
+  const files = new Map();
+
+  const urlFor = (objectPath) =>
+    `${publicBaseUrl}/files/${objectPath.split("/").map(encodeURIComponent).join("/")}`;
+
+  const save = async (objectPath, buffer, { contentType } = {}) => {
+    files.set(objectPath, { buffer: Buffer.from(buffer), contentType });
+    return urlFor(objectPath);
+  };
+
+  const read = async (objectPath) => {
+    const file = files.get(objectPath);
+    if (!file) {
+      throw new Error(`File not found: ${objectPath}`);
+    }
+    return file.buffer;
+  };
+
+  const remove = async (objectPath) => {
+    if (!files.delete(objectPath)) {
+      throw new Error(`File not found: ${objectPath}`);
+    }
+  };
+
+  const pathFromUrl = (url) => decodeURIComponent(url.split("/files/").pop().split("?")[0]);
+
+  // Stored file with its content type, or null (used by the download route)
+  const getFile = (objectPath) => files.get(objectPath) || null;
+
+  return {
+    driver: "memory",
+    save,
+    read,
+    remove,
+    pathFromUrl,
+    getFile
+  };
+};
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,173 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestApp } = require("./support/testApp");
+
+const EXAM = "General Knowledge";
+
+// Log in through the API; returns the Authorization header value
+const login = async (app, userid = "admin", password = "secret123") => {
+  const res = await request(app).post("/api/admin/login").send({ userid, password }).expect(200);
+  return `Bearer ${res.body.token}`;
+};
+
+describe("app factory", () => {
+  let context;
+  let auth;
+
+  before(async () => {
+    context = await createTestApp({
+      admins: {
+        admin: { role: "superadmin", password: "secret123" },
+        helpdesk: { role: "support", password: "secret456" }
+      },
+      firestore: {
+        "candidates/R1": { exam: EXAM, candidateName: "Asha", email: "asha@example.com", phone: "9876543210" },
+        "candidates/R2": { exam: "Other", candidateName: "Ben" }
+      },
+      realtimeDatabase: {
+        Winners: {
+          [EXAM]: { R1: { rank: 1, score: 9, status: "pending", candidateName: "Asha" } },
+          Quiz: { R3: { rank: 1, score: 5, status: "paid" } }
+        },
+        Results: {
+          Quiz: { R3: { score: 5 }, R4: { score: 3 } }
+        },
+        ResultComputations: {
+          Quiz: { status: "completed", finishedAt: 1 }
+        }
+      }
+    });
+    auth = await login(context.app);
+  });
+
+  it("answers on / without touching Firebase", async () => {
+    const res = await request(context.app).get("/").expect(200);
+    assert.match(res.text, /running/);
+  });
+
+  it("serves API docs generated from the route schemas", async () => {
+    const res = await request(context.app).get("/api/docs").expect(200);
+    assert.ok(res.body.paths["/api/notifications"]);
+    assert.ok(res.body.paths["/api/messages"]);
+  });
+
+  describe("admin sessions", () => {
+    it("rejects a wrong password", async () => {
+      await request(context.app).post("/api/admin/login").send({ userid: "admin", password: "nope-nope" }).expect(401);
+    });
+
+    it("requires a session for mutations", async () => {
+      await request(context.app).post("/api/notifications").send({ message: "Hi" }).expect(401);
+    });
+
+    it("reports the current session", async () => {
+      const res = await request(context.app).get("/api/admin/session").set("Authorization", auth).expect(200);
+      assert.equal(res.body.role, "superadmin");
+    });
+
+    it("enforces role permissions", async () => {
+      const helpdesk = await login(context.app, "helpdesk", "secret456");
+      await request(context.app).get("/api/notifications").set("Authorization", helpdesk).expect(403);
+    });
+
+    it("ends the session on logout", async () => {
+      const session = await login(context.app);
+      await request(context.app).post("/api/admin/logout").set("Authorization", session).expect(200);
+      await request(context.app).get("/api/admin/session").set("Authorization", session).expect(401);
+    });
+  });
+
+  describe("notifications", () => {
+    it("rejects invalid input with the failing fields", async () => {
+      const res = await request(context.app)
+        .post("/api/notifications")
+        .set("Authorization", auth)
+        .send({ message: "Hi", priority: "urgent" })
+        .expect(400);
+      assert.equal(res.body.error, "Validation failed");
+      assert.deepEqual(res.body.fields.map((field) => field.field), ["body.priority"]);
+    });
+
+    it("shows exam notifications to that exam's candidates only", async () => {
+      await request(context.app)
+        .post("/api/notifications")
+        .set("Authorization", auth)
+        .send({ title: "Hall change", message: "Room 4", audience: { type: "exam", examTitle: EXAM } })
+        .expect(200);
+
+      const candidate = await request(context.app).get("/api/candidate/notifications?registrationNumber=R1").expect(200);
+      const other = await request(context.app).get("/api/candidate/notifications?registrationNumber=R2").expect(200);
+
+      assert.deepEqual(candidate.body.notifications.map((notification) => notification.title), ["Hall change"]);
+      assert.deepEqual(other.body.notifications, []);
+    });
+  });
+
+  describe("winner messages", () => {
+    it("queues and delivers an email and SMS when a winner's status changes", async () => {
+      await request(context.app)
+        .put("/api/winners/status")
+        .set("Authorization", auth)
+        .send({ examTitle: EXAM, registrationNumber: "R1", status: "verified" })
+        .expect(200);
+
+      const queued = await request(context.app).get("/api/messages?status=pending").set("Authorization", auth).expect(200);
+      assert.deepEqual(queued.body.messages.map((message) => message.channel).sort(), ["email", "sms"]);
+
+      await context.services.messaging.deliverDue();
+
+      const [email] = context.messageProviders.email.sent;
+      assert.equal(email.to, "asha@example.com");
+      assert.match(email.subject, /Verified/);
+      assert.equal(context.messageProviders.sms.sent[0].to, "9876543210");
+
+      const sent = await request(context.app).get("/api/messages?status=sent").set("Authorization", auth).expect(200);
+      assert.equal(sent.body.count, 2);
+    });
+
+    it("refuses to replace winners past pending", async () => {
+      const preview = await request(context.app)
+        .post("/api/exams/Quiz/winners/preview")
+        .set("Authorization", auth)
+        .send({ topN: 1 })
+        .expect(201);
+
+      const res = await request(context.app)
+        .post("/api/exams/Quiz/winners/commit")
+        .set("Authorization", auth)
+        .send({ previewId: preview.body.previewId, replace: true })
+        .expect(409);
+
+      assert.deepEqual(res.body.progressed, [{ registrationNumber: "R3", status: "paid" }]);
+    });
+  });
+
+  describe("audit trail", () => {
+    it("records validated mutations only", async () => {
+      await request(context.app).put("/api/winners/status").set("Authorization", auth).send({ status: "paid" }).expect(400);
+      await request(context.app).post("/api/notifications").set("Authorization", auth).send({ message: "Audited" }).expect(200);
+
+      // Entries are written once the response has finished
+      await new Promise((resolve) => setImmediate(resolve));
+      const res = await request(context.app).get("/api/audit").set("Authorization", auth).expect(200);
+
+      assert.ok(res.body.entries.every((entry) => !String(entry.target).includes("undefined")));
+      assert.equal(res.body.entries[0].entity, "notification");
+    });
+  });
+
+  describe("job scheduler", () => {
+    it("plans reminder and grading jobs from exam schedules", async () => {
+      const startAt = Date.now() + 2 * 60 * 60 * 1000;
+      await context.repositories.exams.saveDateTime(EXAM, { startAt, endAt: startAt + 60 * 60 * 1000, timeZone: "UTC" });
+
+      await context.services.jobs.tick(Date.now());
+
+      const res = await request(context.app).get("/api/jobs?status=pending").set("Authorization", auth).expect(200);
+      const types = res.body.jobs.map((job) => job.type);
+      assert.ok(types.includes("notifyExamStart"));
+      assert.ok(types.includes("gradeExam"));
+    });
+  });
+});
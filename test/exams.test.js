@@ -0,0 +1,194 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestApp } = require("./support/testApp");
+
+const SCHEDULE = { startAt: Date.parse("2030-01-01T10:00:00Z"), endAt: Date.parse("2030-01-01T11:00:00Z"), timeZone: "UTC" };
+
+// An app with exam "Draft" (two questions and a schedule) and an admin session
+const createExamApp = async ({ firestore = {}, realtimeDatabase = {} } = {}) => {
+  const context = await createTestApp({
+    firestore: {
+      "Exams/Draft": { title: "Draft", description: "Typo" },
+      "Exams/Draft/Questions/q1": { question: "One", type: "single", options: ["A", "B"], correctAnswer: 0, order: 1 },
+      "Exams/Draft/Questions/q2": { question: "Two", type: "single", options: ["A", "B"], correctAnswer: 0, order: 2 },
+      ...firestore
+    },
+    realtimeDatabase: { ExamDateTime: { Draft: SCHEDULE }, ...realtimeDatabase }
+  });
+  const login = await request(context.app).post("/api/admin/login").send({ userid: "admin", password: "secret123" }).expect(200);
+  return { ...context, auth: `Bearer ${login.body.token}` };
+};
+
+const rename = ({ app, auth }, title) => request(app).put("/api/exams/Draft").set("Authorization", auth).send({ title });
+
+describe("exam rename", () => {
+  it("moves the exam, its questions and its schedule", async () => {
+    const context = await createExamApp();
+
+    const res = await rename(context, "Final").expect(200);
+    assert.equal(res.body.questionsMoved, 2);
+
+    const documents = context.db.firestore.dump();
+    assert.deepEqual(Object.keys(documents).sort(), ["Exams/Final", "Exams/Final/Questions/q1", "Exams/Final/Questions/q2"]);
+    assert.equal(documents["Exams/Final"].description, "Typo");
+    assert.deepEqual(context.db.realtimeDatabase.dump("ExamDateTime"), { Final: SCHEDULE });
+  });
+
+  it("refuses a title that only has a schedule", async () => {
+    const context = await createExamApp({ realtimeDatabase: { ExamDateTime: { Draft: SCHEDULE, Final: SCHEDULE } } });
+
+    await rename(context, "Final").expect(409);
+    assert.ok(context.db.firestore.dump()["Exams/Draft"]);
+  });
+
+  it("refuses to rename an exam with results or extra time", async () => {
+    const context = await createExamApp({ realtimeDatabase: { ExamExtraTime: { Draft: { R1: { minutes: 10 } } } } });
+
+    const res = await rename(context, "Final").expect(409);
+    assert.deepEqual(res.body.nodes, ["ExamExtraTime"]);
+    assert.deepEqual(Object.keys(context.db.realtimeDatabase.dump("ExamDateTime")), ["Draft"]);
+  });
+
+  it("writes nothing when the new title is taken while renaming", async () => {
+    const context = await createExamApp();
+    const { firestore } = context.db;
+    const batch = firestore.batch;
+    // The title is free when checked, then another admin creates it before the commit
+    firestore.batch = () => {
+      const renaming = batch();
+      const commit = renaming.commit;
+      renaming.commit = async () => {
+        await firestore.doc("Exams/Final").set({ title: "Final" });
+        return commit();
+      };
+      return renaming;
+    };
+
+    await rename(context, "Final").expect(500);
+    assert.equal(context.db.firestore.dump()["Exams/Draft/Questions/q1"].question, "One");
+    assert.equal(context.db.firestore.dump()["Exams/Final/Questions/q1"], undefined);
+    assert.deepEqual(Object.keys(context.db.realtimeDatabase.dump("ExamDateTime")), ["Draft"]);
+  });
+});
+
+const PNG = Buffer.from("89504e470d0a1a0a", "hex");
+
+// A multipart question body, with an image when `image` is set
+const questionRequest = (pending, { image = false, ...fields } = {}) => {
+  pending.field("question", "What is 2 + 2?").field("options", JSON.stringify(["3", "4"])).field("correctAnswer", "1");
+  Object.entries(fields).forEach(([name, value]) => pending.field(name, String(value)));
+  return image ? pending.attach("image", PNG, { filename: "q.png", contentType: "image/png" }) : pending;
+};
+
+// Runs `send` with console.error silenced and the question write failing
+const withFailingWrite = async ({ repositories }, method, send) => {
+  const { exams } = repositories;
+  const [write, error] = [exams[method], console.error];
+  exams[method] = async () => {
+    throw new Error("Firestore unavailable");
+  };
+  console.error = () => {};
+  try {
+    return await send();
+  } finally {
+    exams[method] = write;
+    console.error = error;
+  }
+};
+
+// The URLs of the images stored from here on
+const recordUploads = ({ services }) => {
+  const { questionImages } = services;
+  const [upload, uploads] = [questionImages.upload, []];
+  questionImages.upload = async (...args) => {
+    const stored = await upload(...args);
+    uploads.push(stored.imageUrl);
+    return stored;
+  };
+  return uploads;
+};
+
+const fileOf = (app, imageUrl) => request(app).get(new URL(imageUrl).pathname);
+
+describe("exam question images and marks", () => {
+  it("deletes the uploaded image when adding the question fails", async () => {
+    const context = await createExamApp();
+    const { app, auth } = context;
+    const uploads = recordUploads(context);
+
+    const failed = await withFailingWrite(context, "addQuestion", () =>
+      questionRequest(request(app).post("/api/exams/Draft/questions").set("Authorization", auth), { image: true }));
+    assert.equal(failed.status, 500);
+
+    assert.equal(uploads.length, 1);
+    await fileOf(app, uploads[0]).expect(404);
+  });
+
+  it("deletes the uploaded image and keeps the old one when updating the question fails", async () => {
+    const context = await createExamApp();
+    const { app, auth } = context;
+    const added = await questionRequest(request(app).post("/api/exams/Draft/questions").set("Authorization", auth), { image: true }).expect(200);
+    const questionPath = `Exams/Draft/Questions/${added.body.questionId}`;
+    const uploads = recordUploads(context);
+
+    const failed = await withFailingWrite(context, "updateQuestion", () =>
+      questionRequest(request(app).put(`/api/exams/Draft/questions/${added.body.questionId}`).set("Authorization", auth), { image: true }));
+    assert.equal(failed.status, 500);
+
+    assert.equal(uploads.length, 1);
+    await fileOf(app, uploads[0]).expect(404);
+    await fileOf(app, added.body.imageUrl).expect(200);
+    assert.equal(context.db.firestore.dump()[questionPath].imageUrl, added.body.imageUrl);
+  });
+
+  it("keeps the question's marks unless the update sets them", async () => {
+    const context = await createExamApp();
+    const { app, auth } = context;
+    const added = await questionRequest(request(app).post("/api/exams/Draft/questions").set("Authorization", auth), { marks: 4 }).expect(200);
+    const questionPath = `Exams/Draft/Questions/${added.body.questionId}`;
+    const update = (fields) =>
+      questionRequest(request(app).put(`/api/exams/Draft/questions/${added.body.questionId}`).set("Authorization", auth), fields).expect(200);
+
+    await update({});
+    assert.equal(context.db.firestore.dump()[questionPath].marks, 4);
+
+    await update({ marks: 2 });
+    assert.equal(context.db.firestore.dump()[questionPath].marks, 2);
+  });
+});
+
+describe("exam bundle import audit", () => {
+  // The exam bundle of "Draft", as downloaded
+  const exportDraft = ({ app, auth }) => request(app).get("/api/exams/Draft/bundle").set("Authorization", auth)
+    .buffer(true).parse((res, done) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => done(null, Buffer.concat(chunks)));
+    }).expect(200);
+
+  const importAs = ({ app, auth }, bundle, title) => request(app).post("/api/exams/import-bundle").set("Authorization", auth)
+    .field("title", title).attach("bundle", bundle, { filename: "draft-bundle.zip", contentType: "application/zip" });
+
+  const newestAuditEntry = async ({ app, auth }) => {
+    // Entries are written once the response has finished
+    await new Promise((resolve) => setImmediate(resolve));
+    const res = await request(app).get("/api/audit?limit=1").set("Authorization", auth).expect(200);
+    return res.body.entries[0];
+  };
+
+  it("records the imported exam's path only when the import succeeds", async () => {
+    const context = await createExamApp();
+    const { body: bundle } = await exportDraft(context);
+
+    await importAs(context, bundle, "Draft").expect(409);
+    const rejected = await newestAuditEntry(context);
+    assert.equal(rejected.target, "Exams");
+    assert.equal(rejected.statusCode, 409);
+
+    await importAs(context, bundle, "Copy").expect(201);
+    const imported = await newestAuditEntry(context);
+    assert.equal(imported.target, "Exams/Copy");
+    assert.equal(imported.after.title, "Copy");
+  });
+});
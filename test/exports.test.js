@@ -0,0 +1,76 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const createPurchasersRepository = require("../repositories/purchasers");
+const { toCsvField } = require("../services/exports");
+const { createTestApp } = require("./support/testApp");
+const { createFakeRealtimeDatabase } = require("./support/fakeRealtimeDatabase");
+
+// CSV text (without the BOM) as rows of fields; fields here hold no line breaks
+const parseCsv = (text) => text.replace(/^\uFEFF/, "").trim().split("\r\n").map((line) =>
+  [...line.matchAll(/(?:^|,)("(?:[^"]|"")*"|[^,]*)/g)].map(([, field]) =>
+    (field.startsWith("\"") ? field.slice(1, -1).replace(/""/g, "\"") : field)));
+
+describe("toCsvField", () => {
+  it("quotes fields with commas, quotes or line breaks", () => {
+    assert.equal(toCsvField("plain"), "plain");
+    assert.equal(toCsvField("a,b"), "\"a,b\"");
+    assert.equal(toCsvField("say \"hi\""), "\"say \"\"hi\"\"\"");
+    assert.equal(toCsvField("two\nlines"), "\"two\nlines\"");
+  });
+
+  it("writes missing values as empty and nested values as JSON", () => {
+    assert.equal(toCsvField(null), "");
+    assert.equal(toCsvField(undefined), "");
+    assert.equal(toCsvField(0), "0");
+    assert.equal(toCsvField(["A", "C"]), "\"[\"\"A\"\",\"\"C\"\"]\"");
+  });
+
+  it("defuses formulas but keeps signed numbers", () => {
+    assert.equal(toCsvField("=SUM(A1:A2)"), "'=SUM(A1:A2)");
+    assert.equal(toCsvField("@cmd"), "'@cmd");
+    assert.equal(toCsvField("+91 98765 43210"), "+91 98765 43210");
+    assert.equal(toCsvField("-5"), "-5");
+  });
+});
+
+describe("purchaser exports", () => {
+  let app;
+  let auth;
+  let reads = 0;
+
+  before(async () => {
+    const purchasers = createPurchasersRepository({
+      realtimeDatabase: createFakeRealtimeDatabase({
+        practicetestpurchasedstudents: {
+          p1: { studentName: "Asha", email: "asha@example.com", category: "maths", examId: "algebra", title: "Algebra", amount: 99, coupon: "NEW10" },
+          student2: { p2: { name: "Ben", phoneNo: "9876543210", category: "maths", testTitle: "Geometry" } }
+        }
+      })
+    });
+    ({ app } = await createTestApp({
+      overrides: {
+        purchasers: {
+          ...purchasers,
+          iteratePracticeTestPurchasers: () => {
+            reads += 1;
+            return purchasers.iteratePracticeTestPurchasers();
+          }
+        }
+      }
+    }));
+    const res = await request(app).post("/api/admin/login").send({ userid: "admin", password: "secret123" }).expect(200);
+    auth = `Bearer ${res.body.token}`;
+  });
+
+  it("writes fixed columns, grouped records and unknown fields as Extra, reading the data once", async () => {
+    const res = await request(app).get("/api/practicetestpurchasedstudents?format=csv").set("Authorization", auth).expect(200);
+
+    assert.deepEqual(parseCsv(res.text), [
+      ["Record ID", "Name", "Email", "Phone", "Category", "Exam ID", "Practice Test", "Amount", "Payment ID", "Purchased At", "Extra"],
+      ["p1", "Asha", "asha@example.com", "", "maths", "algebra", "Algebra", "99", "", "", "{\"coupon\":\"NEW10\"}"],
+      ["student2/p2", "Ben", "", "9876543210", "maths", "", "Geometry", "", "", "", ""]
+    ]);
+    assert.equal(reads, 1);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestApp } = require("./support/testApp");
+
+const HOUR_MS = 60 * 60 * 1000;
+const EXAM = "Quiz";
+
+// An app whose only exam ended two hours ago, with results stored at `finishedAt`
+const createEndedExam = (finishedAt) => {
+  const endAt = Date.now() - 2 * HOUR_MS;
+  return createTestApp({
+    firestore: {
+      [`Exams/${EXAM}`]: { title: EXAM },
+      [`Exams/${EXAM}/Questions/q1`]: { question: "1 + 1?", options: ["1", "2"], correctAnswer: 1, order: 1 },
+      "candidates/R1": { exam: EXAM, candidateName: "Asha", submitted: true }
+    },
+    realtimeDatabase: {
+      ExamDateTime: { [EXAM]: { startAt: endAt - HOUR_MS, endAt, timeZone: "UTC" } },
+      Results: { [EXAM]: { R1: { score: 5, rank: 1 } } },
+      ResultComputations: { [EXAM]: { status: "completed", candidateCount: 1, finishedAt: finishedAt(endAt) } }
+    }
+  });
+};
+
+const jobOfType = async (jobs, type) => (await jobs.listJobs({ type }))[0];
+
+describe("job scheduler", () => {
+  it("keeps results an admin computed after the exam closed", async () => {
+    const { services, db } = await createEndedExam((endAt) => endAt + HOUR_MS);
+
+    await services.jobs.tick(Date.now());
+
+    const grade = await jobOfType(services.jobs, "gradeExam");
+    assert.equal(grade.status, "done");
+    assert.match(grade.result.skipped, /already computed/);
+    assert.equal(db.realtimeDatabase.dump(`Results/${EXAM}/R1/score`), 5);
+    assert.ok(await jobOfType(services.jobs, "notifyResults"));
+  });
+
+  it("recomputes results computed while the exam was open", async () => {
+    const { services, db } = await createEndedExam((endAt) => endAt - HOUR_MS / 2);
+
+    await services.jobs.tick(Date.now());
+
+    const grade = await jobOfType(services.jobs, "gradeExam");
+    assert.equal(grade.status, "done");
+    assert.equal(grade.result.candidateCount, 1);
+    assert.equal(db.realtimeDatabase.dump(`Results/${EXAM}/R1/score`), 0);
+  });
+
+  it("leaves a cancelled clean-up job cancelled and restarts a failed one", async () => {
+    const { services, db } = await createTestApp({
+      realtimeDatabase: {
+        ScheduledJobs: { expireNotifications: { type: "expireNotifications", status: "pending", runAt: Date.now() + HOUR_MS, attempts: 0 } }
+      }
+    });
+
+    await services.jobs.cancelJob("expireNotifications", "admin");
+    await services.jobs.tick(Date.now());
+    assert.equal(db.realtimeDatabase.dump("ScheduledJobs/expireNotifications/status"), "cancelled");
+
+    await db.realtimeDatabase.ref("ScheduledJobs/expireNotifications").update({ status: "failed" });
+    await services.jobs.tick(Date.now());
+    assert.equal(db.realtimeDatabase.dump("ScheduledJobs/expireNotifications/status"), "pending");
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const createPurchasersRepository = require("../repositories/purchasers");
+const createNotificationService = require("../services/notifications");
+const { createFakeRealtimeDatabase } = require("./support/fakeRealtimeDatabase");
+
+const NOW = Date.parse("2026-03-01T10:00:00Z");
+
+const NOTIFICATIONS = [
+  { id: "n1", message: "Maths update", audience: { type: "practiceTest", category: "maths", examId: "algebra" }, publishAt: 1 },
+  { id: "n2", message: "Physics notes", audience: { type: "pdfSyllabus", category: "physics", title: "optics" }, publishAt: 2 },
+  { id: "n3", message: "For everyone", publishAt: 3 }
+];
+
+// The notification service over real purchaser repositories on a fake RTDB
+const createService = (purchases, options) => {
+  const realtimeDatabase = createFakeRealtimeDatabase(purchases);
+  const purchasers = createPurchasersRepository({ realtimeDatabase });
+  const reads = { count: 0 };
+  const counting = {
+    iteratePracticeTestPurchasers: () => {
+      reads.count += 1;
+      return purchasers.iteratePracticeTestPurchasers();
+    },
+    iteratePdfSyllabusPurchasers: () => {
+      reads.count += 1;
+      return purchasers.iteratePdfSyllabusPurchasers();
+    }
+  };
+  const notifications = { list: async () => NOTIFICATIONS };
+  return { service: createNotificationService({ notifications, candidates: {}, purchasers: counting }, options), reads };
+};
+
+const messagesFor = async (service, viewer, now = NOW) =>
+  (await service.listForViewer(viewer, now)).map((notification) => notification.message).sort();
+
+describe("notification targeting", () => {
+  it("matches flat purchase records by email regardless of case", async () => {
+    const { service } = createService({
+      practicetestpurchasedstudents: {
+        p1: { email: "Asha@Example.com", category: "maths", examId: "algebra" }
+      }
+    });
+
+    assert.deepEqual(await messagesFor(service, { email: "asha@example.COM " }), ["For everyone", "Maths update"]);
+    assert.deepEqual(await messagesFor(service, { email: "ben@example.com" }), ["For everyone"]);
+  });
+
+  it("matches purchase records grouped per student by phone", async () => {
+    const { service } = createService({
+      pdfsyllabuspurchasers: {
+        student1: {
+          p1: { phoneNo: "+91 98765 43210", category: "physics", title: "optics" },
+          p2: { phoneNo: "+91 98765 43210", category: "physics", title: "waves" }
+        }
+      }
+    });
+
+    assert.deepEqual(await messagesFor(service, { phone: "9876543210" }), ["For everyone", "Physics notes"]);
+    assert.deepEqual(await messagesFor(service, { phone: "9123456789" }), ["For everyone"]);
+  });
+
+  it("matches practice tests stored by title and ignores other categories", async () => {
+    const { service } = createService({
+      practicetestpurchasedstudents: {
+        p1: { emailId: "asha@example.com", category: "maths", testTitle: "algebra" },
+        p2: { emailId: "ben@example.com", category: "science", examId: "algebra" }
+      }
+    });
+
+    assert.deepEqual(await messagesFor(service, { email: "asha@example.com" }), ["For everyone", "Maths update"]);
+    assert.deepEqual(await messagesFor(service, { email: "ben@example.com" }), ["For everyone"]);
+  });
+
+  it("scans each purchasers node once per index lifetime", async () => {
+    const { service, reads } = createService({
+      practicetestpurchasedstudents: { p1: { email: "asha@example.com", category: "maths", examId: "algebra" } }
+    }, { indexTtlMs: 1000 });
+
+    await Promise.all([
+      messagesFor(service, { email: "asha@example.com" }),
+      messagesFor(service, { email: "ben@example.com" })
+    ]);
+    assert.equal(reads.count, 2);
+
+    await messagesFor(service, { email: "asha@example.com" }, NOW + 1000);
+    assert.equal(reads.count, 4);
+  });
+
+  it("does not scan purchases for a viewer without contacts", async () => {
+    const { service, reads } = createService({});
+
+    assert.deepEqual(await messagesFor(service, { registrationNumber: "R1" }), ["For everyone"]);
+    assert.equal(reads.count, 0);
+  });
+
+  it("stops indexing after the scan limit", async () => {
+    const { service } = createService({
+      practicetestpurchasedstudents: {
+        p1: { email: "asha@example.com", category: "maths", examId: "algebra" },
+        p2: { email: "ben@example.com", category: "maths", examId: "algebra" }
+      }
+    }, { maxPurchasesScanned: 1 });
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual(await messagesFor(service, { email: "ben@example.com" }), ["For everyone"]);
+      assert.deepEqual(await messagesFor(service, { email: "asha@example.com" }), ["For everyone", "Maths update"]);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const createQuestionImportService = require("../services/questionImport");
+
+const { importQuestions } = createQuestionImportService({});
+
+const preview = (originalname, content) =>
+  importQuestions({}, { file: { originalname, buffer: Buffer.from(content) }, dryRun: true });
+
+describe("question import parsing", () => {
+  it("reads CSV columns by loose names, option letters and option columns", async () => {
+    const result = await preview("questions.csv", [
+      "Type,Question,Option 1,Option_2,option3,Correct Answer,Marks",
+      "single,\"Capital of France, in one word?\",Paris,Rome,Oslo,A,2",
+      "multiple,Primes?,2,4,5,\"A,C\",",
+      "true_false,The sky is blue,,,,true,"
+    ].join("\n"));
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.questions.map(({ row, question, type, options, correctAnswer, marks }) =>
+      ({ row, question, type, options, correctAnswer, marks })), [
+      { row: 2, question: "Capital of France, in one word?", type: "single", options: ["Paris", "Rome", "Oslo"], correctAnswer: 0, marks: 2 },
+      { row: 3, question: "Primes?", type: "multiple", options: ["2", "4", "5"], correctAnswer: [0, 2], marks: null },
+      { row: 4, question: "The sky is blue", type: "true_false", options: ["True", "False"], correctAnswer: 0, marks: null }
+    ]);
+  });
+
+  it("reads JSON questions with pipe-separated options and numeric answers", async () => {
+    const result = await preview("questions.json", JSON.stringify({
+      questions: [
+        { question: "Pick B", options: "A | B", correctAnswer: 1 },
+        { type: "numeric", question: "g?", correctAnswer: 9.81, tolerance: 0.01 }
+      ]
+    }));
+
+    assert.deepEqual(result.questions.map(({ options, correctAnswer, tolerance }) => ({ options, correctAnswer, tolerance })), [
+      { options: ["A", "B"], correctAnswer: 1, tolerance: null },
+      { options: [], correctAnswer: 9.81, tolerance: 0.01 }
+    ]);
+  });
+
+  it("reports invalid rows by row number and images without a ZIP", async () => {
+    const result = await preview("questions.csv", [
+      "question,option1,option2,correctAnswer,image",
+      "Fine,Yes,No,B,",
+      "Bad,Yes,No,C,",
+      "Pictured,Yes,No,A,map.png"
+    ].join("\n"));
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(({ row, errors }) => [row, errors.map((error) => error.field)]), [
+      [3, ["correctAnswer"]],
+      [4, ["image"]]
+    ]);
+  });
+
+  it("rejects files it cannot read", async () => {
+    assert.deepEqual(await preview("questions.txt", "hello"), { status: "invalid_file", message: "The question file must be a .csv, .xlsx or .json file" });
+    assert.equal((await preview("questions.json", "{")).status, "invalid_file");
+    assert.equal((await preview("questions.csv", "question,option1\n")).status, "invalid_file");
+  });
+});
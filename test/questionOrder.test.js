@@ -0,0 +1,48 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const createQuestionOrdering = require("../repositories/questionOrder");
+const { createFakeFirestore } = require("./support/fakeFirestore");
+
+describe("question order", () => {
+  let firestore;
+  let ordering;
+  let examRef;
+  let questionsRef;
+
+  const orders = async () => (await questionsRef.orderBy("order").get()).docs.map((doc) => [doc.id, doc.get("order")]);
+
+  beforeEach(() => {
+    firestore = createFakeFirestore({
+      "Exams/Quiz": { title: "Quiz", lastQuestionOrder: 3 },
+      "Exams/Quiz/Questions/a": { question: "A", order: 1 },
+      "Exams/Quiz/Questions/b": { question: "B", order: 2 },
+      "Exams/Quiz/Questions/c": { question: "C", order: 3 }
+    });
+    ordering = createQuestionOrdering(firestore);
+    examRef = firestore.collection("Exams").doc("Quiz");
+    questionsRef = examRef.collection("Questions");
+  });
+
+  it("renumbers questions in the given order", async () => {
+    assert.deepEqual(await ordering.reorder(examRef, questionsRef, ["c", "a", "b"]), { missing: [], unknown: [] });
+
+    assert.deepEqual(await orders(), [["c", 1], ["a", 2], ["b", 3]]);
+    assert.equal((await examRef.get()).get("lastQuestionOrder"), 3);
+  });
+
+  it("changes nothing unless every question is listed once", async () => {
+    assert.deepEqual(await ordering.reorder(examRef, questionsRef, ["c", "x", "a"]), { missing: ["b"], unknown: ["x"] });
+
+    assert.deepEqual(await orders(), [["a", 1], ["b", 2], ["c", 3]]);
+  });
+
+  it("appends after the last question and closes gaps on delete", async () => {
+    const added = await ordering.add(examRef, questionsRef, { question: "D" });
+    assert.equal(added.order, 4);
+
+    assert.equal(await ordering.remove(examRef, questionsRef, "b"), true);
+    assert.equal(await ordering.remove(examRef, questionsRef, "b"), false);
+    assert.deepEqual(await orders(), [["a", 1], ["c", 2], [added.id, 3]]);
+    assert.equal((await examRef.get()).get("lastQuestionOrder"), 3);
+  });
+});
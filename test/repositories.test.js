@@ -0,0 +1,163 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const createScheduledJobsRepository = require("../repositories/scheduledJobs");
+const createMessageOutboxRepository = require("../repositories/messageOutbox");
+const createResultsRepository = require("../repositories/results");
+const createWinnersRepository = require("../repositories/winners");
+const createAuditLogRepository = require("../repositories/auditLog");
+const { createFakeRealtimeDatabase } = require("./support/fakeRealtimeDatabase");
+
+const NOW = 1_000_000;
+const LOCK_MS = 60_000;
+
+describe("scheduled jobs repository", () => {
+  let realtimeDatabase;
+  let jobs;
+
+  beforeEach(() => {
+    realtimeDatabase = createFakeRealtimeDatabase({
+      ScheduledJobs: {
+        due: { status: "pending", runAt: NOW - 1 },
+        later: { status: "pending", runAt: NOW + 1 },
+        stuck: { status: "running", runAt: 0, attempts: 1, lockedUntil: NOW - 1 },
+        busy: { status: "running", runAt: 0, attempts: 1, lockedUntil: NOW + 1 }
+      }
+    });
+    jobs = createScheduledJobsRepository({ realtimeDatabase });
+  });
+
+  it("claims due and abandoned jobs once", async () => {
+    const first = await jobs.claim("due", { now: NOW, lockMs: LOCK_MS });
+    assert.equal(first.claimed, true);
+    assert.deepEqual(first.job, { id: "due", status: "running", runAt: NOW - 1, attempts: 1, startedAt: NOW, lockedUntil: NOW + LOCK_MS });
+
+    assert.equal((await jobs.claim("due", { now: NOW, lockMs: LOCK_MS })).claimed, false);
+    assert.equal((await jobs.claim("stuck", { now: NOW, lockMs: LOCK_MS })).job.attempts, 2);
+  });
+
+  it("leaves jobs that are not due, locked or gone", async () => {
+    assert.equal((await jobs.claim("later", { now: NOW, lockMs: LOCK_MS })).claimed, false);
+    assert.equal((await jobs.claim("busy", { now: NOW, lockMs: LOCK_MS })).claimed, false);
+    assert.deepEqual(await jobs.claim("missing", { now: NOW, lockMs: LOCK_MS }), { claimed: false, job: null });
+    assert.equal(realtimeDatabase.dump("ScheduledJobs/missing"), null);
+  });
+
+  it("cancels only pending jobs", async () => {
+    const cancelled = await jobs.cancel("later", { cancelledBy: "admin", now: NOW });
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(realtimeDatabase.dump("ScheduledJobs/later/cancelledBy"), "admin");
+
+    assert.equal((await jobs.cancel("busy", { cancelledBy: "admin", now: NOW })).status, "not_pending");
+    assert.equal((await jobs.cancel("missing", { cancelledBy: "admin", now: NOW })).status, "not_found");
+  });
+});
+
+describe("message outbox repository", () => {
+  let realtimeDatabase;
+  let outbox;
+
+  beforeEach(() => {
+    realtimeDatabase = createFakeRealtimeDatabase({
+      MessageOutbox: {
+        due: { status: "pending", nextAttemptAt: NOW - 1 },
+        retryLater: { status: "pending", nextAttemptAt: NOW + 1, attempts: 1 },
+        stuck: { status: "sending", attempts: 1, lockedUntil: NOW - 1 }
+      }
+    });
+    outbox = createMessageOutboxRepository({ realtimeDatabase });
+  });
+
+  it("stores a message only once per ID", async () => {
+    assert.equal(await outbox.createIfAbsent("new", { status: "pending", body: "first" }), true);
+    assert.equal(await outbox.createIfAbsent("new", { status: "pending", body: "second" }), false);
+    assert.equal(realtimeDatabase.dump("MessageOutbox/new/body"), "first");
+  });
+
+  it("claims due and abandoned messages once", async () => {
+    const { claimed, message } = await outbox.claim("due", { now: NOW, lockMs: LOCK_MS });
+    assert.equal(claimed, true);
+    assert.equal(message.status, "sending");
+    assert.equal(message.lockedUntil, NOW + LOCK_MS);
+
+    assert.equal((await outbox.claim("due", { now: NOW, lockMs: LOCK_MS })).claimed, false);
+    assert.equal((await outbox.claim("retryLater", { now: NOW, lockMs: LOCK_MS })).claimed, false);
+    assert.equal((await outbox.claim("stuck", { now: NOW, lockMs: LOCK_MS })).message.attempts, 2);
+  });
+
+  it("moves messages only from the expected statuses", async () => {
+    const changed = await outbox.transition("retryLater", { from: ["pending", "failed"], changes: { status: "cancelled" } });
+    assert.equal(changed.status, "changed");
+    assert.equal(changed.message.status, "cancelled");
+
+    assert.equal((await outbox.transition("stuck", { from: ["pending"], changes: { status: "cancelled" } })).status, "wrong_status");
+    assert.equal((await outbox.transition("missing", { from: ["pending"], changes: { status: "cancelled" } })).status, "not_found");
+  });
+});
+
+describe("results repository", () => {
+  it("lets one computation run at a time and keeps completed results unless forced", async () => {
+    const results = createResultsRepository({
+      realtimeDatabase: createFakeRealtimeDatabase({ ResultComputations: { Done: { status: "completed", finishedAt: 1 } } })
+    });
+
+    assert.equal((await results.startComputation("Quiz", { startedBy: "a", staleAfterMs: LOCK_MS })).acquired, true);
+    assert.equal((await results.startComputation("Quiz", { startedBy: "b", staleAfterMs: LOCK_MS })).acquired, false);
+    assert.equal((await results.startComputation("Quiz", { startedBy: "b", staleAfterMs: 0 })).acquired, true);
+
+    assert.equal((await results.startComputation("Done", { startedBy: "a", staleAfterMs: LOCK_MS })).acquired, false);
+    assert.equal((await results.startComputation("Done", { startedBy: "a", staleAfterMs: LOCK_MS, force: true })).acquired, true);
+  });
+});
+
+describe("winners repository", () => {
+  it("writes an exam's winners in one transaction and aborts on undefined", async () => {
+    const realtimeDatabase = createFakeRealtimeDatabase({ Winners: { Quiz: { R1: { rank: 1, status: "paid" } } } });
+    const winners = createWinnersRepository({ realtimeDatabase });
+
+    const aborted = await winners.transactExam("Quiz", (current) => (current && current.R1.status !== "pending" ? undefined : {}));
+    assert.deepEqual(aborted, { committed: false, winners: { R1: { rank: 1, status: "paid" } } });
+
+    const written = await winners.transactExam("Fresh", () => ({ R2: { rank: 1, status: "pending" } }));
+    assert.equal(written.committed, true);
+    assert.deepEqual(realtimeDatabase.dump("Winners/Fresh"), { R2: { rank: 1, status: "pending" } });
+
+    const { committed, winner } = await winners.transact("Quiz", "R1", (current) => current && { ...current, status: "verified" });
+    assert.equal(committed, true);
+    assert.equal(winner.status, "verified");
+  });
+});
+
+describe("audit log repository", () => {
+  // 12 entries, two per timestamp so pages split between equal timestamps
+  const seed = Object.fromEntries(Array.from({ length: 12 }, (_, index) => [
+    `e${String(index).padStart(2, "0")}`,
+    { timestamp: 100 + Math.floor(index / 2), actor: index % 3 === 0 ? "ana" : "raj", entity: "exam" }
+  ]));
+  const ids = (entries) => entries.map((entry) => entry.id);
+
+  it("returns the newest entries first, limited by the query", async () => {
+    const auditLog = createAuditLogRepository({ realtimeDatabase: createFakeRealtimeDatabase({ AuditLog: seed }) });
+
+    assert.deepEqual(ids(await auditLog.listNewest({ limit: 3 })), ["e11", "e10", "e09"]);
+    assert.deepEqual(ids(await auditLog.listNewest({ from: 101, to: 102, limit: 10 })), ["e05", "e04", "e03", "e02"]);
+  });
+
+  it("reads older pages until enough entries match", async () => {
+    const auditLog = createAuditLogRepository({ realtimeDatabase: createFakeRealtimeDatabase({ AuditLog: seed }) });
+
+    assert.deepEqual(ids(await auditLog.listNewest({ actor: "ana", limit: 3 })), ["e09", "e06", "e03"]);
+    assert.deepEqual(ids(await auditLog.listNewest({ actor: "ana", to: 104, limit: 10 })), ["e09", "e06", "e03", "e00"]);
+    assert.deepEqual(await auditLog.listNewest({ actor: "ana", entity: "winner", limit: 10 }), []);
+  });
+
+  it("pages across equal timestamps without repeating or skipping entries", async () => {
+    const many = Object.fromEntries(Array.from({ length: 1100 }, (_, index) => [
+      `e${String(index).padStart(4, "0")}`,
+      { timestamp: Math.floor(index / 2), actor: index % 250 === 0 ? "ana" : "raj" }
+    ]));
+    const auditLog = createAuditLogRepository({ realtimeDatabase: createFakeRealtimeDatabase({ AuditLog: many }) });
+
+    assert.deepEqual(ids(await auditLog.listNewest({ actor: "ana", limit: 10 })), ["e1000", "e0750", "e0500", "e0250", "e0000"]);
+    assert.equal(new Set(ids(await auditLog.listNewest({ actor: "raj", limit: 1000 }))).size, 1000);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveScheduleInput, parseClockTime } = require("../services/schedule");
+
+const fieldsOf = (result) => result.errors.map((error) => error.field);
+
+describe("schedule input", () => {
+  it("reads 12- and 24-hour clock times", () => {
+    assert.deepEqual(parseClockTime("1:45 PM"), { hours: 13, minutes: 45 });
+    assert.deepEqual(parseClockTime("12:05 am"), { hours: 0, minutes: 5 });
+    assert.deepEqual(parseClockTime("13:45"), { hours: 13, minutes: 45 });
+    assert.equal(parseClockTime("25:00"), null);
+  });
+
+  it("resolves a date and times in the exam's time zone", () => {
+    const { window } = resolveScheduleInput({ date: "2026-03-01", startTime: "10:00 AM", endTime: "12:30", timeZone: "Asia/Kolkata" }, "UTC");
+
+    assert.deepEqual(window, {
+      startAt: Date.parse("2026-03-01T04:30:00Z"),
+      endAt: Date.parse("2026-03-01T07:00:00Z"),
+      timeZone: "Asia/Kolkata"
+    });
+  });
+
+  it("reads ISO instants without an offset in the default time zone", () => {
+    const { window } = resolveScheduleInput({ startAt: "2026-03-01T10:00", endAt: "2026-03-01T11:00:00Z" }, "Asia/Kolkata");
+
+    assert.equal(window.startAt, Date.parse("2026-03-01T04:30:00Z"));
+    assert.equal(window.endAt, Date.parse("2026-03-01T11:00:00Z"));
+  });
+
+  it("reports impossible dates, bad times and unknown zones", () => {
+    assert.deepEqual(resolveScheduleInput({ date: "2025-02-30", startTime: "10:00", endTime: "11:00" }, "UTC").errors,
+      [{ field: "body.date", message: "invalid date" }]);
+    assert.deepEqual(fieldsOf(resolveScheduleInput({ date: "2026-03-01", startTime: "noon", endTime: "11:00" }, "UTC")), ["body.startTime"]);
+    assert.deepEqual(fieldsOf(resolveScheduleInput({ startAt: "tomorrow", endAt: "2026-03-01T11:00:00Z" }, "UTC")), ["body.startAt"]);
+    assert.deepEqual(fieldsOf(resolveScheduleInput({ date: "2026-03-01", startTime: "10:00", endTime: "11:00", timeZone: "Mars/Base" }, "UTC")), ["body.timeZone"]);
+  });
+
+  it("requires the end after the start", () => {
+    assert.deepEqual(resolveScheduleInput({ date: "2026-03-01", startTime: "11:00", endTime: "10:00" }, "UTC").errors,
+      [{ field: "body.endTime", message: "must be after the start" }]);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkQuestionDefinition, normalizeQuestionDefinition, isCorrectAnswer } = require("../services/questionTypes");
+const { questionMarks, scoreAnswer, scoreCandidate, assignRanks, DEFAULT_SCORING_SETTINGS } = require("../services/scoring");
+
+const OPTIONS = ["A", "B", "C", "D"];
+
+describe("question types", () => {
+  it("checks the correct answer against each type", () => {
+    assert.equal(checkQuestionDefinition({ options: OPTIONS, correctAnswer: 2 }), undefined);
+    assert.match(checkQuestionDefinition({ options: OPTIONS, correctAnswer: 4 }), /index of one of the options/);
+    assert.match(checkQuestionDefinition({ options: ["A"], correctAnswer: 0 }), /between 2 and 6/);
+    assert.match(checkQuestionDefinition({ type: "multiple", options: OPTIONS, correctAnswer: [1, 1] }), /must not repeat/);
+    assert.equal(checkQuestionDefinition({ type: "true_false", correctAnswer: true }), undefined);
+    assert.match(checkQuestionDefinition({ type: "numeric", correctAnswer: 9.81, tolerance: -1 }), /tolerance/);
+  });
+
+  it("stores every type-dependent field", () => {
+    assert.deepEqual(normalizeQuestionDefinition({ type: "multiple", options: OPTIONS, correctAnswer: [3, 0] }),
+      { type: "multiple", options: OPTIONS, correctAnswer: [0, 3], tolerance: null });
+    assert.deepEqual(normalizeQuestionDefinition({ type: "true_false", correctAnswer: false }),
+      { type: "true_false", options: ["True", "False"], correctAnswer: 1, tolerance: null });
+    assert.deepEqual(normalizeQuestionDefinition({ type: "numeric", correctAnswer: 5 }),
+      { type: "numeric", options: [], correctAnswer: 5, tolerance: 0 });
+  });
+
+  it("accepts answers sent as strings", () => {
+    assert.equal(isCorrectAnswer({ correctAnswer: 2 }, "2"), true);
+    assert.equal(isCorrectAnswer({ type: "multiple", correctAnswer: [0, 3] }, ["3", "0"]), true);
+    assert.equal(isCorrectAnswer({ type: "multiple", correctAnswer: [0, 3] }, [0]), false);
+    assert.equal(isCorrectAnswer({ type: "true_false", correctAnswer: 0 }, "true"), true);
+    assert.equal(isCorrectAnswer({ type: "numeric", correctAnswer: 9.81, tolerance: 0.01 }, "9.8"), true);
+    assert.equal(isCorrectAnswer({ type: "numeric", correctAnswer: 9.81, tolerance: 0.01 }, "9.7"), false);
+  });
+
+  it("reads questions without a type as single answer", () => {
+    assert.equal(isCorrectAnswer({ correctAnswer: 1 }, 1), true);
+  });
+});
+
+describe("scoring", () => {
+  const settings = { negativeMarkingRatio: 0.25, partialCredit: true };
+
+  it("splits the exam's total marks unless a question has its own", () => {
+    assert.deepEqual(questionMarks([{}, {}, {}, {}], 20), [5, 5, 5, 5]);
+    assert.deepEqual(questionMarks([{ marks: 2 }, {}], 20), [2, 1]);
+    assert.deepEqual(questionMarks([{}, {}], 0), [1, 1]);
+  });
+
+  it("penalizes wrong answers and gives partial credit", () => {
+    const multiple = { type: "multiple", correctAnswer: [0, 2] };
+    assert.deepEqual(scoreAnswer({ correctAnswer: 1 }, { answer: 1 }, 4, settings), { outcome: "correct", marks: 4 });
+    assert.deepEqual(scoreAnswer({ correctAnswer: 1 }, { answer: 0 }, 4, settings), { outcome: "wrong", marks: -1 });
+    assert.deepEqual(scoreAnswer({ correctAnswer: 1 }, { answer: "" }, 4, settings), { outcome: "skipped", marks: 0 });
+    assert.deepEqual(scoreAnswer(multiple, { answer: [2] }, 4, settings), { outcome: "partial", marks: 2 });
+    assert.deepEqual(scoreAnswer(multiple, { answer: [1, 2] }, 4, settings), { outcome: "wrong", marks: -1 });
+    assert.deepEqual(scoreAnswer(multiple, { answer: [2] }, 4, DEFAULT_SCORING_SETTINGS).outcome, "partial");
+    assert.deepEqual(scoreAnswer(multiple, { answer: [2] }, 4, { ...settings, partialCredit: false }).outcome, "wrong");
+  });
+
+  it("totals a candidate's answers matched by order", () => {
+    const questions = [{ order: 1, correctAnswer: 0 }, { order: 2, correctAnswer: 1 }, { order: 3, correctAnswer: 2 }];
+    const answers = [{ order: 1, answer: 0 }, { order: 2, answer: 3 }];
+
+    assert.deepEqual(scoreCandidate(questions, answers, { settings, marks: [1, 1, 1] }), {
+      totalQuestions: 3,
+      correctAnswers: 1,
+      partialAnswers: 0,
+      skippedQuestions: 1,
+      wrongAnswers: 1,
+      score: 0.75,
+      maxScore: 3,
+      percentage: 25
+    });
+  });
+
+  it("ranks equal scores together", () => {
+    const ranked = assignRanks([{ score: 5 }, { score: 9 }, { score: 5 }, { score: 1 }]);
+    assert.deepEqual(ranked.map((result) => result.rank), [2, 1, 2, 4]);
+  });
+});
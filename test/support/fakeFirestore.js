@@ -0,0 +1,283 @@
+const { isDeepStrictEqual } = require("util");
+const { FieldPath, FieldValue, Timestamp } = require("firebase-admin").firestore;
+
+/**
+ * A Firestore stand-in that keeps documents in a Map by path, so the real
+ * repositories (see repositories/index.js) run against it unchanged.
+ *
+ * It covers the document, collection, query, batch and transaction methods
+ * the repositories use. Server timestamps resolve to the current time and
+ * FieldValue.delete() removes the field. Transactions buffer their writes
+ * and apply them together when the callback resolves.
+ */
+const SERVER_TIMESTAMP = FieldValue.serverTimestamp();
+const DELETE_FIELD = FieldValue.delete();
+
+const copy = (value) => {
+  if (value instanceof Timestamp) return value;
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, copy(child)]));
+  }
+  return value;
+};
+
+const resolveSentinels = (data) => Object.fromEntries(Object.entries(data)
+  .filter(([, value]) => !(value instanceof FieldValue && value.isEqual(DELETE_FIELD)))
+  .map(([key, value]) => {
+    if (value instanceof FieldValue && value.isEqual(SERVER_TIMESTAMP)) return [key, Timestamp.now()];
+    if (value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Timestamp)) {
+      return [key, resolveSentinels(value)];
+    }
+    return [key, copy(value)];
+  }));
+
+const getField = (data, field) => {
+  const path = field instanceof FieldPath ? field.toString() : field;
+  return String(path).split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), data);
+};
+
+const compare = (a, b) => {
+  const toComparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+  const [x, y] = [toComparable(a), toComparable(b)];
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+};
+
+const OPERATORS = {
+  "==": (value, operand) => isDeepStrictEqual(value, operand),
+  "!=": (value, operand) => !isDeepStrictEqual(value, operand),
+  "<": (value, operand) => compare(value, operand) < 0,
+  "<=": (value, operand) => compare(value, operand) <= 0,
+  ">": (value, operand) => compare(value, operand) > 0,
+  ">=": (value, operand) => compare(value, operand) >= 0,
+  in: (value, operand) => operand.some((item) => isDeepStrictEqual(value, item)),
+  "array-contains": (value, operand) => Array.isArray(value) && value.some((item) => isDeepStrictEqual(item, operand))
+};
+
+const createFakeFirestore = (initial = {}) => {
+  const documents = new Map();
+  let nextId = 0;
+
+  const isDocumentId = (field) => field instanceof FieldPath && field.isEqual(FieldPath.documentId());
+
+  const createSnapshot = (ref) => {
+    const data = documents.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : copy(data)),
+      get: (field) => (data === undefined ? undefined : copy(getField(data, field)))
+    };
+  };
+
+  const applySet = (path, data, options = {}) => {
+    const base = options.merge ? documents.get(path) || {} : {};
+    const merge = (target, source) => {
+      const result = { ...target };
+      Object.entries(source).forEach(([key, value]) => {
+        if (value instanceof FieldValue && value.isEqual(DELETE_FIELD)) {
+          delete result[key];
+        } else if (options.merge && value && typeof value === "object" && !Array.isArray(value) &&
+          !(value instanceof FieldValue) && !(value instanceof Timestamp) && result[key] && typeof result[key] === "object") {
+          result[key] = merge(result[key], value);
+        } else {
+          result[key] = resolveSentinels({ value }).value;
+        }
+      });
+      return result;
+    };
+    documents.set(path, merge(base, data));
+  };
+
+  const applyUpdate = (path, updates) => {
+    if (!documents.has(path)) {
+      const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+      error.code = 5;
+      throw error;
+    }
+    const data = copy(documents.get(path));
+    Object.entries(updates).forEach(([fieldPath, value]) => {
+      const keys = fieldPath.split(".");
+      const parent = keys.slice(0, -1).reduce((node, key) => {
+        if (!node[key] || typeof node[key] !== "object") node[key] = {};
+        return node[key];
+      }, data);
+      const last = keys[keys.length - 1];
+      if (value instanceof FieldValue && value.isEqual(DELETE_FIELD)) delete parent[last];
+      else parent[last] = resolveSentinels({ value }).value;
+    });
+    documents.set(path, data);
+  };
+
+  const createQuery = (collectionPath, params = { filters: [], orderBy: [] }) => {
+    const withParams = (changes) => createQuery(collectionPath, { ...params, ...changes });
+
+    const run = () => {
+      const prefix = `${collectionPath}/`;
+      let refs = [...documents.keys()]
+        .filter((path) => path.startsWith(prefix) && !path.slice(prefix.length).includes("/"))
+        .map((path) => createDocRef(path));
+
+      refs = refs.filter((ref) => params.filters.every(({ field, op, value }) =>
+        OPERATORS[op](isDocumentId(field) ? ref.id : getField(documents.get(ref.path), field), value)));
+
+      const sortValue = (ref, field) => (isDocumentId(field) ? ref.id : getField(documents.get(ref.path), field));
+      const orderBy = params.orderBy.length > 0 ? params.orderBy : [{ field: FieldPath.documentId(), direction: "asc" }];
+      refs.sort((a, b) => {
+        for (const { field, direction } of orderBy) {
+          const result = compare(sortValue(a, field), sortValue(b, field));
+          if (result !== 0) return direction === "desc" ? -result : result;
+        }
+        return compare(a.id, b.id);
+      });
+      // Like Firestore, ordering by a field leaves out documents without it
+      params.orderBy.forEach(({ field }) => {
+        if (!isDocumentId(field)) refs = refs.filter((ref) => getField(documents.get(ref.path), field) !== undefined);
+      });
+
+      if (params.startAfter !== undefined) {
+        const cursor = params.startAfter;
+        const index = refs.findIndex((ref) => compare(sortValue(ref, orderBy[0].field), cursor) > 0);
+        refs = index === -1 ? [] : refs.slice(index);
+      }
+      if (params.limit !== undefined) refs = refs.slice(0, params.limit);
+
+      const docs = refs.map(createSnapshot);
+      return { docs, empty: docs.length === 0, size: docs.length, forEach: (callback) => docs.forEach(callback) };
+    };
+
+    return {
+      where: (field, op, value) => withParams({ filters: [...params.filters, { field, op, value }] }),
+      orderBy: (field, direction = "asc") => withParams({ orderBy: [...params.orderBy, { field, direction }] }),
+      limit: (count) => withParams({ limit: count }),
+      startAfter: (value) => withParams({ startAfter: value && value.id !== undefined && value.ref ? value.id : value }),
+      count: () => ({ get: async () => ({ data: () => ({ count: run().size }) }) }),
+      get: async () => run(),
+      _run: run
+    };
+  };
+
+  const createCollectionRef = (path) => ({
+    ...createQuery(path),
+    id: path.split("/").pop(),
+    path,
+    doc: (id) => createDocRef(`${path}/${id ?? `fake${String(++nextId).padStart(8, "0")}`}`),
+    add: async (data) => {
+      const ref = createDocRef(`${path}/fake${String(++nextId).padStart(8, "0")}`);
+      applySet(ref.path, data);
+      return ref;
+    },
+    // Like Firestore, includes documents that only exist through subcollections
+    listDocuments: async () => {
+      const prefix = `${path}/`;
+      const ids = new Set([...documents.keys()]
+        .filter((docPath) => docPath.startsWith(prefix))
+        .map((docPath) => docPath.slice(prefix.length).split("/")[0]));
+      return [...ids].sort().map((id) => createDocRef(`${prefix}${id}`));
+    }
+  });
+
+  const createDocRef = (path) => ({
+    id: path.split("/").pop(),
+    path,
+    collection: (name) => createCollectionRef(`${path}/${name}`),
+    get: async () => createSnapshot(createDocRef(path)),
+    set: async (data, options) => applySet(path, data, options),
+    update: async (updates) => applyUpdate(path, updates),
+    delete: async () => {
+      documents.delete(path);
+    }
+  });
+
+  const isDocRef = (target) => !target._run;
+
+  const createWriteBuffer = () => {
+    const writes = [];
+    return {
+      create: (ref, data) => writes.push(() => {
+        if (documents.has(ref.path)) {
+          const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${ref.path}`);
+          error.code = 6;
+          throw error;
+        }
+        applySet(ref.path, data);
+      }),
+      set: (ref, data, options) => writes.push(() => applySet(ref.path, data, options)),
+      update: (ref, updates) => writes.push(() => applyUpdate(ref.path, updates)),
+      delete: (ref) => writes.push(() => documents.delete(ref.path)),
+      // All or nothing, as a committed batch is
+      apply: () => {
+        const saved = new Map([...documents].map(([path, data]) => [path, copy(data)]));
+        try {
+          writes.forEach((write) => write());
+        } catch (error) {
+          documents.clear();
+          saved.forEach((data, path) => documents.set(path, data));
+          throw error;
+        }
+      }
+    };
+  };
+
+  Object.entries(initial).forEach(([path, data]) => applySet(path, data));
+
+  return {
+    collection: (path) => createCollectionRef(path),
+    doc: (path) => createDocRef(path),
+    getAll: async (...refs) => refs.map(createSnapshot),
+    batch: () => {
+      const buffer = createWriteBuffer();
+      const batch = {
+        create: (ref, data) => {
+          buffer.create(ref, data);
+          return batch;
+        },
+        set: (ref, data, options) => {
+          buffer.set(ref, data, options);
+          return batch;
+        },
+        update: (ref, updates) => {
+          buffer.update(ref, updates);
+          return batch;
+        },
+        delete: (ref) => {
+          buffer.delete(ref);
+          return batch;
+        },
+        commit: async () => buffer.apply()
+      };
+      return batch;
+    },
+    runTransaction: async (callback) => {
+      const buffer = createWriteBuffer();
+      const transaction = {
+        get: async (target) => (isDocRef(target) ? createSnapshot(target) : target._run()),
+        set: (ref, data, options) => {
+          buffer.set(ref, data, options);
+          return transaction;
+        },
+        update: (ref, updates) => {
+          buffer.update(ref, updates);
+          return transaction;
+        },
+        delete: (ref) => {
+          buffer.delete(ref);
+          return transaction;
+        }
+      };
+      const result = await callback(transaction);
+      buffer.apply();
+      return result;
+    },
+    // Stored documents by path, for assertions
+    dump: () => Object.fromEntries([...documents].map(([path, data]) => [path, copy(data)]))
+  };
+};
+
+module.exports = {
+  createFakeFirestore
+};
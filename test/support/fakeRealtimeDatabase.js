@@ -0,0 +1,174 @@
+/**
+ * A Realtime Database stand-in that keeps one JSON tree in memory, so the
+ * real repositories (see repositories/index.js) run against it unchanged.
+ *
+ * It covers the Reference and Query methods the repositories use. Like RTDB,
+ * writing null or an empty object removes a node, arrays are stored as
+ * objects with index keys and read back as arrays, server timestamps resolve
+ * to Date.now(), and a transaction first runs `apply` on null (the SDK has no
+ * local copy without a listener), retrying on the stored value when they differ.
+ */
+const { isDeepStrictEqual } = require("util");
+
+const copy = (value) => (value === undefined || value === null ? null : structuredClone(value));
+
+// RTDB reads an object whose keys are mostly array indexes back as an array
+const toReadValue = (value) => {
+  if (!value || typeof value !== "object") {
+    return value ?? null;
+  }
+  const keys = Object.keys(value);
+  const children = Object.fromEntries(keys.map((key) => [key, toReadValue(value[key])]));
+  const indexes = keys.every((key) => /^(0|[1-9]\d*)$/.test(key)) ? keys.map(Number) : null;
+  if (!indexes || Math.max(...indexes) >= 2 * keys.length) {
+    return children;
+  }
+  return Array.from({ length: Math.max(...indexes) + 1 }, (_, index) => children[index] ?? null);
+};
+
+const splitPath = (path) => String(path ?? "").split("/").filter(Boolean);
+
+// Resolve server values and prune nulls and empty objects, as RTDB stores a write
+const stored = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== "object") {
+    return value;
+  }
+  if (value[".sv"] === "timestamp") {
+    return Date.now();
+  }
+  const entries = Object.entries(Array.isArray(value) ? { ...value } : value)
+    .map(([key, child]) => [key, stored(child)])
+    .filter(([, child]) => child !== null);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// RTDB child ordering: null, false, true, numbers, strings, objects; ties by key
+const TYPE_RANK = { undefined: 0, boolean: 1, number: 2, string: 3, object: 4 };
+const compareValues = (a, b) => {
+  const rankA = a === null ? 0 : TYPE_RANK[typeof a];
+  const rankB = b === null ? 0 : TYPE_RANK[typeof b];
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 4 || rankA === 0) return 0;
+  return compareKeys(a, b);
+};
+
+const createSnapshot = (key, value, orderedKeys) => ({
+  key,
+  val: () => toReadValue(copy(value)),
+  exists: () => value !== null && value !== undefined,
+  numChildren: () => (value && typeof value === "object" ? Object.keys(value).length : 0),
+  forEach: (callback) => {
+    const keys = orderedKeys || (value && typeof value === "object" ? Object.keys(value).sort(compareKeys) : []);
+    return keys.some((childKey) => callback(createSnapshot(childKey, value[childKey])) === true);
+  }
+});
+
+const createFakeRealtimeDatabase = (initial = {}) => {
+  let root = stored(initial);
+  let nextPushId = 0;
+
+  const read = (segments) => segments.reduce((node, segment) => (node && typeof node === "object" ? node[segment] ?? null : null), root);
+
+  const write = (segments, value) => {
+    const build = (node, index) => {
+      if (index === segments.length) {
+        return stored(value);
+      }
+      const children = node && typeof node === "object" ? { ...node } : {};
+      children[segments[index]] = build(children[segments[index]] ?? null, index + 1);
+      return stored(children);
+    };
+    root = build(root, 0);
+  };
+
+  const createQuery = (segments, params) => {
+    const withParam = (changes) => createQuery(segments, { ...params, ...changes });
+
+    const run = () => {
+      const value = read(segments);
+      const children = value && typeof value === "object" ? Object.entries(value) : [];
+      const sortValue = ([key, child]) => (params.orderBy === "key" ? key : child?.[params.orderBy] ?? null);
+      const compare = (a, b) => (params.orderBy === "key" ? compareKeys(a[0], b[0]) : compareValues(sortValue(a), sortValue(b)) || compareKeys(a[0], b[0]));
+
+      let matched = children.sort(compare).filter((entry) => {
+        const sortKey = sortValue(entry);
+        // Bounds are { value, key }; the key breaks ties between equal values
+        const cmp = (bound) => (params.orderBy === "key"
+          ? compareKeys(sortKey, bound.value)
+          : compareValues(sortKey, bound.value) || (bound.key === undefined ? 0 : compareKeys(entry[0], bound.key)));
+        if (params.equalTo !== undefined && cmp(params.equalTo) !== 0) return false;
+        if (params.startAt !== undefined && cmp(params.startAt) < 0) return false;
+        if (params.startAfter !== undefined && cmp(params.startAfter) <= 0) return false;
+        if (params.endAt !== undefined && cmp(params.endAt) > 0) return false;
+        return true;
+      });
+      if (params.limitToFirst !== undefined) matched = matched.slice(0, params.limitToFirst);
+      if (params.limitToLast !== undefined) matched = matched.slice(-params.limitToLast);
+
+      const result = matched.length > 0 ? Object.fromEntries(matched) : null;
+      return createSnapshot(segments[segments.length - 1] ?? null, result, matched.map(([key]) => key));
+    };
+
+    return {
+      orderByKey: () => withParam({ orderBy: "key" }),
+      orderByChild: (field) => withParam({ orderBy: field }),
+      equalTo: (value, key) => withParam({ equalTo: { value, key } }),
+      startAt: (value, key) => withParam({ startAt: { value, key } }),
+      startAfter: (value, key) => withParam({ startAfter: { value, key } }),
+      endAt: (value, key) => withParam({ endAt: { value, key } }),
+      limitToFirst: (count) => withParam({ limitToFirst: count }),
+      limitToLast: (count) => withParam({ limitToLast: count }),
+      once: async () => run()
+    };
+  };
+
+  const createRef = (segments) => {
+    return {
+      ...createQuery(segments, {}),
+      key: segments[segments.length - 1] ?? null,
+      child: (childPath) => createRef([...segments, ...splitPath(childPath)]),
+      once: async () => createSnapshot(segments[segments.length - 1] ?? null, read(segments)),
+      set: async (value) => write(segments, value),
+      remove: async () => write(segments, null),
+      update: async (updates) => {
+        Object.entries(updates).forEach(([childPath, value]) => write([...segments, ...splitPath(childPath)], value));
+      },
+      push: (value) => {
+        const key = `-fake${String(++nextPushId).padStart(8, "0")}`;
+        const ref = createRef([...segments, key]);
+        return value === undefined ? ref : Object.assign(ref.set(value), { key });
+      },
+      transaction: async (apply) => {
+        let assumed = null;
+        for (;;) {
+          const next = apply(toReadValue(copy(assumed)));
+          if (next === undefined) {
+            return { committed: false, snapshot: createSnapshot(segments[segments.length - 1], assumed) };
+          }
+
+          const current = read(segments);
+          if (isDeepStrictEqual(current, assumed)) {
+            write(segments, next);
+            return { committed: true, snapshot: createSnapshot(segments[segments.length - 1], read(segments)) };
+          }
+          assumed = copy(current);
+        }
+      }
+    };
+  };
+
+  return {
+    ref: (path) => createRef(splitPath(path)),
+    // The whole tree or the value at a path, for assertions
+    dump: (path) => copy(read(splitPath(path)))
+  };
+};
+
+module.exports = {
+  createFakeRealtimeDatabase
+};
@@ -0,0 +1,67 @@
+const createApp = require("../../app");
+const createRepositories = require("../../repositories");
+const { createMemoryStorage } = require("../../storage");
+const { hashPassword } = require("../../auth/passwords");
+const { createFakeFirestore } = require("./fakeFirestore");
+const { createFakeRealtimeDatabase } = require("./fakeRealtimeDatabase");
+
+const TEST_CONFIG = {
+  auth: { tokenSecret: "test-secret", accessTokenTtlSeconds: 60, sessionTtlSeconds: 600 },
+  scheduling: { timeZone: "UTC" },
+  scheduler: { enabled: false, pollSeconds: 60, gradeDelayMinutes: 15, notifyBeforeMinutes: 30, notificationRetentionDays: 30 },
+  messaging: { pollSeconds: 30 },
+  questionPaper: { fontPath: null }
+};
+
+// A message provider that keeps what it is asked to send
+const createRecordingProvider = (driver) => {
+  const sent = [];
+  return {
+    driver,
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      return { providerMessageId: `${driver}-${sent.length}` };
+    }
+  };
+};
+
+/**
+ * The app over the real repositories on in-memory Firestore and Realtime
+ * Database fakes, with memory storage and recording email and SMS providers.
+ *
+ * `admins` is { userid: { role, password } }. `firestore` seeds documents by
+ * path ({ "candidates/R1": candidate }) and `realtimeDatabase` seeds the
+ * RTDB tree ({ Winners: { examTitle: { registrationNumber: winner } } }).
+ * `overrides` replaces individual repositories.
+ */
+const createTestApp = async ({
+  admins = { admin: { role: "superadmin", password: "secret123" } },
+  firestore: firestoreSeed = {},
+  realtimeDatabase: realtimeDatabaseSeed = {},
+  overrides = {}
+} = {}) => {
+  const adminUsers = {};
+  for (const [userid, { role, password }] of Object.entries(admins)) {
+    adminUsers[userid] = { userid, name: userid, role, passwordHash: await hashPassword(password) };
+  }
+
+  const db = {
+    firestore: createFakeFirestore(firestoreSeed),
+    realtimeDatabase: createFakeRealtimeDatabase({ ...realtimeDatabaseSeed, AdminUsers: adminUsers })
+  };
+  const repositories = { ...createRepositories(db), ...overrides };
+  const messageProviders = { email: createRecordingProvider("test-email"), sms: createRecordingProvider("test-sms") };
+  const app = createApp({
+    repositories,
+    storage: createMemoryStorage({ publicBaseUrl: "http://localhost" }),
+    messageProviders,
+    config: TEST_CONFIG
+  });
+
+  return { app, db, repositories, messageProviders, services: app.locals.services };
+};
+
+module.exports = {
+  createTestApp
+};
@@ -0,0 +1,38 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { rankForWinners } = require("../services/winners");
+
+const ranks = (ranked) => ranked.map(({ registrationNumber, rank }) => [registrationNumber, rank]);
+
+describe("winner ranking", () => {
+  it("breaks score ties by wrong answers, then by submission time", () => {
+    const ranked = rankForWinners([
+      { registrationNumber: "R1", score: 8, wrongAnswers: 2, submittedAt: 100 },
+      { registrationNumber: "R2", score: 8, wrongAnswers: 1, submittedAt: 300 },
+      { registrationNumber: "R3", score: 8, wrongAnswers: 1, submittedAt: 200 },
+      { registrationNumber: "R4", score: 9, wrongAnswers: 5, submittedAt: 400 }
+    ], 4);
+
+    assert.deepEqual(ranks(ranked), [["R4", 1], ["R3", 2], ["R2", 3], ["R1", 4]]);
+  });
+
+  it("puts unknown submission times last", () => {
+    const ranked = rankForWinners([
+      { registrationNumber: "R1", score: 5, wrongAnswers: 0 },
+      { registrationNumber: "R2", score: 5, wrongAnswers: 0, submittedAt: 900 }
+    ], 2);
+
+    assert.deepEqual(ranks(ranked), [["R2", 1], ["R1", 2]]);
+  });
+
+  it("keeps everyone tied at the last rank", () => {
+    const ranked = rankForWinners([
+      { registrationNumber: "R3", score: 7, wrongAnswers: 0, submittedAt: 50 },
+      { registrationNumber: "R1", score: 9, wrongAnswers: 0, submittedAt: 10 },
+      { registrationNumber: "R2", score: 7, wrongAnswers: 0, submittedAt: 50 },
+      { registrationNumber: "R4", score: 3, wrongAnswers: 0, submittedAt: 5 }
+    ], 2);
+
+    assert.deepEqual(ranks(ranked), [["R1", 1], ["R2", 2], ["R3", 2]]);
+  });
+});
@@ -0,0 +1,8 @@
+// Utility function to sanitize filename for storage
+const sanitizeFilename = (filename) => {
+  return filename
+    .replace(/[^a-zA-Z0-9.-]/g, '_') // Replace non-alphanumeric chars with underscore
+    .replace(/_{2,}/g, '_');         // Replace multiple underscore with single one
+};
+
+module.exports = sanitizeFilename;
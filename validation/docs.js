@@ -0,0 +1,115 @@
+// Build an OpenAPI 3 document from the route schemas
+
+const SCALAR_TYPES = ["string", "number", "integer", "boolean", "array", "object"];
+
+// Convert a field spec into an OpenAPI schema object
+const toOpenApiSchema = (spec) => {
+  if (spec.type === "json") {
+    return spec.schema ? toOpenApiSchema(spec.schema) : {};
+  }
+
+  const schema = {};
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+
+  if (types.length > 1) {
+    schema.oneOf = types.filter((type) => SCALAR_TYPES.includes(type)).map((type) => ({ type }));
+  } else if (SCALAR_TYPES.includes(types[0])) {
+    schema.type = types[0];
+  }
+
+  if (spec.description) schema.description = spec.description;
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.default !== undefined) schema.default = spec.default;
+  if (spec.pattern) schema.pattern = spec.pattern.source;
+  if (spec.minLength !== undefined) schema.minLength = spec.minLength;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.minItems !== undefined) schema.minItems = spec.minItems;
+  if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+  if (spec.items) schema.items = toOpenApiSchema(spec.items);
+  if (spec.properties) Object.assign(schema, toObjectSchema(spec.properties));
+
+  return schema;
+};
+
+const toObjectSchema = (fields, files = {}) => {
+  const properties = {};
+  const required = [];
+
+  Object.entries(fields).forEach(([name, spec]) => {
+    properties[name] = toOpenApiSchema(spec);
+    if (spec.required) required.push(name);
+  });
+
+  Object.entries(files).forEach(([name, description]) => {
+    properties[name] = { type: "string", format: "binary", description };
+  });
+
+  return required.length > 0
+    ? { type: "object", properties, required }
+    : { type: "object", properties };
+};
+
+const toParameters = (fields, location) =>
+  Object.entries(fields || {}).map(([name, spec]) => ({
+    name,
+    in: location,
+    required: location === "path" || Boolean(spec.required),
+    description: spec.description,
+    schema: toOpenApiSchema(spec)
+  }));
+
+// Express "/api/exams/:examTitle" -> OpenAPI "/api/exams/{examTitle}"
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+
+const buildApiDocs = (schemas, info = {}) => {
+  const paths = {};
+
+  Object.entries(schemas).forEach(([operationId, schema]) => {
+    const path = toOpenApiPath(schema.path);
+    const operation = {
+      operationId,
+      summary: schema.summary,
+      parameters: [
+        ...toParameters(schema.params, "path"),
+        ...toParameters(schema.query, "query")
+      ],
+      responses: {
+        200: { description: "Success" },
+        400: { description: "Validation failed; `fields` lists each invalid field" }
+      }
+    };
+
+    if (schema.body || schema.files) {
+      const contentType = schema.consumes || "application/json";
+      operation.requestBody = {
+        required: true,
+        content: {
+          [contentType]: { schema: toObjectSchema(schema.body || {}, schema.files) }
+        }
+      };
+    }
+
+    paths[path] = paths[path] || {};
+    paths[path][schema.method] = operation;
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: info.title || "Exam admin API",
+      version: info.version || "1.0.0"
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer" }
+      }
+    },
+    paths
+  };
+};
+
+module.exports = {
+  buildApiDocs
+};
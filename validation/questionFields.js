@@ -0,0 +1,43 @@
+const { QUESTION_TYPES, MIN_OPTIONS, MAX_OPTIONS, checkQuestionDefinition } = require("../services/questionTypes");
+
+const requiredString = (description) => ({ type: "string", required: true, minLength: 1, description });
+
+// Fields shared by the main exam and practice-test question routes (multipart bodies)
+// and by each row of a bulk question import. Which options/correctAnswer/tolerance are valid depends on `type` (services/questionTypes).
+const questionBody = {
+  type: {
+    type: "string",
+    enum: QUESTION_TYPES,
+    default: "single",
+    description: "Question type"
+  },
+  question: requiredString("Question text"),
+  options: {
+    type: "json",
+    description: `JSON array of ${MIN_OPTIONS}-${MAX_OPTIONS} answer options (single and multiple; ignored for true_false and numeric)`,
+    schema: { type: "array", items: { type: "string" } }
+  },
+  correctAnswer: {
+    type: "json",
+    required: true,
+    description: "Option index (single), JSON array of option indexes (multiple), true/false (true_false) or a number (numeric)",
+    check: (correctAnswer, body) => checkQuestionDefinition({ ...body, correctAnswer })
+  },
+  tolerance: {
+    type: "number",
+    min: 0,
+    description: "Accepted distance from correctAnswer (numeric only, default 0)"
+  },
+  marks: {
+    type: "number",
+    min: 0,
+    description: "Marks for this question (default: 1, or the exam's total marks split evenly)"
+  }
+};
+
+const compressImage = { type: "boolean", default: false, description: "Resize and recompress the image" };
+
+module.exports = {
+  questionBody,
+  compressImage
+};
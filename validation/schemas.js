@@ -0,0 +1,978 @@
+/**
+ * Request schemas for every API route.
+ *
+ * Each entry is used by the validate() middleware on its route and is also
+ * the source for the generated API docs (GET /api/docs), so `method`, `path`
+ * and `summary` must match the route it is attached to.
+ */
+const { ROLES } = require("../auth/roles");
+const { EXAM_STATUSES } = require("../services/examStatus");
+const { WINNER_STATUSES } = require("../services/winnerStatus");
+const { EXPORT_FORMATS } = require("../services/exports");
+const { PAPER_SETS } = require("../services/questionPaper");
+const { isTimeZone, parseClockTime } = require("../services/schedule");
+const { MAX_EXTRA_TIME_MINUTES } = require("../services/examWindow");
+const { JOB_TYPES, JOB_STATUSES } = require("../services/jobs");
+const { MESSAGE_CHANNELS, MESSAGE_STATUSES } = require("../services/messaging");
+const { TEMPLATE_NAMES } = require("../services/messageTemplates");
+const { PRIORITIES, AUDIENCE_TYPES, NOTIFICATION_STATES, toEpochMs, checkAudience } = require("../services/notifications");
+const { questionBody, compressImage } = require("./questionFields");
+
+// Firestore document IDs and RTDB keys cannot contain these characters
+const firestoreId = (description) => ({
+  type: "string",
+  required: true,
+  pattern: /^(?!\.\.?$)[^/]+$/,
+  patternMessage: "must not contain '/'",
+  description
+});
+
+const rtdbKey = (description) => ({
+  type: "string",
+  required: true,
+  pattern: /^[^.$#[\]/]+$/,
+  patternMessage: "must not contain '.', '$', '#', '[', ']' or '/'",
+  description
+});
+
+const requiredString = (description) => ({ type: "string", required: true, minLength: 1, description });
+
+const DATE_YMD = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bulk question import (multipart: file plus optional images ZIP)
+const questionImportFiles = {
+  file: "Questions as .csv, .xlsx or .json (see services/questionImport.js for the columns)",
+  images: "Optional .zip of the images named in the file's image column"
+};
+const questionImportBody = {
+  dryRun: { type: "boolean", default: false, description: "Validate and preview the questions without saving them" },
+  compressImage
+};
+
+// Printable question papers and answer keys
+const questionPaperQuery = {
+  set: { type: "string", enum: PAPER_SETS, description: "Shuffle the questions into this set (omit for the `order` sequence)" },
+  shuffleOptions: { type: "boolean", default: false, description: "Also shuffle the options of single/multiple questions within the set" }
+};
+const answerKeyQuery = {
+  sets: {
+    type: "string",
+    pattern: new RegExp(`^[${PAPER_SETS.join("")}](,[${PAPER_SETS.join("")}])*$`),
+    patternMessage: `must be a comma-separated list of ${PAPER_SETS.join(", ")}`,
+    description: "Sets to include, e.g. A,B,C (omit for the `order` sequence)"
+  },
+  shuffleOptions: questionPaperQuery.shuffleOptions
+};
+
+// Exam bundle imports (multipart: the bundle .zip)
+const bundleFiles = { bundle: "Exam bundle .zip exported from a main exam or practice test" };
+const bundleImportBody = {
+  includeSchedule: { type: "boolean", default: true, description: "Also copy the bundle's date, times, marks and price" },
+  compressImage
+};
+
+// Either startAt/endAt or date with startTime/endTime (see services/schedule.js)
+const clockTime = (description) => ({
+  type: "string",
+  check: (value) => (parseClockTime(value) ? undefined : "must be a 12-hour (1:45 PM) or 24-hour (13:45) time"),
+  description
+});
+
+const scheduleBody = {
+  startAt: { type: "string", description: "Start as ISO 8601 (2025-03-01T10:00:00+05:30); without an offset it is read in timeZone" },
+  endAt: { type: "string", description: "End as ISO 8601; must be after startAt" },
+  date: {
+    type: "string",
+    pattern: DATE_YMD,
+    patternMessage: "must be a date in YYYY-MM-DD format",
+    description: "Exam date (YYYY-MM-DD), when startAt/endAt are not given"
+  },
+  startTime: clockTime("Start time on date, 12-hour (1:45 PM) or 24-hour (13:45)"),
+  endTime: clockTime("End time on date, 12-hour or 24-hour; must be after startTime"),
+  timeZone: {
+    type: "string",
+    check: (value) => (isTimeZone(value) ? undefined : "must be an IANA time zone such as Asia/Kolkata"),
+    description: "IANA time zone the exam is held in (defaults to EXAM_TIME_ZONE)"
+  },
+  marks: { type: "number", required: true, min: 0, description: "Total marks" },
+  price: { type: "number", required: true, min: 0, description: "Price" },
+  allowOverlap: { type: "boolean", default: false, description: "Save even if the window overlaps another exam's" }
+};
+
+const examStatusField = {
+  type: "string",
+  enum: EXAM_STATUSES,
+  description: "Exam lifecycle status"
+};
+
+// List endpoints that can also be downloaded as a spreadsheet
+const exportQuery = {
+  format: { type: "string", enum: EXPORT_FORMATS, default: "json", description: "json for the usual response, csv or xlsx to download a file" }
+};
+
+// Notification fields (see services/notifications.js)
+const instant = (description) => ({
+  type: ["string", "number"],
+  check: (value) => (toEpochMs(value) === null ? "must be an ISO 8601 date-time or epoch milliseconds" : undefined),
+  description
+});
+
+const notificationFields = {
+  title: { type: "string", maxLength: 200, description: "Heading shown above the message" },
+  message: { type: "string", minLength: 1, maxLength: 2000, description: "Notification text" },
+  priority: { type: "string", enum: PRIORITIES, description: "Display priority (default normal)" },
+  link: {
+    type: "string",
+    maxLength: 2000,
+    pattern: /^https?:\/\/\S+$/i,
+    patternMessage: "must be an http(s) URL",
+    description: "URL opened from the notification"
+  },
+  audience: {
+    type: "object",
+    properties: {
+      type: { type: "string", required: true, enum: AUDIENCE_TYPES, description: "Who sees it" },
+      category: { type: "string", description: "practiceTest and pdfSyllabus: the category" },
+      examId: { type: "string", description: "practiceTest: the practice exam ID" },
+      title: { type: "string", description: "pdfSyllabus: the syllabus title" },
+      examTitle: { type: "string", description: "exam: the main exam whose candidates see it" }
+    },
+    check: checkAudience,
+    description: "Who sees the notification (default everyone)"
+  },
+  publishAt: instant("When it is first shown, ISO 8601 or epoch ms (default now)"),
+  expireAt: instant("When it stops being shown, ISO 8601 or epoch ms (default never)")
+};
+
+const examIncludeField = { type: "string", enum: ["questions"], description: "Set to 'questions' to embed each exam's ordered questions" };
+
+const examParams = { examTitle: firestoreId("Exam title (Exams document ID)") };
+const candidateRegistration = rtdbKey("Candidate registration number (candidates document ID)");
+const extraTimeParams = { ...examParams, registrationNumber: candidateRegistration };
+const examQuestionParams = { ...examParams, questionId: firestoreId("Question document ID") };
+const practiceExamParams = {
+  category: firestoreId("Practice test category"),
+  examId: firestoreId("Practice exam ID")
+};
+const practiceQuestionParams = { ...practiceExamParams, questionId: firestoreId("Question document ID") };
+
+// Body of the question reorder routes: every question ID once, in the new order.
+// Reordering runs in one transaction (max 500 writes), hence maxItems.
+const reorderBody = {
+  questionIds: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    maxItems: 400,
+    items: { type: "string", minLength: 1, pattern: /^[^/]+$/, patternMessage: "must not contain '/'" },
+    check: (ids) => (new Set(ids).size !== ids.length ? "must not contain duplicate IDs" : undefined),
+    description: "Question IDs in their new order (first gets order 1)"
+  }
+};
+
+const idParams = (description) => ({ id: rtdbKey(description) });
+
+const schemas = {
+  apiDocs: {
+    method: "get",
+    path: "/api/docs",
+    summary: "OpenAPI document generated from these schemas"
+  },
+
+  // Admin auth and users
+  adminLogin: {
+    method: "post",
+    path: "/api/admin/login",
+    summary: "Log in and start an admin session",
+    body: {
+      userid: requiredString("Admin user ID"),
+      password: requiredString("Password")
+    }
+  },
+  adminRefresh: {
+    method: "post",
+    path: "/api/admin/refresh",
+    summary: "Exchange a refresh token for a new access token",
+    body: { refreshToken: requiredString("Refresh token from login or a previous refresh") }
+  },
+  adminLogout: {
+    method: "post",
+    path: "/api/admin/logout",
+    summary: "End the current admin session"
+  },
+  adminSession: {
+    method: "get",
+    path: "/api/admin/session",
+    summary: "Current admin session details"
+  },
+  listAdminRoles: {
+    method: "get",
+    path: "/api/admin/roles",
+    summary: "List the available admin roles"
+  },
+  listAdminUsers: {
+    method: "get",
+    path: "/api/admin/users",
+    summary: "List admin accounts"
+  },
+  createAdminUser: {
+    method: "post",
+    path: "/api/admin/users",
+    summary: "Create an admin account",
+    body: {
+      userid: {
+        type: "string",
+        required: true,
+        pattern: /^[A-Za-z0-9_-]{3,64}$/,
+        patternMessage: "must be 3-64 letters, digits, '_' or '-'",
+        description: "Login user ID"
+      },
+      password: { type: "string", required: true, minLength: 8, description: "Password" },
+      role: { type: "string", required: true, enum: Object.keys(ROLES), description: "Role name" },
+      name: { type: "string", description: "Display name" }
+    }
+  },
+  updateAdminUser: {
+    method: "put",
+    path: "/api/admin/users/:userid",
+    summary: "Update an admin account",
+    params: { userid: rtdbKey("Admin user ID") },
+    body: {
+      password: { type: "string", minLength: 8, description: "New password" },
+      role: { type: "string", enum: Object.keys(ROLES), description: "New role name" },
+      name: { type: "string", description: "Display name" },
+      disabled: { type: "boolean", description: "Disable or re-enable the account" }
+    }
+  },
+  deleteAdminUser: {
+    method: "delete",
+    path: "/api/admin/users/:userid",
+    summary: "Delete an admin account",
+    params: { userid: rtdbKey("Admin user ID") }
+  },
+  queryAuditLog: {
+    method: "get",
+    path: "/api/audit",
+    summary: "Query the audit trail of admin mutations",
+    query: {
+      actor: { type: "string", description: "Admin user ID" },
+      entity: { type: "string", description: "Audited entity name (e.g. examQuestion)" },
+      from: { type: "string", description: "Start of range, ISO 8601 or epoch ms" },
+      to: { type: "string", description: "End of range, ISO 8601 or epoch ms" },
+      limit: { type: "integer", min: 1, max: 1000, default: 100, description: "Maximum entries returned" }
+    }
+  },
+
+  // Scheduled jobs
+  listJobs: {
+    method: "get",
+    path: "/api/jobs",
+    summary: "List the scheduler's jobs (auto-grading, exam notifications, clean-up)",
+    query: {
+      status: { type: "string", enum: JOB_STATUSES, description: "Only jobs with this status" },
+      type: { type: "string", enum: JOB_TYPES, description: "Only jobs of this type" }
+    }
+  },
+  getJob: {
+    method: "get",
+    path: "/api/jobs/:id",
+    summary: "Get one scheduled job",
+    params: idParams("Job ID")
+  },
+  cancelJob: {
+    method: "post",
+    path: "/api/jobs/:id/cancel",
+    summary: "Cancel a pending job",
+    params: idParams("Job ID")
+  },
+
+  // Outbound email and SMS
+  listMessages: {
+    method: "get",
+    path: "/api/messages",
+    summary: "List outbox messages, newest first",
+    query: {
+      status: { type: "string", enum: MESSAGE_STATUSES, description: "Only messages with this status" },
+      channel: { type: "string", enum: MESSAGE_CHANNELS, description: "Only messages sent on this channel" },
+      template: { type: "string", enum: TEMPLATE_NAMES, description: "Only messages of this template" }
+    }
+  },
+  getMessage: {
+    method: "get",
+    path: "/api/messages/:id",
+    summary: "Get one outbox message",
+    params: idParams("Message ID")
+  },
+  retryMessage: {
+    method: "post",
+    path: "/api/messages/:id/retry",
+    summary: "Send a failed or cancelled message again",
+    params: idParams("Message ID")
+  },
+  cancelMessage: {
+    method: "post",
+    path: "/api/messages/:id/cancel",
+    summary: "Cancel a message that has not been sent",
+    params: idParams("Message ID")
+  },
+
+  // Main exams
+  listExams: {
+    method: "get",
+    path: "/api/exams",
+    summary: "List exams a page at a time, ordered by title",
+    query: {
+      limit: { type: "integer", min: 1, max: 100, default: 20, description: "Exams per page" },
+      cursor: { ...firestoreId("nextCursor from the previous page"), required: false },
+      status: examStatusField,
+      date: { type: "string", pattern: DATE_YMD, patternMessage: "must be a date in YYYY-MM-DD format", description: "Only exams scheduled on this date" },
+      include: examIncludeField
+    }
+  },
+  getExam: {
+    method: "get",
+    path: "/api/exams/:examTitle",
+    summary: "Get one exam",
+    params: examParams,
+    query: {
+      include: examIncludeField
+    }
+  },
+  listExamSummaries: {
+    method: "get",
+    path: "/api/exams/summary",
+    summary: "List exams with their status, schedule and question count (no questions)"
+  },
+  createExam: {
+    method: "post",
+    path: "/api/exams",
+    summary: "Create an exam",
+    body: {
+      // Exam titles are both Firestore document IDs and ExamDateTime keys
+      title: rtdbKey("Exam title"),
+      description: { type: "string", default: "", maxLength: 2000, description: "Exam description" },
+      status: { ...examStatusField, default: "draft" }
+    }
+  },
+  updateExam: {
+    method: "put",
+    path: "/api/exams/:examTitle",
+    summary: "Update an exam; a new title renames it with its questions and schedule",
+    params: examParams,
+    body: {
+      title: { ...rtdbKey("New exam title"), required: false },
+      description: { type: "string", maxLength: 2000, description: "Exam description" },
+      status: examStatusField
+    }
+  },
+  updateExamSettings: {
+    method: "put",
+    path: "/api/exams/:examTitle/settings",
+    summary: "Update an exam's scoring settings",
+    params: examParams,
+    body: {
+      negativeMarkingRatio: { type: "number", min: 0, max: 1, description: "Share of a question's marks deducted for a wrong answer" },
+      partialCredit: { type: "boolean", description: "Give multiple-answer questions partial marks" }
+    }
+  },
+  deleteExam: {
+    method: "delete",
+    path: "/api/exams/:examTitle",
+    summary: "Delete an exam with its questions, images and schedule",
+    params: examParams
+  },
+  createExamQuestion: {
+    method: "post",
+    path: "/api/exams/:examTitle/questions",
+    summary: "Add a question to an exam",
+    consumes: "multipart/form-data",
+    files: { image: "Optional question image" },
+    params: examParams,
+    body: {
+      ...questionBody,
+      compressImage
+    }
+  },
+  updateExamQuestion: {
+    method: "put",
+    path: "/api/exams/:examTitle/questions/:questionId",
+    summary: "Update an exam question",
+    consumes: "multipart/form-data",
+    files: { image: "Optional replacement image" },
+    params: examQuestionParams,
+    body: {
+      ...questionBody,
+      compressImage
+    }
+  },
+  migrateExamImages: {
+    method: "post",
+    path: "/api/exams/migrate-images",
+    summary: "Move inline base64 question images into storage",
+    body: {
+      examTitle: { ...firestoreId("Only migrate this exam (default: every exam)"), required: false },
+      dryRun: { type: "boolean", default: false, description: "Report what would be migrated without changing anything" },
+      compressImage
+    }
+  },
+  getExamQuestionPaper: {
+    method: "get",
+    path: "/api/exams/:examTitle/question-paper",
+    summary: "Download an exam's questions as a printable PDF, optionally shuffled into a set",
+    params: examParams,
+    query: questionPaperQuery
+  },
+  getExamAnswerKey: {
+    method: "get",
+    path: "/api/exams/:examTitle/answer-key",
+    summary: "Download the answer key PDF of an exam's question paper sets",
+    params: examParams,
+    query: answerKeyQuery
+  },
+  exportExamBundle: {
+    method: "get",
+    path: "/api/exams/:examTitle/bundle",
+    summary: "Download an exam with its questions, images and schedule as a bundle .zip",
+    params: examParams
+  },
+  importExamBundle: {
+    method: "post",
+    path: "/api/exams/import-bundle",
+    summary: "Create an exam from a bundle exported from an exam or practice test",
+    consumes: "multipart/form-data",
+    files: bundleFiles,
+    body: {
+      title: rtdbKey("Title of the new exam"),
+      ...bundleImportBody
+    }
+  },
+  importExamQuestions: {
+    method: "post",
+    path: "/api/exams/:examTitle/questions/import",
+    summary: "Add questions to an exam from a CSV, XLSX or JSON file",
+    consumes: "multipart/form-data",
+    files: questionImportFiles,
+    params: examParams,
+    body: questionImportBody
+  },
+  reorderExamQuestions: {
+    method: "put",
+    path: "/api/exams/:examTitle/questions/reorder",
+    summary: "Reorder an exam's questions",
+    params: examParams,
+    body: reorderBody
+  },
+  deleteExamQuestion: {
+    method: "delete",
+    path: "/api/exams/:examTitle/questions/:questionId",
+    summary: "Delete an exam question",
+    params: examQuestionParams
+  },
+  saveExamDateTime: {
+    method: "post",
+    path: "/api/exams/:examTitle/date-time",
+    summary: "Save an exam's schedule, marks and price; rejects windows overlapping another exam",
+    params: examParams,
+    body: scheduleBody
+  },
+  getExamDateTime: {
+    method: "get",
+    path: "/api/exams/:examTitle/date-time",
+    summary: "Get an exam's date and time",
+    params: examParams
+  },
+  computeTodayExamResults: {
+    method: "get",
+    path: "/api/today-exam-results",
+    summary: "Grade every exam scheduled today and store the results"
+  },
+  computeExamResults: {
+    method: "post",
+    path: "/api/exams/:examTitle/results/compute",
+    summary: "Grade an exam and store its results (at most one run at a time)",
+    params: examParams,
+    body: {
+      force: { type: "boolean", default: false, description: "Recompute even if results are already stored" },
+      notify: { type: "boolean", default: false, description: "Email/SMS each candidate their result (once per computation)" }
+    }
+  },
+  getExamResults: {
+    method: "get",
+    path: "/api/exams/:examTitle/results",
+    summary: "Stored results of an exam, ordered by rank",
+    params: examParams
+  },
+  getExamAnalytics: {
+    method: "get",
+    path: "/api/exams/:examTitle/analytics",
+    summary: "Item analysis per question: percent correct, option distribution, skip rate, discrimination and distractors",
+    params: examParams
+  },
+  listAllExamResults: {
+    method: "get",
+    path: "/api/all-exam-results",
+    summary: "List stored results of every exam",
+    query: exportQuery
+  },
+
+  // Exam windows and extra time
+  getExamStatus: {
+    method: "get",
+    path: "/api/exams/:examTitle/status",
+    summary: "Get whether an exam is upcoming, live or closed, with a countdown from the server clock",
+    params: examParams,
+    query: {
+      registrationNumber: { ...candidateRegistration, required: false, description: "Include this candidate's extra time" }
+    }
+  },
+  listCandidateExamQuestions: {
+    method: "get",
+    path: "/api/candidate/exams/:examTitle/questions",
+    summary: "List an exam's questions for one of its candidates, only while the exam is live for them",
+    params: examParams,
+    query: { registrationNumber: candidateRegistration }
+  },
+  listCandidateExamAnswers: {
+    method: "get",
+    path: "/api/candidate/exams/:examTitle/answers",
+    summary: "List a candidate's saved answers, only while the exam is live for them",
+    params: examParams,
+    query: { registrationNumber: candidateRegistration }
+  },
+  listExtraTime: {
+    method: "get",
+    path: "/api/exams/:examTitle/extra-time",
+    summary: "List the candidates granted extra time on an exam",
+    params: examParams
+  },
+  grantExtraTime: {
+    method: "put",
+    path: "/api/exams/:examTitle/extra-time/:registrationNumber",
+    summary: "Give a candidate extra minutes after the exam's end",
+    params: extraTimeParams,
+    body: {
+      minutes: { type: "integer", required: true, min: 1, max: MAX_EXTRA_TIME_MINUTES, description: "Minutes added to the end of the exam for this candidate" },
+      reason: { type: "string", maxLength: 500, description: "Why the extra time was granted" }
+    }
+  },
+  revokeExtraTime: {
+    method: "delete",
+    path: "/api/exams/:examTitle/extra-time/:registrationNumber",
+    summary: "Remove a candidate's extra time",
+    params: extraTimeParams
+  },
+
+  // Notifications
+  createNotification: {
+    method: "post",
+    path: "/api/notifications",
+    summary: "Create a notification, optionally targeted and scheduled",
+    body: {
+      ...notificationFields,
+      message: { ...notificationFields.message, required: true },
+      createdAt: { type: ["string", "number"], description: "Ignored; the server records the creation time (kept for older clients)" }
+    }
+  },
+  listNotifications: {
+    method: "get",
+    path: "/api/notifications",
+    summary: "List notifications, newest first",
+    query: {
+      state: { type: "string", enum: NOTIFICATION_STATES, description: "Only scheduled, published or expired notifications" },
+      audience: { type: "string", enum: AUDIENCE_TYPES, description: "Only notifications with this audience type" }
+    }
+  },
+  getNotification: {
+    method: "get",
+    path: "/api/notifications/:id",
+    summary: "Get one notification",
+    params: idParams("Notification ID")
+  },
+  listCandidateNotifications: {
+    method: "get",
+    path: "/api/candidate/notifications",
+    summary: "List the published notifications meant for one student",
+    query: {
+      registrationNumber: { ...candidateRegistration, required: false, description: "Exam registration number, for exam notifications" },
+      email: { type: "string", maxLength: 320, description: "Email used for purchases, for practice test and PDF syllabus notifications" },
+      phone: { type: "string", maxLength: 32, description: "Phone used for purchases, for practice test and PDF syllabus notifications" }
+    }
+  },
+  updateNotification: {
+    method: "put",
+    path: "/api/notifications/:id",
+    summary: "Update some fields of a notification",
+    params: idParams("Notification ID"),
+    body: notificationFields
+  },
+  deleteNotification: {
+    method: "delete",
+    path: "/api/notifications/:id",
+    summary: "Delete a notification",
+    params: idParams("Notification ID")
+  },
+
+  // Syllabus links and exam Q&A
+  createSyllabus: {
+    method: "post",
+    path: "/api/syllabus",
+    summary: "Save a syllabus link",
+    body: {
+      examTitle: requiredString("Exam title"),
+      syllabusLink: requiredString("Syllabus URL")
+    }
+  },
+  listSyllabus: {
+    method: "get",
+    path: "/api/syllabus",
+    summary: "List syllabus links"
+  },
+  updateSyllabus: {
+    method: "put",
+    path: "/api/syllabus/:id",
+    summary: "Update a syllabus link",
+    params: idParams("Syllabus ID"),
+    body: {
+      examTitle: requiredString("Exam title"),
+      syllabusLink: requiredString("Syllabus URL")
+    }
+  },
+  deleteSyllabus: {
+    method: "delete",
+    path: "/api/syllabus/:id",
+    summary: "Delete a syllabus link",
+    params: idParams("Syllabus ID")
+  },
+  createExamQA: {
+    method: "post",
+    path: "/api/exam-qa",
+    summary: "Save an exam Q&A link",
+    body: {
+      examTitle: requiredString("Exam title"),
+      qaLink: requiredString("Q&A URL")
+    }
+  },
+
+  // Concerns, candidates and winners
+  listConcerns: {
+    method: "get",
+    path: "/api/concerns",
+    summary: "List candidate concerns"
+  },
+  deleteConcern: {
+    method: "delete",
+    path: "/api/concerns/:id",
+    summary: "Delete a concern",
+    params: { id: firestoreId("Concern document ID") }
+  },
+  listCandidates: {
+    method: "get",
+    path: "/api/candidates",
+    summary: "List candidates",
+    query: exportQuery
+  },
+  deleteCandidates: {
+    method: "delete",
+    path: "/api/candidates",
+    summary: "Delete every candidate and their sub-collections"
+  },
+  listWinners: {
+    method: "get",
+    path: "/api/winners",
+    summary: "List winners grouped by exam"
+  },
+  previewWinners: {
+    method: "post",
+    path: "/api/exams/:examTitle/winners/preview",
+    summary: "Rank an exam's results (score, fewer wrong answers, earlier submission) and preview the top N winners",
+    params: examParams,
+    body: {
+      topN: { type: "integer", min: 1, max: 1000, default: 10, description: "Number of winners (ties at the last rank are all included)" }
+    }
+  },
+  commitWinners: {
+    method: "post",
+    path: "/api/exams/:examTitle/winners/commit",
+    summary: "Save a winner preview to the exam's winners",
+    params: examParams,
+    body: {
+      previewId: rtdbKey("ID returned by the preview"),
+      replace: { type: "boolean", default: false, description: "Overwrite winners already saved for this exam, if all are still pending" }
+    }
+  },
+  updateWinnerStatus: {
+    method: "put",
+    path: "/api/winners/status",
+    summary: "Update a winner's status",
+    body: {
+      examTitle: rtdbKey("Exam title"),
+      registrationNumber: rtdbKey("Candidate registration number"),
+      status: { type: "string", required: true, enum: WINNER_STATUSES, description: "New status; must be an allowed next step" },
+      paymentReference: { type: "string", maxLength: 200, description: "Payment/transaction reference" },
+      note: { type: "string", maxLength: 2000, description: "Note stored with the history entry" }
+    }
+  },
+  listWinnersByStatus: {
+    method: "get",
+    path: "/api/winners/by-status",
+    summary: "List winners across exams, filtered by workflow status",
+    query: {
+      status: { type: "string", enum: WINNER_STATUSES, description: "Only winners with this status" },
+      examTitle: { ...rtdbKey("Only winners of this exam"), required: false }
+    }
+  },
+
+  // Practice test categories and tests
+  createCategory: {
+    method: "post",
+    path: "/api/categories",
+    summary: "Create a practice test category",
+    body: { name: requiredString("Category name") }
+  },
+  listCategories: {
+    method: "get",
+    path: "/api/categories",
+    summary: "List practice test categories"
+  },
+  updateCategory: {
+    method: "put",
+    path: "/api/categories/:id",
+    summary: "Rename a practice test category",
+    params: idParams("Category ID"),
+    body: { name: requiredString("Category name") }
+  },
+  deleteCategory: {
+    method: "delete",
+    path: "/api/categories/:id",
+    summary: "Delete a practice test category",
+    params: idParams("Category ID")
+  },
+  createPracticeTest: {
+    method: "post",
+    path: "/api/practice-tests",
+    summary: "Create a practice test",
+    body: {
+      category: rtdbKey("Category name"),
+      title: rtdbKey("Practice test title"),
+      fees: { type: "number", min: 0, default: 0, description: "Fees" },
+      duration: { type: ["string", "number"], description: "Duration" },
+      timeLimit: { type: ["string", "number"], description: "Time limit" }
+    }
+  },
+  listPracticeTests: {
+    method: "get",
+    path: "/api/practice-tests",
+    summary: "List practice tests grouped by category"
+  },
+  listCategoryPracticeTests: {
+    method: "get",
+    path: "/api/practice-tests/:category",
+    summary: "List the practice tests of a category",
+    params: { category: rtdbKey("Category name") }
+  },
+  deletePracticeTest: {
+    method: "delete",
+    path: "/api/practice-tests/:category/:title",
+    summary: "Delete a practice test",
+    params: {
+      category: rtdbKey("Category name"),
+      title: rtdbKey("Practice test title")
+    }
+  },
+  createPracticeQuestion: {
+    method: "post",
+    path: "/api/practice-tests/:category/:examId/questions",
+    summary: "Add a question to a practice test",
+    consumes: "multipart/form-data",
+    files: { image: "Optional question image" },
+    params: practiceExamParams,
+    body: {
+      ...questionBody,
+      compressImage
+    }
+  },
+  updatePracticeQuestion: {
+    method: "put",
+    path: "/api/practice-tests/:category/:examId/questions/:questionId",
+    summary: "Update a practice test question",
+    consumes: "multipart/form-data",
+    files: { image: "Optional replacement image" },
+    params: practiceQuestionParams,
+    body: {
+      ...questionBody,
+      compressImage
+    }
+  },
+  getPracticeQuestionPaper: {
+    method: "get",
+    path: "/api/practice-tests/:category/:examId/question-paper",
+    summary: "Download a practice test's questions as a printable PDF, optionally shuffled into a set",
+    params: practiceExamParams,
+    query: questionPaperQuery
+  },
+  getPracticeAnswerKey: {
+    method: "get",
+    path: "/api/practice-tests/:category/:examId/answer-key",
+    summary: "Download the answer key PDF of a practice test's question paper sets",
+    params: practiceExamParams,
+    query: answerKeyQuery
+  },
+  exportPracticeBundle: {
+    method: "get",
+    path: "/api/practice-tests/:category/:examId/bundle",
+    summary: "Download a practice test with its questions, images and schedule as a bundle .zip",
+    params: practiceExamParams
+  },
+  importPracticeBundle: {
+    method: "post",
+    path: "/api/practice-tests/:category/import-bundle",
+    summary: "Create a practice test in a category from a bundle exported from an exam or practice test",
+    consumes: "multipart/form-data",
+    files: bundleFiles,
+    params: { category: rtdbKey("Practice test category") },
+    body: {
+      examId: rtdbKey("Title (exam ID) of the new practice test"),
+      ...bundleImportBody
+    }
+  },
+  importPracticeQuestions: {
+    method: "post",
+    path: "/api/practice-tests/:category/:examId/questions/import",
+    summary: "Add questions to a practice test from a CSV, XLSX or JSON file",
+    consumes: "multipart/form-data",
+    files: questionImportFiles,
+    params: practiceExamParams,
+    body: questionImportBody
+  },
+  reorderPracticeQuestions: {
+    method: "put",
+    path: "/api/practice-tests/:category/:examId/questions/reorder",
+    summary: "Reorder a practice test's questions",
+    params: practiceExamParams,
+    body: reorderBody
+  },
+  deletePracticeQuestion: {
+    method: "delete",
+    path: "/api/practice-tests/:category/:examId/questions/:questionId",
+    summary: "Delete a practice test question",
+    params: practiceQuestionParams
+  },
+  listPracticeQuestions: {
+    method: "get",
+    path: "/api/practice-tests/:category/:examId/questions",
+    summary: "List a practice test's questions in order",
+    params: practiceExamParams
+  },
+  savePracticeDateTime: {
+    method: "post",
+    path: "/api/practice-tests/:category/:examId/date-time",
+    summary: "Save a practice test's schedule, marks and price; rejects windows overlapping another test in the category",
+    params: practiceExamParams,
+    body: scheduleBody
+  },
+  getPracticeDateTime: {
+    method: "get",
+    path: "/api/practice-tests/:category/:examId/date-time",
+    summary: "Get a practice test's date and time",
+    params: practiceExamParams
+  },
+  listPracticeTestPurchasers: {
+    method: "get",
+    path: "/api/practicetestpurchasedstudents",
+    summary: "List students who purchased practice tests",
+    query: exportQuery
+  },
+
+  // PDF syllabi
+  createPdfSyllabusCategory: {
+    method: "post",
+    path: "/api/pdfsyllabuscategories",
+    summary: "Create a PDF syllabus category",
+    body: { name: requiredString("Category name") }
+  },
+  listPdfSyllabusCategories: {
+    method: "get",
+    path: "/api/pdfsyllabuscategories",
+    summary: "List PDF syllabus categories"
+  },
+  updatePdfSyllabusCategory: {
+    method: "put",
+    path: "/api/pdfsyllabuscategories/:id",
+    summary: "Rename a PDF syllabus category",
+    params: idParams("Category ID"),
+    body: { name: requiredString("Category name") }
+  },
+  deletePdfSyllabusCategory: {
+    method: "delete",
+    path: "/api/pdfsyllabuscategories/:id",
+    summary: "Delete a PDF syllabus category",
+    params: idParams("Category ID")
+  },
+  createPdfSyllabus: {
+    method: "post",
+    path: "/api/pdf-syllabi",
+    summary: "Upload a PDF syllabus",
+    consumes: "multipart/form-data",
+    files: { pdfFile: "PDF file (required, max 10 MB)" },
+    body: {
+      category: requiredString("Category name"),
+      title: requiredString("Syllabus title"),
+      fees: { type: "number", min: 0, default: 0, description: "Fees" },
+      duration: { type: "integer", min: 1, description: "Access duration in days" }
+    }
+  },
+  updatePdfSyllabus: {
+    method: "put",
+    path: "/api/pdf-syllabi/:category/:title",
+    summary: "Update a PDF syllabus's details",
+    params: {
+      category: requiredString("Current category"),
+      title: requiredString("Current title")
+    },
+    body: {
+      newCategory: requiredString("New category"),
+      newTitle: requiredString("New title"),
+      fees: { type: "number", min: 0, default: 0, description: "Fees" },
+      duration: { type: "integer", min: 1, description: "Access duration in days" }
+    }
+  },
+  replacePdfSyllabusFile: {
+    method: "put",
+    path: "/api/pdf-syllabi/:category/:title/file",
+    summary: "Replace a PDF syllabus's file",
+    consumes: "multipart/form-data",
+    files: { pdfFile: "PDF file (required, max 10 MB)" },
+    params: {
+      category: requiredString("Category"),
+      title: requiredString("Title")
+    }
+  },
+  listPdfSyllabi: {
+    method: "get",
+    path: "/api/pdf-syllabi",
+    summary: "List PDF syllabi grouped by category"
+  },
+  listCategoryPdfSyllabi: {
+    method: "get",
+    path: "/api/pdf-syllabi/category/:category",
+    summary: "List the PDF syllabi of a category",
+    params: { category: requiredString("Category") }
+  },
+  deletePdfSyllabus: {
+    method: "delete",
+    path: "/api/pdf-syllabi/:category/:title",
+    summary: "Delete a PDF syllabus and its file",
+    params: {
+      category: requiredString("Category"),
+      title: requiredString("Title")
+    }
+  },
+  listPdfSyllabusPurchasers: {
+    method: "get",
+    path: "/api/pdfsyllabuspurchasers",
+    summary: "List PDF syllabus purchasers",
+    query: exportQuery
+  }
+};
+
+module.exports = schemas;
@@ -0,0 +1,223 @@
+/**
+ * Declarative request validation.
+ *
+ * A route schema has optional `params`, `query` and `body` sections, each a
+ * map of field name -> field spec:
+ *
+ *   type       "string" | "number" | "integer" | "boolean" | "array" | "object" | "json" | "any",
+ *              or an array of types
+ *   required   field must be present (not undefined, null or "")
+ *   default    value used when the field is absent
+ *   enum       list of allowed values
+ *   pattern    RegExp a string must match (patternMessage overrides the message)
+ *   minLength / maxLength   string length bounds
+ *   min / max               number bounds
+ *   minItems / maxItems     array length bounds
+ *   items      field spec applied to each array item
+ *   properties map of field specs applied to an object
+ *   schema     for "json": spec applied to the parsed value
+ *   check      (value, section) => message | undefined for cross-field rules
+ *
+ * Multipart and query values arrive as strings, so numbers, integers and
+ * booleans are coerced from their string forms. "json" fields accept either
+ * a JSON string or an already-parsed value.
+ */
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+const describeType = (type) => (Array.isArray(type) ? type.join(" or ") : type);
+
+// Coerce a single value to a scalar type; returns { value } or { error }
+const coerceType = (type, value) => {
+  switch (type) {
+    case "any":
+      return { value };
+    case "string":
+      return typeof value === "string" ? { value } : { error: "must be a string" };
+    case "number": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      return typeof number === "number" && Number.isFinite(number)
+        ? { value: number }
+        : { error: "must be a number" };
+    }
+    case "integer": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      return Number.isInteger(number) ? { value: number } : { error: "must be an integer" };
+    }
+    case "boolean":
+      if (typeof value === "boolean") return { value };
+      if (value === "true") return { value: true };
+      if (value === "false") return { value: false };
+      return { error: "must be a boolean" };
+    case "array":
+      return Array.isArray(value) ? { value } : { error: "must be an array" };
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? { value }
+        : { error: "must be an object" };
+    case "json":
+      if (typeof value !== "string") return { value };
+      try {
+        return { value: JSON.parse(value) };
+      } catch (error) {
+        return { error: "must be valid JSON" };
+      }
+    default:
+      return { error: `has an unknown schema type "${type}"` };
+  }
+};
+
+// Validate one value against a field spec, collecting { field, message } errors
+const validateValue = (spec, value, field, errors) => {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type || "any"];
+
+  let result = null;
+  for (const type of types) {
+    const attempt = coerceType(type, value);
+    if (!attempt.error) {
+      result = attempt;
+      break;
+    }
+    result = result || attempt;
+  }
+
+  if (result.error) {
+    errors.push({
+      field,
+      message: types.length > 1 ? `must be of type ${describeType(spec.type)}` : result.error
+    });
+    return value;
+  }
+
+  let coerced = result.value;
+
+  if (spec.type === "json" && spec.schema) {
+    return validateValue(spec.schema, coerced, field, errors);
+  }
+
+  if (typeof coerced === "string") {
+    if (spec.trim !== false) coerced = coerced.trim();
+    if (spec.minLength !== undefined && coerced.length < spec.minLength) {
+      errors.push({ field, message: `must be at least ${spec.minLength} characters` });
+    }
+    if (spec.maxLength !== undefined && coerced.length > spec.maxLength) {
+      errors.push({ field, message: `must be at most ${spec.maxLength} characters` });
+    }
+    if (spec.pattern && !spec.pattern.test(coerced)) {
+      errors.push({ field, message: spec.patternMessage || `must match ${spec.pattern}` });
+    }
+  }
+
+  if (typeof coerced === "number") {
+    if (spec.min !== undefined && coerced < spec.min) {
+      errors.push({ field, message: `must be at least ${spec.min}` });
+    }
+    if (spec.max !== undefined && coerced > spec.max) {
+      errors.push({ field, message: `must be at most ${spec.max}` });
+    }
+  }
+
+  if (spec.enum && !spec.enum.includes(coerced)) {
+    errors.push({ field, message: `must be one of: ${spec.enum.join(", ")}` });
+  }
+
+  if (Array.isArray(coerced)) {
+    if (spec.minItems !== undefined && coerced.length < spec.minItems) {
+      errors.push({ field, message: `must contain at least ${spec.minItems} items` });
+    }
+    if (spec.maxItems !== undefined && coerced.length > spec.maxItems) {
+      errors.push({ field, message: `must contain at most ${spec.maxItems} items` });
+    }
+    if (spec.items) {
+      coerced = coerced.map((item, index) =>
+        validateValue(spec.items, item, `${field}[${index}]`, errors)
+      );
+    }
+  }
+
+  if (spec.properties && coerced && typeof coerced === "object" && !Array.isArray(coerced)) {
+    coerced = validateSection(spec.properties, coerced, field, errors);
+  }
+
+  return coerced;
+};
+
+// Validate every field of a section (params, query, body or a nested object)
+const validateSection = (fields, source, prefix, errors) => {
+  const values = { ...(source || {}) };
+
+  Object.entries(fields).forEach(([name, spec]) => {
+    const field = `${prefix}.${name}`;
+    const value = values[name];
+
+    if (isMissing(value)) {
+      if (spec.default !== undefined) {
+        values[name] = spec.default;
+      } else if (spec.required) {
+        errors.push({ field, message: "is required" });
+      } else {
+        delete values[name];
+      }
+      return;
+    }
+
+    values[name] = validateValue(spec, value, field, errors);
+  });
+
+  // Cross-field checks run once every field has been coerced
+  Object.entries(fields).forEach(([name, spec]) => {
+    if (spec.check && !isMissing(values[name])) {
+      const message = spec.check(values[name], values);
+      if (message) {
+        errors.push({ field: `${prefix}.${name}`, message });
+      }
+    }
+  });
+
+  return values;
+};
+
+// Validate req.params, req.query and req.body against a route schema
+const validateRequest = (schema, req) => {
+  const errors = [];
+  const result = {};
+
+  ["params", "query", "body"].forEach((section) => {
+    if (schema[section]) {
+      result[section] = validateSection(schema[section], req[section], section, errors);
+    }
+  });
+
+  return { errors, ...result };
+};
+
+// Validate a plain object (e.g. one row of an uploaded file) against a map of field specs
+const validateFields = (fields, source, prefix) => {
+  const errors = [];
+  const values = validateSection(fields, source, prefix, errors);
+  return { errors, values };
+};
+
+// Express middleware: replaces params/query/body with the coerced values or responds 400
+const validate = (schema) => (req, res, next) => {
+  const { errors, params, query, body } = validateRequest(schema, req);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: "Validation failed",
+      fields: errors
+    });
+  }
+
+  if (params) Object.assign(req.params, params);
+  if (query) req.query = query;
+  if (body) req.body = body;
+
+  next();
+};
+
+module.exports = {
+  validate,
+  validateRequest,
+  validateFields
+};